@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { verifyToken } = require('../utils/jwt');
 
 const auth = (req, res, next) => {
   try {
@@ -8,13 +8,13 @@ const auth = (req, res, next) => {
       throw new Error('No token provided');
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyToken(token, 'access');
     req.user = decoded;
     next();
   } catch (error) {
-    console.error('❌ Authentication error:', error);
+    console.error('❌ Authentication error:', error.message);
     res.status(401).json({ error: 'Authentication required' });
   }
 };
 
-module.exports = auth; 
\ No newline at end of file
+module.exports = auth;
@@ -0,0 +1,15 @@
+const { hasRole } = require('../utils/roles');
+
+/**
+ * Only allow staff whose role is at least `minimumRole`. Must run after auth.
+ * @param {string} minimumRole - 'viewer', 'manager' or 'admin'
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (minimumRole) => (req, res, next) => {
+  if (!hasRole(req.user?.role, minimumRole)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+module.exports = requireRole;
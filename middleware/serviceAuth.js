@@ -0,0 +1,20 @@
+const { verifyToken } = require('../utils/jwt');
+
+// Calls from the other servers in this repository, signed with the shared JWT_SECRET
+const serviceAuth = (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      throw new Error('No token provided');
+    }
+
+    req.service = verifyToken(token, 'service').sub;
+    next();
+  } catch (error) {
+    console.error('❌ Service authentication error:', error.message);
+    res.status(401).json({ error: 'Authentication required' });
+  }
+};
+
+module.exports = serviceAuth;
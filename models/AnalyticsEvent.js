@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const analyticsEventSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  // 'interaction' for records posted by the chat widget's trackInteraction
+  source: {
+    type: String,
+    enum: ['event', 'interaction'],
+    default: 'event'
+  },
+  eventData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+});
+
+analyticsEventSchema.index({ sessionId: 1, timestamp: 1 });
+analyticsEventSchema.index({ timestamp: -1 });
+analyticsEventSchema.index({ eventType: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AnalyticsEvent', analyticsEventSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const analyticsSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  // Time the session ended (the client reports sessions when the chat closes)
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Session length in milliseconds, as reported by the chat widget
+  duration: {
+    type: Number,
+    default: 0
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  interactionCount: {
+    type: Number,
+    default: 0
+  },
+  interactions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+});
+
+analyticsSessionSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('AnalyticsSession', analyticsSessionSchema);
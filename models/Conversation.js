@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const sourceSchema = new mongoose.Schema({
+  title: String,
+  url: String,
+  snippet: String
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  // Widget-assigned ID, referenced by Feedback.messageId
+  messageId: String,
+  role: {
+    type: String,
+    enum: ['user', 'bot', 'staff'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Name of the team member for staff replies sent during a takeover
+  staffName: String,
+  // RAG citations behind a bot answer
+  sources: {
+    type: [sourceSchema],
+    default: undefined
+  },
+  // Commerce7 product IDs shown as wine cards under a bot answer
+  productIds: {
+    type: [String],
+    default: undefined
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  // The chat widget's sessionId; also used as conversationId on feedback
+  conversationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  // SHA-256 of the secret issued to the widget that created the conversation;
+  // the transcript is only readable and writable with that secret
+  accessTokenHash: {
+    type: String,
+    select: false
+  },
+  messages: {
+    type: [messageSchema],
+    default: []
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Dashboard lists conversations by recency; the retention job purges by lastMessageAt
+conversationSchema.index({ lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const sourceSchema = new mongoose.Schema({
+  title: String,
+  url: String,
+  snippet: String
+}, { _id: false });
+
+const feedbackSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  conversationId: {
+    type: String,
+    index: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // RAG citations shown with the rated answer
+  sources: {
+    type: [sourceSchema],
+    default: []
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Dashboard queries filter by date range, rating and tag
+feedbackSchema.index({ timestamp: -1 });
+feedbackSchema.index({ rating: 1, timestamp: -1 });
+feedbackSchema.index({ tags: 1 });
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const clubSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: '' }
+}, { _id: false });
+
+// Runtime chatbot configuration. A single document keyed 'chatbot';
+// unset fields fall back to the widget's built-in defaults.
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  greeting: { type: String, trim: true },
+  reservationUrl: { type: String, trim: true },
+  milesPortalUrl: { type: String, trim: true },
+  clubs: { type: [clubSchema], default: undefined },
+  // Conversation history the widget sends with each /rag-chat request
+  contextTurns: { type: Number, min: 0, max: 20 },
+  contextTokenBudget: { type: Number, min: 100, max: 8000 },
+  updatedBy: { type: String },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Settings', settingsSchema);
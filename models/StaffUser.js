@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/roles');
+
+const KEY_LENGTH = 64;
+
+const staffUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // scrypt hash stored as "<salt>:<hash>" (hex)
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Incremented on logout to revoke outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+staffUserSchema.methods.setPassword = function (password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  this.passwordHash = `${salt}:${hash}`;
+};
+
+staffUserSchema.methods.verifyPassword = function (password) {
+  const [salt, hash] = (this.passwordHash || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+staffUserSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    role: this.role,
+    active: this.active,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('StaffUser', staffUserSchema);
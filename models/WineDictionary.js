@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const termSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: ['variety', 'line'], default: 'variety' },
+  aliases: { type: [String], default: [] },
+  typos: { type: [String], default: [] },
+  related: { type: [String], default: [] },
+  color: { type: String, enum: ['red', 'white', 'rose', null], default: null },
+  boost: { type: Number, min: 0, max: 500, default: 0 }
+}, { _id: false });
+
+// Wine names, aliases, typo corrections and related varieties used by the
+// chat widget's wine matching. A single document keyed 'wine'; while none is
+// saved the widget uses the dictionary bundled with it. version counts up on
+// every save so concurrent edits from the dashboard can be detected.
+const wineDictionarySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: { type: Number, required: true, min: 1 },
+  terms: { type: [termSchema], default: [] },
+  updatedBy: { type: String },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('WineDictionary', wineDictionarySchema);
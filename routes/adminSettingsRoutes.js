@@ -0,0 +1,119 @@
+const express = require('express');
+const Settings = require('../models/Settings');
+const { SETTINGS_KEY, getChatbotSettings, toPublicSettings } = require('../services/settingsService');
+
+const router = express.Router();
+
+const MAX_GREETING_LENGTH = 1000;
+const MAX_CLUBS = 10;
+// Allowed ranges for the conversation context sent to /rag-chat
+const NUMBER_LIMITS = {
+  contextTurns: { min: 0, max: 20 },
+  contextTokenBudget: { min: 100, max: 8000 }
+};
+
+/**
+ * Check that a value is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean}
+ */
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a settings update. Only fields present in the body are changed.
+ * @param {Object} body - Request body
+ * @returns {{ error: string|null, update: Object }}
+ */
+const validateSettings = (body = {}) => {
+  const update = {};
+
+  if (body.greeting !== undefined) {
+    if (typeof body.greeting !== 'string' || !body.greeting.trim()) {
+      return { error: 'greeting must be a non-empty string', update };
+    }
+    if (body.greeting.length > MAX_GREETING_LENGTH) {
+      return { error: `greeting must be at most ${MAX_GREETING_LENGTH} characters`, update };
+    }
+    update.greeting = body.greeting.trim();
+  }
+
+  for (const field of ['reservationUrl', 'milesPortalUrl']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || !isHttpUrl(body[field])) {
+        return { error: `${field} must be an http(s) URL`, update };
+      }
+      update[field] = body[field];
+    }
+  }
+
+  if (body.clubs !== undefined) {
+    if (!Array.isArray(body.clubs) || body.clubs.length === 0 || body.clubs.length > MAX_CLUBS) {
+      return { error: `clubs must be a list of 1 to ${MAX_CLUBS} clubs`, update };
+    }
+    for (const club of body.clubs) {
+      if (!club || typeof club.id !== 'string' || !club.id.trim() ||
+          typeof club.name !== 'string' || !club.name.trim()) {
+        return { error: 'Each club needs an id and a name', update };
+      }
+    }
+    update.clubs = body.clubs.map(({ id, name, description }) => ({
+      id: id.trim(),
+      name: name.trim(),
+      description: typeof description === 'string' ? description.trim() : ''
+    }));
+  }
+
+  for (const [field, { min, max }] of Object.entries(NUMBER_LIMITS)) {
+    if (body[field] !== undefined) {
+      if (!Number.isInteger(body[field]) || body[field] < min || body[field] > max) {
+        return { error: `${field} must be a whole number from ${min} to ${max}`, update };
+      }
+      update[field] = body[field];
+    }
+  }
+
+  return { error: null, update };
+};
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, settings: await getChatbotSettings() });
+  } catch (error) {
+    console.error('❌ Error fetching settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+  }
+});
+
+router.put('/', async (req, res) => {
+  const { error, update } = validateSettings(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const doc = await Settings.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      {
+        ...update,
+        key: SETTINGS_KEY,
+        updatedBy: req.user?.username || req.user?.email || req.user?.id || null,
+        updatedAt: new Date()
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    res.json({ success: true, settings: toPublicSettings(doc) });
+  } catch (err) {
+    console.error('❌ Error saving settings:', err);
+    res.status(500).json({ success: false, error: 'Failed to save settings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const StaffUser = require('../models/StaffUser');
+const { ROLES } = require('../utils/roles');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+router.get('/', async (req, res) => {
+  try {
+    const users = await StaffUser.find().sort({ username: 1 });
+    res.json({ success: true, users: users.map(user => user.toPublicJSON()) });
+  } catch (error) {
+    console.error('❌ Error listing staff users:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch staff users' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { username, password, role = 'viewer' } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Missing required fields: username and password are required' 
+    });
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const user = new StaffUser({ username, role });
+    user.setPassword(String(password));
+    await user.save();
+    res.status(201).json({ success: true, user: user.toPublicJSON() });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'Username is already taken' });
+    }
+    console.error('❌ Error creating staff user:', error);
+    res.status(500).json({ success: false, error: 'Failed to create staff user' });
+  }
+});
+
+// Change a user's role, active flag or password
+router.patch('/:id', async (req, res) => {
+  const { role, active, password } = req.body;
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (req.params.id === req.user.sub && (role !== undefined || active === false)) {
+    return res.status(400).json({ success: false, error: 'You cannot change your own role or deactivate yourself' });
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Staff user not found' });
+  }
+
+  try {
+    const user = await StaffUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Staff user not found' });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) user.setPassword(String(password));
+    // Role, status and password changes all end existing sessions
+    user.tokenVersion += 1;
+
+    await user.save();
+    res.json({ success: true, user: user.toPublicJSON() });
+  } catch (error) {
+    console.error('❌ Error updating staff user:', error);
+    res.status(500).json({ success: false, error: 'Failed to update staff user' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const { parseWineDictionaryBody } = require('../utils/wineDictionarySchema');
+const { getWineDictionary, saveWineDictionary } = require('../services/wineDictionaryService');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, dictionary: await getWineDictionary() });
+  } catch (error) {
+    console.error('❌ Error fetching wine dictionary:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch wine dictionary' });
+  }
+});
+
+router.put('/', async (req, res) => {
+  const { error, baseVersion, terms } = parseWineDictionaryBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const updatedBy = req.user?.username || req.user?.email || req.user?.id || null;
+    const dictionary = await saveWineDictionary(baseVersion, terms, updatedBy);
+    if (!dictionary) {
+      return res.status(409).json({
+        success: false,
+        error: 'The dictionary was changed by someone else. Reload it and apply your edits again.'
+      });
+    }
+    res.json({ success: true, dictionary });
+  } catch (err) {
+    console.error('❌ Error saving wine dictionary:', err);
+    res.status(500).json({ success: false, error: 'Failed to save wine dictionary' });
+  }
+});
+
+module.exports = router;
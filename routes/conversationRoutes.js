@@ -0,0 +1,125 @@
+const express = require('express');
+const Conversation = require('../models/Conversation');
+const serviceAuth = require('../middleware/serviceAuth');
+const { parseTranscriptBody, parseStaffMessageBody } = require('../utils/conversationSchema');
+const {
+  createConversation,
+  verifyConversationToken,
+  appendMessages
+} = require('../services/conversationService');
+
+const router = express.Router();
+
+// Conversation IDs are random widget session IDs; anything else is rejected
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+// Header carrying the secret issued when the conversation was created
+const TOKEN_HEADER = 'X-Conversation-Token';
+
+router.param('conversationId', (req, res, next, conversationId) => {
+  if (!CONVERSATION_ID_PATTERN.test(conversationId)) {
+    return res.status(400).json({ success: false, error: 'Invalid conversationId' });
+  }
+  next();
+});
+
+// Session IDs are visible in analytics and socket traffic, so a transcript is
+// only served to the widget holding the conversation's secret. A wrong secret
+// looks the same as a missing conversation.
+const requireConversationToken = async (req, res, next) => {
+  try {
+    if (!(await verifyConversationToken(req.params.conversationId, req.header(TOKEN_HEADER)))) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Error checking conversation token:', error);
+    res.status(500).json({ success: false, error: 'Failed to check conversation access' });
+  }
+};
+
+// Start a conversation; the response carries the secret for later requests
+router.post('/', async (req, res) => {
+  const { conversationId } = req.body || {};
+  if (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+    return res.status(400).json({ success: false, error: 'Invalid conversationId' });
+  }
+
+  const userId = typeof req.body.userId === 'string' ? req.body.userId : null;
+
+  try {
+    const accessToken = await createConversation(conversationId, userId);
+    if (!accessToken) {
+      return res.status(409).json({ success: false, error: 'Conversation already exists' });
+    }
+    res.status(201).json({ success: true, conversationId, accessToken });
+  } catch (error) {
+    console.error('❌ Error creating conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to create conversation' });
+  }
+});
+
+// Check a conversation's secret without loading the transcript; the websocket
+// server asks this before letting a widget into the conversation's live room
+router.head('/:conversationId', requireConversationToken, (req, res) => {
+  res.status(204).end();
+});
+
+// Transcript used by the chat widget to resume a conversation after a reload
+router.get('/:conversationId', requireConversationToken, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne(
+      { conversationId: req.params.conversationId },
+      { _id: 0, conversationId: 1, messages: 1, startedAt: 1, lastMessageAt: 1 }
+    ).lean();
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation });
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch conversation' });
+  }
+});
+
+// Append messages to the transcript
+router.post('/:conversationId/messages', requireConversationToken, async (req, res) => {
+  const { error, messages } = parseTranscriptBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const userId = typeof req.body.userId === 'string' ? req.body.userId : null;
+
+  try {
+    const conversation = await appendMessages(req.params.conversationId, messages, userId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.status(201).json({ success: true, messageCount: conversation.messages.length });
+  } catch (err) {
+    console.error('❌ Error saving conversation messages:', err);
+    res.status(500).json({ success: false, error: 'Failed to save conversation messages' });
+  }
+});
+
+// Store a staff reply sent during a takeover, forwarded by the websocket server
+router.post('/:conversationId/staff-messages', serviceAuth, async (req, res) => {
+  const { error, message } = parseStaffMessageBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const conversation = await appendMessages(req.params.conversationId, [message]);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.status(201).json({ success: true, messageCount: conversation.messages.length });
+  } catch (err) {
+    console.error('❌ Error saving staff message:', err);
+    res.status(500).json({ success: false, error: 'Failed to save staff message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const AnalyticsSession = require('../models/AnalyticsSession');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const { parseDateRange } = require('../utils/dateRange');
+
+const router = express.Router();
+
+const DEFAULT_TOP_EVENTS = 10;
+
+// Lower bounds of the messages-per-session histogram buckets
+const MESSAGE_BUCKETS = [0, 1, 2, 3, 6, 11];
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values to summarize
+ * @returns {number} - Median, or 0 for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+// Overall session and event totals for the requested range
+router.get('/summary', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const match = range ? { timestamp: range } : {};
+    const [sessionStats, totalEvents] = await Promise.all([
+      AnalyticsSession.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            totalSessions: { $sum: 1 },
+            averageDuration: { $avg: '$duration' },
+            averageMessages: { $avg: '$messageCount' },
+            totalMessages: { $sum: '$messageCount' }
+          }
+        }
+      ]),
+      AnalyticsEvent.countDocuments(match)
+    ]);
+
+    const stats = sessionStats[0] || {};
+    res.json({
+      success: true,
+      summary: {
+        totalSessions: stats.totalSessions || 0,
+        averageDuration: stats.averageDuration || 0,
+        averageMessagesPerSession: stats.averageMessages || 0,
+        totalMessages: stats.totalMessages || 0,
+        totalEvents
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error summarizing analytics:', error);
+    res.status(500).json({ success: false, error: 'Failed to summarize analytics' });
+  }
+});
+
+// Sessions per day with average duration and messages per session
+router.get('/sessions/daily', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const days = await AnalyticsSession.aggregate([
+      { $match: range ? { timestamp: range } : {} },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          sessions: { $sum: 1 },
+          averageDuration: { $avg: '$duration' },
+          durations: { $push: '$duration' },
+          averageMessages: { $avg: '$messageCount' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      days: days.map(({ _id, sessions, averageDuration, durations, averageMessages }) => ({
+        date: _id,
+        sessions,
+        averageDuration,
+        medianDuration: median(durations),
+        averageMessagesPerSession: averageMessages
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching daily sessions:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch daily sessions' });
+  }
+});
+
+// Histogram of messages per session
+router.get('/sessions/messages', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const buckets = await AnalyticsSession.aggregate([
+      { $match: range ? { timestamp: range } : {} },
+      {
+        $bucket: {
+          groupBy: '$messageCount',
+          boundaries: MESSAGE_BUCKETS,
+          default: 'more',
+          output: { sessions: { $sum: 1 } }
+        }
+      }
+    ]);
+
+    const counts = new Map(buckets.map(({ _id, sessions }) => [_id, sessions]));
+    const histogram = MESSAGE_BUCKETS.map((lower, i) => {
+      const upper = MESSAGE_BUCKETS[i + 1];
+      const label = upper === undefined
+        ? `${lower}+`
+        : upper - lower === 1 ? String(lower) : `${lower}-${upper - 1}`;
+      const key = upper === undefined ? 'more' : lower;
+      return { label, sessions: counts.get(key) || 0 };
+    });
+
+    res.json({ success: true, histogram });
+  } catch (error) {
+    console.error('❌ Error fetching messages per session:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch messages per session' });
+  }
+});
+
+// How user messages were routed (recorded by the chat widget as intent_detected interactions)
+router.get('/intents', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const match = { eventType: 'intent_detected' };
+    if (range) match.timestamp = range;
+
+    const intents = await AnalyticsEvent.aggregate([
+      { $match: match },
+      { $group: { _id: '$eventData.intent', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      intents: intents.map(({ _id, count }) => ({ intent: _id || 'unknown', count }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching intent distribution:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch intent distribution' });
+  }
+});
+
+// Most frequent event types
+router.get('/events/top', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_TOP_EVENTS));
+
+  try {
+    const events = await AnalyticsEvent.aggregate([
+      { $match: range ? { timestamp: range } : {} },
+      { $group: { _id: '$eventType', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({
+      success: true,
+      events: events.map(({ _id, count }) => ({ eventType: _id, count }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching top events:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch top events' });
+  }
+});
+
+module.exports = router;
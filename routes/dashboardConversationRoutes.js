@@ -0,0 +1,83 @@
+const express = require('express');
+const Conversation = require('../models/Conversation');
+const { parseDateRange } = require('../utils/dateRange');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// List stored conversations, most recent first
+router.get('/', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  // The widget opens its conversation on load, so visitors who never chat leave empty ones
+  const filter = { 'messages.0': { $exists: true } };
+  if (range) {
+    filter.lastMessageAt = range;
+  }
+
+  try {
+    const [conversations, total] = await Promise.all([
+      Conversation.aggregate([
+        { $match: filter },
+        { $sort: { lastMessageAt: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            conversationId: 1,
+            userId: 1,
+            startedAt: 1,
+            lastMessageAt: 1,
+            messageCount: { $size: '$messages' },
+            firstUserMessage: {
+              $first: {
+                $filter: { input: '$messages', cond: { $eq: ['$$this.role', 'user'] } }
+              }
+            }
+          }
+        }
+      ]),
+      Conversation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(({ firstUserMessage, ...conversation }) => ({
+        ...conversation,
+        preview: firstUserMessage?.content || ''
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing conversations:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch conversations' });
+  }
+});
+
+// Full transcript of one conversation
+router.get('/:conversationId', async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ conversationId: req.params.conversationId }).lean();
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation });
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch conversation' });
+  }
+});
+
+module.exports = router;
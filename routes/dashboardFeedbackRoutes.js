@@ -0,0 +1,280 @@
+const express = require('express');
+const Feedback = require('../models/Feedback');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const Conversation = require('../models/Conversation');
+const { parseDateRange } = require('../utils/dateRange');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Build a MongoDB filter from dashboard query parameters
+ * @param {Object} query - Express query object
+ * @param {string} [query.rating] - Exact rating or comma-separated list (e.g. "1,2")
+ * @param {string} [query.tag] - Tag or comma-separated list of tags (matches any)
+ * @param {Object|null} dateRange - Range condition from parseDateRange
+ * @returns {Object} - Mongoose filter
+ */
+const buildFeedbackFilter = ({ rating, tag }, dateRange) => {
+  const filter = {};
+
+  if (dateRange) {
+    filter.timestamp = dateRange;
+  }
+
+  if (rating) {
+    const ratings = String(rating)
+      .split(',')
+      .map(Number)
+      .filter(r => r >= 1 && r <= 5);
+    if (ratings.length > 0) {
+      filter.rating = { $in: ratings };
+    }
+  }
+
+  if (tag) {
+    const tags = String(tag).split(',').map(t => t.trim()).filter(Boolean);
+    if (tags.length > 0) {
+      filter.tags = { $in: tags };
+    }
+  }
+
+  return filter;
+};
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV cell. Cells that a spreadsheet would run as a
+ * formula are prefixed with an apostrophe so they open as text.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Transcript for a feedback's conversation. Uses the stored conversation when
+ * there is one; older feedback predates transcript storage, so its transcript
+ * is rebuilt from the message_sent interactions recorded for the session.
+ * @param {string} conversationId - Chat widget session ID
+ * @returns {Promise<Array>} - Messages ({ role, content, timestamp }, plus messageId when stored)
+ */
+const loadTranscript = async (conversationId) => {
+  if (!conversationId) return [];
+
+  const conversation = await Conversation.findOne({ conversationId }).lean();
+  if (conversation) {
+    return conversation.messages.map(({ messageId, role, content, staffName, sources, timestamp }) => ({
+      messageId,
+      role,
+      content,
+      staffName,
+      sources,
+      timestamp
+    }));
+  }
+
+  const events = await AnalyticsEvent.find({ sessionId: conversationId, eventType: 'message_sent' })
+    .sort({ timestamp: 1 })
+    .lean();
+
+  return events.map(event => ({
+    role: event.eventData?.role || 'unknown',
+    content: event.eventData?.message || '',
+    timestamp: event.timestamp
+  }));
+};
+
+// List feedback with filters and pagination
+router.get('/', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const sortField = ['timestamp', 'rating'].includes(req.query.sortBy) ? req.query.sortBy : 'timestamp';
+  const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+  try {
+    const filter = buildFeedbackFilter(req.query, range);
+    const [feedback, total] = await Promise.all([
+      Feedback.find(filter)
+        .sort({ [sortField]: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Feedback.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      feedback,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listing feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch feedback' });
+  }
+});
+
+// Aggregate counts, average rating, rating distribution and tag counts
+router.get('/summary', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const filter = buildFeedbackFilter(req.query, range);
+    const [result] = await Feedback.aggregate([
+      { $match: filter },
+      {
+        $facet: {
+          overall: [
+            { $group: { _id: null, total: { $sum: 1 }, averageRating: { $avg: '$rating' } } }
+          ],
+          byRating: [
+            { $group: { _id: '$rating', count: { $sum: 1 } } }
+          ],
+          byTag: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 }, averageRating: { $avg: '$rating' } } },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    result.byRating.forEach(({ _id, count }) => {
+      ratingDistribution[_id] = count;
+    });
+
+    res.json({
+      success: true,
+      summary: {
+        total: result.overall[0]?.total || 0,
+        averageRating: result.overall[0]?.averageRating || 0,
+        ratingDistribution,
+        tags: result.byTag.map(({ _id, count, averageRating }) => ({ tag: _id, count, averageRating }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error summarizing feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to summarize feedback' });
+  }
+});
+
+// Daily feedback volume and average rating over the filtered range
+router.get('/trends', async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const filter = buildFeedbackFilter(req.query, range);
+    const trends = await Feedback.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          count: { $sum: 1 },
+          averageRating: { $avg: '$rating' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      trends: trends.map(({ _id, count, averageRating }) => ({ date: _id, count, averageRating }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching feedback trends:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch feedback trends' });
+  }
+});
+
+// Download the filtered feedback as CSV (bulk export is limited to managers)
+router.get('/export', requireRole('manager'), async (req, res) => {
+  const { error: dateError, range } = parseDateRange(req.query);
+  if (dateError) {
+    return res.status(400).json({ success: false, error: dateError });
+  }
+
+  try {
+    const feedback = await Feedback.find(buildFeedbackFilter(req.query, range))
+      .sort({ timestamp: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const header = ['timestamp', 'messageId', 'conversationId', 'rating', 'tags', 'comment', 'sources'];
+    const rows = feedback.map(item => [
+      item.timestamp,
+      item.messageId,
+      item.conversationId,
+      item.rating,
+      (item.tags || []).join(';'),
+      item.comment,
+      (item.sources || []).map(source => source.url || source.title).join(';')
+    ].map(toCsvCell).join(','));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="feedback-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send([header.join(','), ...rows].join('\r\n'));
+  } catch (error) {
+    console.error('❌ Error exporting feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to export feedback' });
+  }
+});
+
+// Conversation transcript around a rated message
+router.get('/message/:messageId/conversation', async (req, res) => {
+  try {
+    const feedback = await Feedback.findOne({ messageId: req.params.messageId }).lean();
+    if (!feedback) {
+      return res.status(404).json({ success: false, error: 'Feedback not found' });
+    }
+
+    const messages = await loadTranscript(feedback.conversationId);
+    res.json({ success: true, feedback, messages });
+  } catch (error) {
+    console.error('❌ Error fetching feedback conversation:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch conversation' });
+  }
+});
+
+// Feedback for a single message
+router.get('/message/:messageId', async (req, res) => {
+  try {
+    const feedback = await Feedback.findOne({ messageId: req.params.messageId }).lean();
+    if (!feedback) {
+      return res.status(404).json({ success: false, error: 'Feedback not found' });
+    }
+    res.json({ success: true, feedback });
+  } catch (error) {
+    console.error('❌ Error fetching feedback:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch feedback' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { EXPERIENCES, getReservationProvider } = require('../services/reservationService');
+const { normalizeReservationRequest, parseReservationBody } = require('../utils/reservationSchema');
+
+const router = express.Router();
+
+const toPublicExperience = ({ id, name, durationMinutes, maxPartySize }) =>
+  ({ id, name, durationMinutes, maxPartySize });
+
+// Without a provider the widget hands the guest off to Tock with the details filled in
+const providerUnavailable = (res) =>
+  res.status(503).json({ success: false, error: 'Online booking is not available', handoff: true });
+
+// Experiences shown in the chat booking card
+router.get('/experiences', (req, res) => {
+  res.json({ success: true, experiences: EXPERIENCES.map(toPublicExperience) });
+});
+
+// Seatings for a date, party size and experience
+router.get('/availability', async (req, res) => {
+  const { error, request } = normalizeReservationRequest(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const provider = getReservationProvider();
+  if (!provider) {
+    return providerUnavailable(res);
+  }
+
+  try {
+    const slots = await provider.getAvailability(request);
+    res.json({
+      success: true,
+      date: request.date,
+      partySize: request.partySize,
+      experience: toPublicExperience(request.experience),
+      slots
+    });
+  } catch (err) {
+    console.error('❌ Error checking reservation availability:', err);
+    res.status(502).json({ success: false, error: 'Failed to check availability', handoff: true });
+  }
+});
+
+// Book a seating
+router.post('/', async (req, res) => {
+  const { error, request } = parseReservationBody(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const provider = getReservationProvider();
+  if (!provider || !provider.createReservation) {
+    return providerUnavailable(res);
+  }
+
+  try {
+    const { error: bookingError, reservation } = await provider.createReservation(request);
+    if (bookingError) {
+      return res.status(409).json({ success: false, error: bookingError });
+    }
+    res.status(201).json({ success: true, reservation });
+  } catch (err) {
+    console.error('❌ Error creating reservation:', err);
+    res.status(502).json({ success: false, error: 'Failed to create reservation', handoff: true });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const StaffUser = require('../models/StaffUser');
+const { signAccessToken, signRefreshToken, verifyToken } = require('../utils/jwt');
+
+const router = express.Router();
+
+/**
+ * Build the token response returned by login and refresh
+ * @param {Object} user - StaffUser document
+ * @returns {Object} - Response body
+ */
+const issueTokens = (user) => ({
+  success: true,
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  user: user.toPublicJSON()
+});
+
+// Exchange a username and password for access and refresh tokens
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Missing required fields: username and password are required' 
+    });
+  }
+
+  try {
+    const user = await StaffUser.findOne({ username: String(username).toLowerCase().trim() });
+
+    if (!user || !user.active || !user.verifyPassword(String(password))) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json(issueTokens(user));
+  } catch (error) {
+    console.error('❌ Staff login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: 'refreshToken is required' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken, 'refresh');
+  } catch (error) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+  }
+
+  try {
+    const user = await StaffUser.findById(decoded.sub);
+
+    if (!user || !user.active || user.tokenVersion !== decoded.tokenVersion) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueTokens(user));
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({ success: false, error: 'Token refresh failed' });
+  }
+});
+
+// Revoke every refresh token issued to the user
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken, 'refresh');
+  } catch (error) {
+    // Token is already unusable - nothing to revoke
+    return res.json({ success: true });
+  }
+
+  try {
+    await StaffUser.updateOne(
+      { _id: decoded.sub, tokenVersion: decoded.tokenVersion },
+      { $inc: { tokenVersion: 1 } }
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Staff logout error:', error);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Create or reset a dashboard staff account.
+// Usage: node scripts/createStaffUser.js <username> <password> [viewer|manager|admin]
+const mongoose = require('mongoose');
+require('dotenv').config();
+const StaffUser = require('../models/StaffUser');
+const { ROLES } = require('../utils/roles');
+
+const [username, password, role = 'admin'] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error('Usage: node scripts/createStaffUser.js <username> <password> [viewer|manager|admin]');
+  process.exit(1);
+}
+if (!ROLES.includes(role)) {
+  console.error(`❌ role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milea_chatbot')
+  .then(async () => {
+    let user = await StaffUser.findOne({ username: username.toLowerCase() });
+    if (!user) {
+      user = new StaffUser({ username });
+    }
+    user.role = role;
+    user.active = true;
+    user.setPassword(password);
+    user.tokenVersion += 1;
+    await user.save();
+
+    console.log(`✅ Staff user "${user.username}" saved with role ${user.role}`);
+    await mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('❌ Failed to create staff user:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+// Conversation retention: deletes transcripts older than CONVERSATION_RETENTION_DAYS.
+// server.js runs this daily via startConversationPurge(); it can also be run once:
+// Usage: node scripts/purgeConversations.js [retentionDays]
+const mongoose = require('mongoose');
+const { getRetentionDays, purgeExpiredConversations } = require('../services/conversationService');
+
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const runPurge = async (retentionDays) => {
+  try {
+    const deleted = await purgeExpiredConversations(retentionDays);
+    console.log(`✅ Purged ${deleted} conversations older than ${retentionDays} days`);
+  } catch (error) {
+    console.error('❌ Error purging conversations:', error);
+  }
+};
+
+/**
+ * Purge expired conversations now and then once a day
+ */
+const startConversationPurge = () => {
+  const retentionDays = getRetentionDays();
+  runPurge(retentionDays);
+  const timer = setInterval(() => runPurge(retentionDays), PURGE_INTERVAL_MS);
+  timer.unref();
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const retentionDays = parseInt(process.argv[2], 10) || getRetentionDays();
+
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milea_chatbot')
+    .then(() => runPurge(retentionDays))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error('❌ Failed to purge conversations:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { startConversationPurge };
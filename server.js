@@ -2,7 +2,27 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { assertJwtSecret } = require('./utils/jwt');
 const auth = require('./middleware/auth');
+const requireRole = require('./middleware/requireRole');
+const Feedback = require('./models/Feedback');
+const AnalyticsSession = require('./models/AnalyticsSession');
+const AnalyticsEvent = require('./models/AnalyticsEvent');
+const { parseInteractionBody } = require('./utils/interactionSchema');
+const { sanitizeSources } = require('./utils/sources');
+const dashboardFeedbackRoutes = require('./routes/dashboardFeedbackRoutes');
+const dashboardAnalyticsRoutes = require('./routes/dashboardAnalyticsRoutes');
+const dashboardConversationRoutes = require('./routes/dashboardConversationRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const reservationRoutes = require('./routes/reservationRoutes');
+const adminSettingsRoutes = require('./routes/adminSettingsRoutes');
+const adminWineDictionaryRoutes = require('./routes/adminWineDictionaryRoutes');
+const adminStaffRoutes = require('./routes/adminStaffRoutes');
+const staffAuthRoutes = require('./routes/staffAuthRoutes');
+const { getChatbotSettings } = require('./services/settingsService');
+const { getWineDictionary } = require('./services/wineDictionaryService');
+
+assertJwtSecret();
 
 const app = express();
 
@@ -13,7 +33,7 @@ const corsOptions = {
     process.env.DASHBOARD_FRONTEND_URL || 'http://localhost:3002'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Conversation-Token'],
   credentials: true
 };
 
@@ -31,8 +51,34 @@ publicRoutes.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Read-only chatbot settings for the chat widget
+publicRoutes.get('/api/settings', async (req, res) => {
+  try {
+    // Who last edited the settings is dashboard-only information
+    const { updatedBy, ...settings } = await getChatbotSettings();
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('❌ Error fetching settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+  }
+});
+
+// Wine dictionary saved from the dashboard; null until one has been saved
+publicRoutes.get('/api/wine-dictionary', async (req, res) => {
+  try {
+    const dictionary = await getWineDictionary();
+    if (dictionary) {
+      delete dictionary.updatedBy;
+    }
+    res.json({ success: true, dictionary });
+  } catch (error) {
+    console.error('❌ Error fetching wine dictionary:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch wine dictionary' });
+  }
+});
+
 // Analytics endpoints
-publicRoutes.post('/api/analytics/session', (req, res) => {
+publicRoutes.post('/api/analytics/session', async (req, res) => {
   const { sessionId, userId, timestamp, duration, messageCount, interactionCount, interactions } = req.body;
   
   // Validate required fields
@@ -43,20 +89,41 @@ publicRoutes.post('/api/analytics/session', (req, res) => {
     });
   }
 
-  console.log('Received analytics session data:', {
-    sessionId,
-    userId,
-    timestamp,
-    duration,
-    messageCount,
-    interactionCount,
-    interactions
-  });
-
-  res.json({ success: true });
+  if (isNaN(new Date(timestamp).getTime())) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'timestamp must be a valid date' 
+    });
+  }
+
+  try {
+    // A session can be reported more than once (e.g. unmount then page close),
+    // so keep the latest snapshot per sessionId
+    await AnalyticsSession.findOneAndUpdate(
+      { sessionId },
+      {
+        sessionId,
+        userId: userId || null,
+        timestamp: new Date(timestamp),
+        duration: Number(duration) || 0,
+        messageCount: Number(messageCount) || 0,
+        interactionCount: Number(interactionCount) || 0,
+        interactions: Array.isArray(interactions) ? interactions : []
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error saving analytics session:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save analytics session' 
+    });
+  }
 });
 
-publicRoutes.post('/api/analytics/event', (req, res) => {
+publicRoutes.post('/api/analytics/event', async (req, res) => {
   const { sessionId, eventType, eventData, timestamp } = req.body;
   
   // Validate required fields
@@ -67,19 +134,63 @@ publicRoutes.post('/api/analytics/event', (req, res) => {
     });
   }
 
-  console.log('Received analytics event:', {
-    sessionId,
-    eventType,
-    eventData,
-    timestamp
-  });
+  if (isNaN(new Date(timestamp).getTime())) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'timestamp must be a valid date' 
+    });
+  }
+
+  try {
+    await AnalyticsEvent.create({
+      sessionId,
+      eventType,
+      eventData: eventData || {},
+      timestamp: new Date(timestamp)
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error saving analytics event:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save analytics event' 
+    });
+  }
+});
+
+publicRoutes.post('/api/analytics/interaction', async (req, res) => {
+  const { error, interactions } = parseInteractionBody(req.body);
+  if (error) {
+    return res.status(400).json({ 
+      success: false, 
+      error 
+    });
+  }
+
+  try {
+    await AnalyticsEvent.insertMany(interactions.map(interaction => ({
+      sessionId: interaction.sessionId,
+      userId: interaction.userId,
+      eventType: interaction.type,
+      eventData: interaction.details,
+      source: 'interaction',
+      timestamp: interaction.timestamp
+    })));
 
-  res.json({ success: true });
+    res.json({ success: true, count: interactions.length });
+  } catch (err) {
+    console.error('❌ Error saving analytics interactions:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save analytics interactions' 
+    });
+  }
 });
 
 // Feedback endpoint
-publicRoutes.post('/api/feedback', (req, res) => {
-  const { messageId, conversationId, rating, comment, tags } = req.body;
+publicRoutes.post('/api/feedback', async (req, res) => {
+  const { messageId, conversationId, rating, comment, tags, sources } = req.body;
   
   // Validate required fields
   if (!messageId || !rating) {
@@ -98,35 +209,67 @@ publicRoutes.post('/api/feedback', (req, res) => {
     });
   }
 
-  console.log('Received feedback:', {
-    messageId,
-    conversationId,
-    rating: ratingNum,
-    comment,
-    tags
-  });
-
-  // TODO: Save feedback to database
-  // For now, just return success
-  res.json({ 
-    success: true,
-    feedback: {
+  try {
+    const feedback = await Feedback.create({
       messageId,
       conversationId,
       rating: ratingNum,
       comment,
-      tags,
-      timestamp: new Date().toISOString()
+      tags: Array.isArray(tags) ? tags : [],
+      sources: sanitizeSources(sources)
+    });
+
+    res.status(201).json({ 
+      success: true,
+      feedback: {
+        messageId: feedback.messageId,
+        conversationId: feedback.conversationId,
+        rating: feedback.rating,
+        comment: feedback.comment,
+        tags: feedback.tags,
+        sources: feedback.sources,
+        timestamp: feedback.timestamp.toISOString()
+      }
+    });
+  } catch (error) {
+    // Duplicate messageId - feedback was already recorded for this message
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Feedback has already been submitted for this message' 
+      });
     }
-  });
+    console.error('❌ Error saving feedback:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to save feedback' 
+    });
+  }
 });
 
 // Apply public routes first
 app.use(publicRoutes);
 
+// Conversation transcripts saved and restored by the chat widget
+app.use('/api/conversations', conversationRoutes);
+
+// Availability and bookings for the chat reservation card
+app.use('/api/reservations', reservationRoutes);
+
+// Staff login, token refresh and logout
+app.use('/api/staff/auth', staffAuthRoutes);
+
 // Protected routes (auth required)
-app.use('/api/dashboard', auth);
-app.use('/api/admin', auth);
+// Any staff role can read the dashboard; admin endpoints need manager or above
+app.use('/api/dashboard', auth, requireRole('viewer'));
+app.use('/api/admin', auth, requireRole('manager'));
+
+app.use('/api/dashboard/feedback', dashboardFeedbackRoutes);
+app.use('/api/dashboard/analytics', dashboardAnalyticsRoutes);
+app.use('/api/dashboard/conversations', dashboardConversationRoutes);
+app.use('/api/admin/settings', adminSettingsRoutes);
+app.use('/api/admin/wine-dictionary', adminWineDictionaryRoutes);
+app.use('/api/admin/staff', requireRole('admin'), adminStaffRoutes);
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milea_chatbot')
@@ -137,6 +280,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milea_cha
 const { startScheduledSync } = require('./scripts/scheduledSync');
 startScheduledSync();
 
+const { startConversationPurge } = require('./scripts/purgeConversations');
+startConversationPurge();
+
 // Start server
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
@@ -0,0 +1,49 @@
+const { signServiceToken } = require('../utils/jwt');
+require('dotenv').config();
+
+// Transcripts live in the API server's database; this server only talks to its HTTP API
+const API_URL = process.env.API_URL || 'http://localhost:8080';
+
+const conversationUrl = (conversationId, path = '') =>
+    `${API_URL}/api/conversations/${encodeURIComponent(conversationId)}${path}`;
+
+/**
+ * Check the secret a chat widget presents for its conversation
+ * @param {string} conversationId - Chat widget session ID
+ * @param {string} token - Secret issued when the conversation was created
+ * @returns {Promise<boolean>} - False when the conversation doesn't exist or the secret is wrong
+ */
+const verifyConversation = async (conversationId, token) => {
+    const response = await fetch(conversationUrl(conversationId), {
+        method: 'HEAD',
+        headers: { 'X-Conversation-Token': token }
+    });
+    if (response.status >= 500) {
+        throw new Error(`API server responded with ${response.status}`);
+    }
+    return response.ok;
+};
+
+/**
+ * Store a staff reply in the conversation transcript
+ * @param {string} conversationId - Chat widget session ID
+ * @param {Object} message - { messageId, content, staffName, timestamp }
+ */
+const saveStaffMessage = async (conversationId, message) => {
+    const response = await fetch(conversationUrl(conversationId, '/staff-messages'), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${signServiceToken('websocket')}`
+        },
+        body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+        throw new Error(`API server responded with ${response.status}`);
+    }
+};
+
+module.exports = {
+    verifyConversation,
+    saveStaffMessage
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { verifyToken } = require('../utils/jwt');
+const { ROLES, hasRole } = require('../utils/roles');
+
+// Bot reply shown when the chat backend fails; sessions containing it are flagged
+const TROUBLE_MESSAGE = "I'm having trouble processing your request";
+
+// Viewers can watch conversations; taking one over requires at least this role
+const TAKEOVER_ROLE = 'manager';
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_MESSAGES_PER_SESSION = 200;
+const MAX_CONTENT_LENGTH = 4000;
+// Widgets beyond this many live sessions are turned away until others end
+const MAX_SESSIONS = 1000;
+
+// Active widget sessions, keyed by the widget's analytics sessionId
+const sessions = new Map();
+
+const summarize = (session) => ({
+    sessionId: session.sessionId,
+    startedAt: session.startedAt,
+    lastActivityAt: session.lastActivityAt,
+    messageCount: session.messageCount,
+    lastMessage: session.messages[session.messages.length - 1] || null,
+    flagged: session.flagged,
+    connected: session.sockets.size > 0,
+    takenOverBy: session.takenOverBy
+        ? { id: session.takenOverBy.id, username: session.takenOverBy.username }
+        : null
+});
+
+const getOrCreateSession = (sessionId) => {
+    let session = sessions.get(sessionId);
+    if (!session) {
+        const now = new Date().toISOString();
+        session = {
+            sessionId,
+            startedAt: now,
+            lastActivityAt: now,
+            messageCount: 0,
+            messages: [],
+            flagged: false,
+            takenOverBy: null,
+            sockets: new Set()
+        };
+        sessions.set(sessionId, session);
+    }
+    return session;
+};
+
+/**
+ * Validate a conversation event emitted by the chat widget.
+ * Content is already anonymized by the widget; it is only trimmed here.
+ * Messages are stamped with the server's time, which also drives idle expiry.
+ * @param {Object} event - { role, content }
+ * @returns {Object|null} - Normalized message, or null when invalid
+ */
+const normalizeMessage = (event) => {
+    if (!event || typeof event !== 'object') return null;
+    if (!['user', 'bot'].includes(event.role)) return null;
+    if (typeof event.content !== 'string' || !event.content.trim()) return null;
+
+    return {
+        role: event.role,
+        content: event.content.slice(0, MAX_CONTENT_LENGTH),
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Authenticate dashboard sockets with the staff access token issued by the API
+ * server (both servers share JWT_SECRET)
+ */
+const authenticateStaff = (socket, next) => {
+    const { token } = socket.handshake.auth || {};
+    if (!token) {
+        return next(new Error('unauthorized'));
+    }
+
+    try {
+        const decoded = verifyToken(token, 'access');
+        if (!ROLES.includes(decoded.role)) {
+            return next(new Error('unauthorized'));
+        }
+        socket.data.staff = { id: decoded.sub, username: decoded.username, role: decoded.role };
+        next();
+    } catch (error) {
+        next(new Error('unauthorized'));
+    }
+};
+
+/**
+ * Attach the live conversation monitor to a socket.io server.
+ *
+ * - `/chat` namespace: chat widgets holding their conversation's secret emit
+ *   `chat_event` and `chat_end`
+ * - `/monitor` namespace: authenticated staff receive `live_sessions`,
+ *   `live_session_update`, `live_message` and `live_session_ended`, and can
+ *   request a transcript with `get_transcript`
+ * - Human takeover: managers send `takeover_start`, `staff_message` and
+ *   `takeover_end`; the widget receives `takeover_started`, `staff_message`
+ *   and `takeover_ended` and suppresses bot replies while a human is in control.
+ *   Staff replies are stored in the conversation transcript here; the widget
+ *   never saves them itself.
+ * @param {import('socket.io').Server} io - socket.io server
+ * @param {Object} [options]
+ * @param {Function} [options.verifyConversation] - (sessionId, token) => Promise<boolean>, checks a
+ *   widget's conversation secret; without it no widget is admitted
+ * @param {Function} [options.saveStaffMessage] - (sessionId, message) => Promise, stores a staff reply
+ */
+const attachLiveMonitor = (io, {
+    verifyConversation = async () => false,
+    saveStaffMessage = async () => {}
+} = {}) => {
+    const chat = io.of('/chat');
+    const monitor = io.of('/monitor');
+
+    const endSession = (sessionId) => {
+        if (sessions.delete(sessionId)) {
+            monitor.emit('live_session_ended', { sessionId });
+        }
+    };
+
+    // Hand a session back to the bot and tell the widget
+    const releaseTakeover = (session) => {
+        session.takenOverBy = null;
+        chat.to(session.sessionId).emit('takeover_ended');
+        monitor.emit('live_session_update', summarize(session));
+    };
+
+    // Session IDs show up in analytics, so joining a session's room (and
+    // receiving its staff replies) takes the secret issued with the conversation
+    chat.use(async (socket, next) => {
+        const { sessionId, token } = socket.handshake.auth || {};
+        if (typeof sessionId !== 'string' || !sessionId.trim() || typeof token !== 'string' || !token) {
+            return next(new Error('unauthorized'));
+        }
+
+        try {
+            if (!(await verifyConversation(sessionId, token))) {
+                return next(new Error('unauthorized'));
+            }
+        } catch (error) {
+            console.error('❌ Error verifying conversation:', error);
+            return next(new Error('unavailable'));
+        }
+
+        if (!sessions.has(sessionId) && sessions.size >= MAX_SESSIONS) {
+            return next(new Error('too many sessions'));
+        }
+        next();
+    });
+
+    chat.on('connection', (socket) => {
+        const { sessionId } = socket.handshake.auth;
+        const session = getOrCreateSession(sessionId);
+        session.sockets.add(socket.id);
+        socket.join(sessionId);
+        monitor.emit('live_session_update', summarize(session));
+
+        // A reloaded widget picks up an ongoing takeover
+        if (session.takenOverBy) {
+            socket.emit('takeover_started', { staffName: session.takenOverBy.username });
+        }
+
+        socket.on('chat_event', (event) => {
+            const message = normalizeMessage(event);
+            if (!message) return;
+
+            session.messages.push(message);
+            if (session.messages.length > MAX_MESSAGES_PER_SESSION) {
+                session.messages.shift();
+            }
+            session.messageCount++;
+            session.lastActivityAt = message.timestamp;
+            if (message.role === 'bot' && message.content.includes(TROUBLE_MESSAGE)) {
+                session.flagged = true;
+            }
+
+            monitor.emit('live_message', { sessionId, message });
+            monitor.emit('live_session_update', summarize(session));
+        });
+
+        socket.on('chat_end', () => endSession(sessionId));
+
+        socket.on('disconnect', () => {
+            session.sockets.delete(socket.id);
+            if (sessions.has(sessionId)) {
+                monitor.emit('live_session_update', summarize(session));
+            }
+        });
+    });
+
+    monitor.use(authenticateStaff);
+
+    monitor.on('connection', (socket) => {
+        socket.emit('live_sessions', [...sessions.values()].map(summarize));
+
+        const { staff } = socket.data;
+
+        socket.on('get_transcript', (sessionId, ack) => {
+            if (typeof ack !== 'function') return;
+            const session = sessions.get(sessionId);
+            ack(session
+                ? { success: true, session: summarize(session), messages: session.messages }
+                : { success: false, error: 'Session not found' });
+        });
+
+        socket.on('takeover_start', (sessionId, ack) => {
+            if (typeof ack !== 'function') return;
+            const session = sessions.get(sessionId);
+            if (!session) {
+                return ack({ success: false, error: 'Session not found' });
+            }
+            if (!hasRole(staff.role, TAKEOVER_ROLE)) {
+                return ack({ success: false, error: 'Insufficient permissions' });
+            }
+            if (session.takenOverBy && session.takenOverBy.id !== staff.id) {
+                return ack({ success: false, error: `${session.takenOverBy.username} is already handling this chat` });
+            }
+
+            session.takenOverBy = { id: staff.id, username: staff.username, socketId: socket.id };
+            chat.to(sessionId).emit('takeover_started', { staffName: staff.username });
+            monitor.emit('live_session_update', summarize(session));
+            ack({ success: true, session: summarize(session) });
+        });
+
+        socket.on('staff_message', (sessionId, content, ack) => {
+            if (typeof ack !== 'function') return;
+            const session = sessions.get(sessionId);
+            if (!session || !session.takenOverBy || session.takenOverBy.id !== staff.id) {
+                return ack({ success: false, error: 'You are not handling this chat' });
+            }
+            if (typeof content !== 'string' || !content.trim()) {
+                return ack({ success: false, error: 'Message is required' });
+            }
+
+            const message = {
+                messageId: `staff_${crypto.randomBytes(8).toString('hex')}`,
+                role: 'staff',
+                content: content.trim().slice(0, MAX_CONTENT_LENGTH),
+                staffName: staff.username,
+                timestamp: new Date().toISOString()
+            };
+            session.messages.push(message);
+            if (session.messages.length > MAX_MESSAGES_PER_SESSION) {
+                session.messages.shift();
+            }
+            session.messageCount++;
+            session.lastActivityAt = message.timestamp;
+
+            saveStaffMessage(sessionId, message).catch((error) => {
+                console.error('❌ Error saving staff message:', error);
+            });
+
+            chat.to(sessionId).emit('staff_message', message);
+            monitor.emit('live_message', { sessionId, message });
+            monitor.emit('live_session_update', summarize(session));
+            ack({ success: true, message });
+        });
+
+        socket.on('takeover_end', (sessionId, ack) => {
+            if (typeof ack !== 'function') return;
+            const session = sessions.get(sessionId);
+            if (!session || !session.takenOverBy || session.takenOverBy.id !== staff.id) {
+                return ack({ success: false, error: 'You are not handling this chat' });
+            }
+            releaseTakeover(session);
+            ack({ success: true });
+        });
+
+        // Don't leave guests waiting on a staff member whose dashboard closed
+        socket.on('disconnect', () => {
+            sessions.forEach((session) => {
+                if (session.takenOverBy && session.takenOverBy.socketId === socket.id) {
+                    releaseTakeover(session);
+                }
+            });
+        });
+    });
+
+    // Drop sessions that have been idle for too long (closed tabs don't always send chat_end)
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+        sessions.forEach((session, sessionId) => {
+            if (session.sockets.size === 0 && new Date(session.lastActivityAt).getTime() < cutoff) {
+                endSession(sessionId);
+            }
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    return { getActiveSessionCount: () => sessions.size };
+};
+
+module.exports = { attachLiveMonitor, TROUBLE_MESSAGE };
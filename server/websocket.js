@@ -3,6 +3,12 @@ const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const { sendSmsMessage } = require('./twilioService');
+const { attachLiveMonitor } = require('./liveMonitor');
+const { verifyConversation, saveStaffMessage } = require('./conversationApi');
+const { assertJwtSecret } = require('../utils/jwt');
+
+// Staff tokens are checked with the API server's secret; never start without it in production
+assertJwtSecret();
 
 const app = express();
 app.use(cors());
@@ -19,6 +25,10 @@ const io = new Server(server, {
 // Store active connections
 const activeConnections = new Map();
 
+// Live conversation monitor for the dashboard (/chat and /monitor namespaces).
+// Widget secrets are checked, and staff replies stored, through the API server.
+const liveMonitor = attachLiveMonitor(io, { verifyConversation, saveStaffMessage });
+
 io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
 
@@ -57,7 +67,11 @@ io.on('connection', (socket) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', connections: activeConnections.size });
+    res.json({
+        status: 'ok',
+        connections: activeConnections.size,
+        liveSessions: liveMonitor.getActiveSessionCount()
+    });
 });
 
 // Start server
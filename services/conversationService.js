@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const Conversation = require('../models/Conversation');
+const { MAX_MESSAGES_PER_CONVERSATION } = require('../utils/conversationSchema');
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+/**
+ * Number of days conversations are kept after their last message
+ * (CONVERSATION_RETENTION_DAYS, default 90)
+ * @returns {number}
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.CONVERSATION_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create an empty conversation and issue the secret the widget must present
+ * to read or extend it. Only the secret's hash is stored.
+ * @param {string} conversationId - Chat widget session ID
+ * @param {string|null} [userId] - Logged-in customer, if any
+ * @returns {Promise<string|null>} - Access token, or null when the conversation already exists
+ */
+const createConversation = async (conversationId, userId = null) => {
+  const accessToken = crypto.randomBytes(32).toString('base64url');
+  try {
+    await Conversation.create({ conversationId, userId, accessTokenHash: hashToken(accessToken) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+  return accessToken;
+};
+
+/**
+ * Check the access token presented for a conversation
+ * @param {string} conversationId - Chat widget session ID
+ * @param {string} token - Token from createConversation
+ * @returns {Promise<boolean>} - False when the conversation doesn't exist or the token is wrong
+ */
+const verifyConversationToken = async (conversationId, token) => {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+  const conversation = await Conversation.findOne({ conversationId }, { accessTokenHash: 1 }).lean();
+  if (!conversation || !conversation.accessTokenHash) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(conversation.accessTokenHash, 'hex'),
+    Buffer.from(hashToken(token), 'hex')
+  );
+};
+
+/**
+ * Append messages to an existing conversation
+ * @param {string} conversationId - Chat widget session ID
+ * @param {Array} messages - Normalized messages
+ * @param {string|null} [userId] - Logged-in customer, if any
+ * @returns {Promise<Object|null>} - Updated conversation, or null when it doesn't exist
+ */
+const appendMessages = (conversationId, messages, userId = null) => {
+  const update = {
+    $push: { messages: { $each: messages, $slice: -MAX_MESSAGES_PER_CONVERSATION } },
+    $set: { lastMessageAt: new Date() }
+  };
+  if (userId) {
+    update.$set.userId = userId;
+  }
+
+  return Conversation.findOneAndUpdate({ conversationId }, update, {
+    new: true,
+    lean: true
+  });
+};
+
+/**
+ * Delete conversations whose last message is older than the retention period
+ * @param {number} [retentionDays] - Defaults to getRetentionDays()
+ * @returns {Promise<number>} - Number of conversations deleted
+ */
+const purgeExpiredConversations = async (retentionDays = getRetentionDays()) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await Conversation.deleteMany({ lastMessageAt: { $lt: cutoff } });
+  return deletedCount;
+};
+
+module.exports = {
+  getRetentionDays,
+  createConversation,
+  verifyConversationToken,
+  appendMessages,
+  purgeExpiredConversations
+};
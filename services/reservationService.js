@@ -0,0 +1,97 @@
+// Tasting experiences offered through the chat booking card
+const EXPERIENCES = [
+  { id: 'classic', name: 'Classic Tasting', durationMinutes: 60, capacity: 24, maxPartySize: 8 },
+  { id: 'reserve', name: 'Reserve Tasting', durationMinutes: 75, capacity: 12, maxPartySize: 6 },
+  { id: 'vineyard-tour', name: 'Vineyard Tour & Tasting', durationMinutes: 90, capacity: 16, maxPartySize: 8 }
+];
+
+// Seatings offered each day (local winery time)
+const SEATING_TIMES = ['11:00', '12:00', '13:00', '14:00', '15:00', '16:00'];
+
+const findExperience = (id) => EXPERIENCES.find(experience => experience.id === id) || null;
+
+/**
+ * Small deterministic hash so the stub shows the same availability on every call
+ * @param {string} value - Seed
+ * @returns {number}
+ */
+const hash = (value) => {
+  let result = 0;
+  for (let i = 0; i < value.length; i++) {
+    result = (result * 31 + value.charCodeAt(i)) >>> 0;
+  }
+  return result;
+};
+
+/**
+ * Local provider for development. Availability is generated from the date so
+ * some seatings are partly or fully booked; reservations are kept in memory
+ * and lost on restart.
+ * @returns {Object} - Reservation provider
+ */
+const createStubProvider = () => {
+  // Seats booked through the stub, keyed `${date}|${experienceId}|${time}`
+  const booked = new Map();
+
+  const seatsLeft = (date, experience, time) => {
+    const key = `${date}|${experience.id}|${time}`;
+    const prebooked = hash(key) % (experience.capacity + 1);
+    return Math.max(0, experience.capacity - prebooked - (booked.get(key) || 0));
+  };
+
+  return {
+    name: 'stub',
+
+    getAvailability: async ({ date, partySize, experience }) =>
+      SEATING_TIMES.map(time => {
+        const remaining = seatsLeft(date, experience, time);
+        return { time, remaining, available: remaining >= partySize };
+      }),
+
+    createReservation: async ({ date, time, partySize, experience, name, email }) => {
+      if (seatsLeft(date, experience, time) < partySize) {
+        return { error: 'That time is no longer available', reservation: null };
+      }
+
+      const key = `${date}|${experience.id}|${time}`;
+      booked.set(key, (booked.get(key) || 0) + partySize);
+      return {
+        error: null,
+        reservation: {
+          confirmationCode: `STUB-${hash(`${key}|${email}|${Date.now()}`).toString(36).toUpperCase()}`,
+          date,
+          time,
+          partySize,
+          experience: { id: experience.id, name: experience.name },
+          name
+        }
+      };
+    }
+  };
+};
+
+const PROVIDERS = {
+  stub: createStubProvider
+};
+
+let provider;
+
+/**
+ * Reservation provider named by RESERVATION_PROVIDER. Outside production the
+ * stub is used by default; in production an unset provider means the widget
+ * hands guests off to Tock instead.
+ * @returns {Object|null} - { name, getAvailability, createReservation }, or null
+ */
+const getReservationProvider = () => {
+  if (provider !== undefined) return provider;
+
+  const name = process.env.RESERVATION_PROVIDER ||
+    (process.env.NODE_ENV === 'production' ? null : 'stub');
+  if (name && !PROVIDERS[name]) {
+    console.error(`❌ Unknown RESERVATION_PROVIDER "${name}"; reservations will be handed off to Tock`);
+  }
+  provider = name && PROVIDERS[name] ? PROVIDERS[name]() : null;
+  return provider;
+};
+
+module.exports = { EXPERIENCES, SEATING_TIMES, findExperience, createStubProvider, getReservationProvider };
@@ -0,0 +1,29 @@
+const Settings = require('../models/Settings');
+
+const SETTINGS_KEY = 'chatbot';
+
+/**
+ * Strip storage fields from a settings document
+ * @param {Object|null} doc - Lean settings document
+ * @returns {Object} - Settings as served to clients
+ */
+const toPublicSettings = (doc) => {
+  if (!doc) return {};
+  const {
+    greeting, reservationUrl, milesPortalUrl, clubs, contextTurns, contextTokenBudget, updatedAt, updatedBy
+  } = doc;
+  return {
+    greeting, reservationUrl, milesPortalUrl, clubs, contextTurns, contextTokenBudget, updatedAt, updatedBy
+  };
+};
+
+/**
+ * Read the stored chatbot settings
+ * @returns {Promise<Object>} - Stored settings (unset fields are omitted)
+ */
+const getChatbotSettings = async () => {
+  const doc = await Settings.findOne({ key: SETTINGS_KEY }).lean();
+  return toPublicSettings(doc);
+};
+
+module.exports = { SETTINGS_KEY, toPublicSettings, getChatbotSettings };
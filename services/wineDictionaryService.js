@@ -0,0 +1,56 @@
+const WineDictionary = require('../models/WineDictionary');
+
+const DICTIONARY_KEY = 'wine';
+
+/**
+ * Strip storage fields from a dictionary document
+ * @param {Object|null} doc - Lean dictionary document
+ * @returns {Object|null} - { version, terms, updatedAt, updatedBy }
+ */
+const toPublicDictionary = (doc) => {
+  if (!doc) return null;
+  const { version, terms, updatedAt, updatedBy } = doc;
+  return { version, terms, updatedAt, updatedBy };
+};
+
+/**
+ * Read the saved wine dictionary
+ * @returns {Promise<Object|null>} - Dictionary, or null when the bundled one applies
+ */
+const getWineDictionary = async () => {
+  const doc = await WineDictionary.findOne({ key: DICTIONARY_KEY }).lean();
+  return toPublicDictionary(doc);
+};
+
+/**
+ * Save the wine dictionary if nobody has saved over baseVersion in the meantime
+ * @param {number} baseVersion - Version the edit started from (the bundled
+ *   dictionary's version before the first save)
+ * @param {Array} terms - Validated terms from parseWineDictionaryBody
+ * @param {string|null} updatedBy - Staff member saving
+ * @returns {Promise<Object|null>} - Saved dictionary, or null on a version conflict
+ */
+const saveWineDictionary = async (baseVersion, terms, updatedBy) => {
+  const update = { terms, updatedBy, updatedAt: new Date(), version: baseVersion + 1 };
+  const existing = await WineDictionary.findOne({ key: DICTIONARY_KEY }).select('version').lean();
+
+  if (!existing) {
+    try {
+      const created = await WineDictionary.create({ key: DICTIONARY_KEY, ...update });
+      return toPublicDictionary(created.toObject());
+    } catch (error) {
+      // Another first save won the race
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  const doc = await WineDictionary.findOneAndUpdate(
+    { key: DICTIONARY_KEY, version: baseVersion },
+    update,
+    { new: true, runValidators: true }
+  ).lean();
+  return toPublicDictionary(doc);
+};
+
+module.exports = { DICTIONARY_KEY, toPublicDictionary, getWineDictionary, saveWineDictionary };
@@ -5,6 +5,8 @@ import WineClubSignUp from "./components/WineClubSignUp";
 import MilesReferral from "./components/MilesReferral";
 import SmsContactCard from "./components/SmsContactCard";
 import SmsChat from "./components/SmsChat";
+import ReservationBooking from "./components/ReservationBooking";
+import CartSummary from "./components/CartSummary";
 import { useMessages } from "./hooks/useMessages";
 
 const ChatWidget = () => {
@@ -14,6 +16,8 @@ const ChatWidget = () => {
     input,
     setInput,
     loading,
+    humanAgent,
+    conversationId,
     sendMessage,
     handleKeyDown,
     showWineClubSignup,
@@ -28,6 +32,11 @@ const ChatWidget = () => {
     handleSmsFormSuccess,
     handleSmsFormClose,
     handleSmsChatClose,
+    reservationRequest,
+    reservationUrl,
+    handleReservationComplete,
+    handleReservationHandoff,
+    handleReservationClose,
     handleFeedback
   } = useMessages();
 
@@ -42,9 +51,16 @@ const ChatWidget = () => {
   return (
     <div className="flex flex-col h-full">
       <div className="flex-1 overflow-y-auto message-container p-4">
+        {humanAgent && (
+          <div className="mb-3 text-xs text-center text-[#715100]">
+            {humanAgent} from the Milea team is handling this chat
+          </div>
+        )}
         <MessageList 
           messages={messages} 
-          onFeedbackClick={handleFeedback}
+          loading={loading}
+          conversationId={conversationId}
+          onFeedbackSubmit={handleFeedback}
         />
         {showWineClubSignup && (
           <WineClubSignUp
@@ -66,6 +82,16 @@ const ChatWidget = () => {
             onClose={handleSmsFormClose}
           />
         )}
+        {reservationRequest && (
+          <ReservationBooking
+            key={`${reservationRequest.date}-${reservationRequest.partySize}`}
+            initialValues={reservationRequest}
+            reservationUrl={reservationUrl}
+            onComplete={handleReservationComplete}
+            onHandoff={handleReservationHandoff}
+            onClose={handleReservationClose}
+          />
+        )}
         {activeSmsChat && (
           <SmsChat
             chat={activeSmsChat}
@@ -73,6 +99,7 @@ const ChatWidget = () => {
           />
         )}
       </div>
+      <CartSummary />
       <div className="p-4 border-t">
         <MessageInput
           input={input}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { useCart } from "../hooks/useCart";
+import { cleanText } from "../utils/textUtils";
+
+const formatPrice = (cents) => `$${((cents || 0) / 100).toFixed(2)}`;
+
+/**
+ * Bar above the chat input showing the visitor's cart, with an expandable
+ * list of lines and a link to checkout. Hidden while the cart is empty, and
+ * once the visitor has gone to checkout.
+ */
+const CartSummary = () => {
+  const { cart, busy, error, updateQuantity, removeItem, checkout } = useCart();
+  const [expanded, setExpanded] = useState(false);
+
+  if (!cart || !cart.items || cart.items.length === 0) return null;
+
+  const quantityButtonClass = "w-6 h-6 text-sm border border-[#5A3E00] rounded text-[#5A3E00] hover:bg-white disabled:opacity-50";
+
+  return (
+    <div className="border-t bg-[#F9F4E9] px-4 py-2 text-sm text-[#5A3E00]">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="font-semibold hover:underline"
+          aria-expanded={expanded}
+        >
+          Cart: {cart.itemCount} {cart.itemCount === 1 ? "bottle" : "bottles"} · {formatPrice(cart.subtotal)}
+        </button>
+        {cart.checkoutUrl && (
+          <a
+            href={cart.checkoutUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={checkout}
+            className="px-3 py-1 bg-[#5A3E00] text-white rounded hover:bg-[#715100]"
+          >
+            Checkout
+          </a>
+        )}
+      </div>
+
+      {expanded && (
+        <ul className="mt-2 space-y-2">
+          {cart.items.map(item => (
+            <li key={item.id} className="flex items-center justify-between gap-2">
+              <span className="truncate">{cleanText(item.title)}</span>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                  disabled={busy}
+                  className={quantityButtonClass}
+                  aria-label={`Remove one ${item.title}`}
+                >
+                  −
+                </button>
+                <span className="w-6 text-center">{item.quantity}</span>
+                <button
+                  onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                  disabled={busy}
+                  className={quantityButtonClass}
+                  aria-label={`Add one ${item.title}`}
+                >
+                  +
+                </button>
+                <span className="w-16 text-right">{formatPrice(item.price * item.quantity)}</span>
+                <button
+                  onClick={() => removeItem(item.id)}
+                  disabled={busy}
+                  className="ml-1 text-xs text-[#715100] hover:underline disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default CartSummary;
@@ -3,7 +3,7 @@ import { StarIcon } from '@heroicons/react/24/solid';
 import { StarIcon as StarOutlineIcon } from '@heroicons/react/24/outline';
 import { apiService } from '../../../services/apiService';
 
-const MessageFeedback = ({ messageId, conversationId, onSubmit, onClose }) => {
+const MessageFeedback = ({ messageId, conversationId, sources = [], onSubmit, onClose }) => {
   const [rating, setRating] = useState(0);
   const [comment, setComment] = useState('');
   const [loading, setLoading] = useState(false);
@@ -32,7 +32,9 @@ const MessageFeedback = ({ messageId, conversationId, onSubmit, onClose }) => {
         messageId: String(messageId),
         conversationId: String(conversationId),
         rating: Number(rating),
-        comment: comment.trim() || null
+        comment: comment.trim() || null,
+        // Citations shown with the answer, so staff can trace bad sources
+        sources
       };
 
       console.log('Feedback data to submit:', feedbackData);
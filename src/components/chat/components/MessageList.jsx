@@ -1,17 +1,31 @@
-import React from "react";
+import React, { useState } from "react";
 import MileaMilesReferral from "./MileaMilesReferral";
+import MessageFeedback from "./MessageFeedback";
+import SourceCitations from "./SourceCitations";
+import WineCarousel from "./WineCarousel";
 import parseMarkdown from "../utils/markdownParser";
 import { ChatBubbleLeftIcon } from "@heroicons/react/24/outline";
 
+// Bubble styles per sender; "staff" messages come from a team member who took over the chat
+const BUBBLE_CLASSES = {
+  user: "user-message bg-[#715100] text-white text-right ml-12",
+  staff: "staff-message bg-white border border-[#715100] text-[#5A3E00] mr-12",
+  bot: "bot-message bg-[#F9F4E9] text-[#5A3E00] mr-12"
+};
+
 /**
  * Component to display the list of messages
  * @param {Object} props - Component props
  * @param {Array} props.messages - List of message objects
  * @param {boolean} props.loading - Whether a message is being loaded
  * @param {Function} props.onActionClick - Function to handle action button clicks
- * @param {Function} props.onFeedbackClick - Function to handle feedback button clicks
+ * @param {string} props.conversationId - Conversation the messages belong to
+ * @param {Function} props.onFeedbackSubmit - Called with the feedback data after a rating is submitted
  */
-const MessageList = ({ messages = [], loading = false, onActionClick, onFeedbackClick }) => {
+const MessageList = ({ messages = [], loading = false, onActionClick, conversationId, onFeedbackSubmit }) => {
+  // ID of the bot message whose feedback form is open
+  const [feedbackMessageId, setFeedbackMessageId] = useState(null);
+
   if (!Array.isArray(messages)) {
     console.warn('MessageList received invalid messages prop:', messages);
     return (
@@ -27,16 +41,22 @@ const MessageList = ({ messages = [], loading = false, onActionClick, onFeedback
     <div className="h-96 overflow-y-auto border-b pb-4 flex flex-col space-y-3">
       {messages.map((msg, index) => (
         <div 
-          key={index} 
-          className={`chat-bubble ${
-            msg.role === "user" ? "user-message bg-[#715100] text-white text-right ml-12" : "bot-message bg-[#F9F4E9] text-[#5A3E00] mr-12"
-          } p-3 rounded-lg relative`}
+          key={msg.id || index} 
+          className={`chat-bubble ${BUBBLE_CLASSES[msg.role] || BUBBLE_CLASSES.bot} p-3 rounded-lg relative`}
         >
+          {msg.role === "staff" && (
+            <div className="text-xs font-semibold text-[#715100] mb-1">
+              {msg.staffName} · Milea team
+            </div>
+          )}
           {msg.component === "MileaMilesReferral" ? (
             <MileaMilesReferral />
           ) : (
             <>
               <div className="markdown-content" dangerouslySetInnerHTML={{ __html: parseMarkdown(msg.content) }} />
+              {msg.streaming && <span className="animate-pulse" aria-hidden="true">▍</span>}
+              {msg.productIds?.length > 0 && <WineCarousel productIds={msg.productIds} />}
+              {msg.sources && <SourceCitations sources={msg.sources} />}
               
               {/* Render action button if present */}
               {msg.action && (
@@ -59,15 +79,27 @@ const MessageList = ({ messages = [], loading = false, onActionClick, onFeedback
               )}
 
               {/* Add feedback button for bot messages */}
-              {msg.role === "bot" && !msg.feedbackSubmitted && (
+              {msg.role === "bot" && !msg.streaming && !msg.feedbackSubmitted && feedbackMessageId !== msg.id && (
                 <button
-                  onClick={() => onFeedbackClick(index)}
+                  onClick={() => setFeedbackMessageId(msg.id)}
                   className="absolute -right-2 -bottom-2 p-1 bg-white rounded-full shadow-md hover:bg-gray-50 transition-colors"
                   title="Provide feedback"
                 >
                   <ChatBubbleLeftIcon className="h-4 w-4 text-gray-600" />
                 </button>
               )}
+
+              {feedbackMessageId === msg.id && (
+                <div className="mt-3">
+                  <MessageFeedback
+                    messageId={msg.id}
+                    conversationId={conversationId}
+                    sources={msg.sources}
+                    onSubmit={(feedbackData) => onFeedbackSubmit && onFeedbackSubmit(feedbackData)}
+                    onClose={() => setFeedbackMessageId(null)}
+                  />
+                </div>
+              )}
             </>
           )}
         </div>
@@ -1,10 +1,13 @@
 import React from 'react';
+import { useChatSettings } from '../hooks/useChatSettings';
 
 /**
  * Component to display information about the Milea Miles referral program
  * with a link to the external portal
  */
 const MileaMilesReferral = () => {
+  const { milesPortalUrl } = useChatSettings();
+
   return (
     <div className="w-full flex flex-col items-center">
       <div className="w-full bg-amber-50 rounded-lg shadow-md p-4 border border-amber-200">
@@ -14,7 +17,7 @@ const MileaMilesReferral = () => {
         </p>
         <div className="flex justify-center">
           <a 
-            href="https://miles.mileaestatevineyard.com/" 
+            href={milesPortalUrl}
             target="_blank"
             rel="noopener noreferrer"
             className="inline-block bg-amber-800 text-white py-2 px-6 rounded-md font-medium hover:bg-amber-900 transition-colors"
@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from "react";
+import { fetchReservationExperiences, fetchReservationAvailability, createReservation } from "../services/apiService";
+import { buildReservationHandoffUrl, formatReservationTime } from "../utils/reservations";
+
+const inputClass = "w-full p-2 border border-[#715100] rounded bg-white text-sm";
+const primaryButtonClass = "px-4 py-2 text-sm font-medium text-white bg-[#5A3E00] rounded-md hover:bg-[#3D2900] disabled:opacity-50";
+const secondaryButtonClass = "px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50";
+
+// Today's date as YYYY-MM-DD, the earliest date that can be picked
+const today = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Guided booking card: pick a date, party size and experience, choose one of
+ * the available seatings and confirm. When online booking isn't available the
+ * guest continues on Tock with their choices filled in.
+ * @param {Object} props - Component props
+ * @param {Object} [props.initialValues] - { date, partySize } gathered in the conversation
+ * @param {string} props.reservationUrl - Winery page on Tock
+ * @param {Function} props.onComplete - Called with the confirmed reservation
+ * @param {Function} props.onHandoff - Called with the Tock URL when the guest continues there
+ * @param {Function} props.onClose - Called when the guest dismisses the card
+ */
+const ReservationBooking = ({ initialValues = {}, reservationUrl, onComplete, onHandoff, onClose }) => {
+  const [experiences, setExperiences] = useState([]);
+  const [details, setDetails] = useState({
+    date: initialValues.date || "",
+    partySize: initialValues.partySize || 2,
+    experience: "",
+    name: "",
+    email: ""
+  });
+  const [slots, setSlots] = useState(null);
+  const [time, setTime] = useState("");
+  // details -> times -> contact
+  const [step, setStep] = useState("details");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [handoffOnly, setHandoffOnly] = useState(false);
+
+  useEffect(() => {
+    fetchReservationExperiences()
+      .then(list => {
+        setExperiences(list);
+        setDetails(prev => ({ ...prev, experience: prev.experience || list[0]?.id || "" }));
+      })
+      .catch(() => setHandoffOnly(true));
+  }, []);
+
+  const handoffUrl = buildReservationHandoffUrl(reservationUrl, {
+    date: details.date,
+    partySize: details.partySize,
+    time
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDetails(prev => ({ ...prev, [name]: name === "partySize" ? Number(value) : value }));
+    setError("");
+  };
+
+  const handleFailure = (err) => {
+    setError(err.message);
+    if (err.handoff) {
+      setHandoffOnly(true);
+    }
+  };
+
+  const checkAvailability = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const found = await fetchReservationAvailability(details);
+      setSlots(found);
+      setTime("");
+      setStep("times");
+    } catch (err) {
+      handleFailure(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirm = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const reservation = await createReservation({ ...details, time });
+      onComplete(reservation);
+    } catch (err) {
+      handleFailure(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const availableSlots = (slots || []).filter(slot => slot.available);
+  const selectedExperience = experiences.find(experience => experience.id === details.experience);
+
+  return (
+    <div className="w-full p-4 my-2 bg-[#F9F4E9] rounded-lg shadow-md border border-[#715100]">
+      <h3 className="text-lg font-semibold text-[#5A3E00] mb-3">Book a Tasting</h3>
+
+      {handoffOnly ? (
+        <div className="space-y-3 text-sm text-gray-700">
+          <p>Online booking isn't available in the chat right now, but you can finish on Tock with your details filled in.</p>
+          {error && <p className="text-red-600">{error}</p>}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className={secondaryButtonClass}>Close</button>
+            <a
+              href={handoffUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={() => onHandoff(handoffUrl)}
+              className={primaryButtonClass}
+            >
+              Continue on Tock
+            </a>
+          </div>
+        </div>
+      ) : step === "details" ? (
+        <form onSubmit={checkAvailability} className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="reservation-date" className="block text-sm font-medium text-[#5A3E00] mb-1">Date</label>
+              <input
+                id="reservation-date"
+                type="date"
+                name="date"
+                min={today()}
+                required
+                value={details.date}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="reservation-party-size" className="block text-sm font-medium text-[#5A3E00] mb-1">Guests</label>
+              <input
+                id="reservation-party-size"
+                type="number"
+                name="partySize"
+                min="1"
+                max={selectedExperience?.maxPartySize || 12}
+                required
+                value={details.partySize}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="reservation-experience" className="block text-sm font-medium text-[#5A3E00] mb-1">Experience</label>
+            <select
+              id="reservation-experience"
+              name="experience"
+              required
+              value={details.experience}
+              onChange={handleChange}
+              className={inputClass}
+            >
+              {experiences.map(experience => (
+                <option key={experience.id} value={experience.id}>
+                  {experience.name} ({experience.durationMinutes} min)
+                </option>
+              ))}
+            </select>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className={secondaryButtonClass}>Cancel</button>
+            <button type="submit" disabled={busy || !details.experience} className={primaryButtonClass}>
+              {busy ? "Checking..." : "Check availability"}
+            </button>
+          </div>
+        </form>
+      ) : step === "times" ? (
+        <div className="space-y-3">
+          {availableSlots.length > 0 ? (
+            <>
+              <p className="text-sm text-gray-700">Choose a time:</p>
+              <div className="flex flex-wrap gap-2">
+                {availableSlots.map(slot => (
+                  <button
+                    key={slot.time}
+                    type="button"
+                    onClick={() => setTime(slot.time)}
+                    aria-pressed={time === slot.time}
+                    className={`px-3 py-1 text-sm rounded-full border border-[#715100] ${
+                      time === slot.time ? "bg-[#5A3E00] text-white" : "bg-white text-[#5A3E00]"
+                    }`}
+                  >
+                    {formatReservationTime(slot.time)}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-700">
+              There are no seatings left for {details.partySize} on that day. Try another date, or{" "}
+              <a href={handoffUrl} target="_blank" rel="noopener noreferrer" onClick={() => onHandoff(handoffUrl)} className="underline text-[#5A3E00]">
+                see more options on Tock
+              </a>.
+            </p>
+          )}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setStep("details")} className={secondaryButtonClass}>Back</button>
+            <button type="button" disabled={!time} onClick={() => setStep("contact")} className={primaryButtonClass}>
+              Continue
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={confirm} className="space-y-3">
+          <p className="text-sm text-gray-700">
+            {selectedExperience?.name} for {details.partySize} at {formatReservationTime(time)}. Who is the booking for?
+          </p>
+          <input
+            type="text"
+            name="name"
+            placeholder="Full name"
+            required
+            value={details.name}
+            onChange={handleChange}
+            className={inputClass}
+          />
+          <input
+            type="email"
+            name="email"
+            placeholder="Email"
+            required
+            value={details.email}
+            onChange={handleChange}
+            className={inputClass}
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={() => setStep("times")} className={secondaryButtonClass}>Back</button>
+            <button type="submit" disabled={busy} className={primaryButtonClass}>
+              {busy ? "Booking..." : "Confirm booking"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ReservationBooking;
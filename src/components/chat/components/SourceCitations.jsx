@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+
+/**
+ * Collapsible list of the knowledge-base sources behind a bot answer
+ * @param {Object} props - Component props
+ * @param {Array} props.sources - Citations ({ title, url, snippet })
+ */
+const SourceCitations = ({ sources = [] }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (sources.length === 0) return null;
+
+  return (
+    <div className="mt-2 text-xs">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="text-[#715100] underline hover:text-[#5A3E00]"
+        aria-expanded={expanded}
+      >
+        {expanded ? "Hide sources" : `Sources (${sources.length})`}
+      </button>
+      {expanded && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {sources.map((source, index) => {
+            const chipClass = "inline-block max-w-full truncate px-2 py-1 rounded-full bg-white border border-[#715100] text-[#5A3E00]";
+            return source.url ? (
+              <a
+                key={index}
+                href={source.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={source.snippet || source.title}
+                className={`${chipClass} hover:bg-[#715100] hover:text-white`}
+              >
+                {source.title}
+              </a>
+            ) : (
+              <span key={index} title={source.snippet || source.title} className={chipClass}>
+                {source.title}
+              </span>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SourceCitations;
@@ -1,45 +1,102 @@
-import React from "react";
+import React, { useId, useState } from "react";
 import { cleanText } from "../utils/textUtils";
+import { isProductAvailable } from "../utils/wineCatalog";
+import { useCart } from "../hooks/useCart";
+
+const MAX_QUANTITY = 12;
 
 /**
  * Component to display information about a wine
  * @param {Object} props - Component props
  * @param {Object} props.wine - Wine product data
- * @param {boolean} props.isAvailable - Whether the wine is currently available
+ * @param {boolean} [props.isAvailable] - Whether the wine is currently available
+ *   (defaults to the product's Commerce7 status)
  */
-const WineCard = ({ wine, isAvailable = true }) => {
+const WineCard = ({ wine, isAvailable }) => {
+  const { addItem, busy, error } = useCart();
+  const [quantity, setQuantity] = useState(1);
+  const [added, setAdded] = useState(false);
+  // The same wine can be shown in several replies, so its ID isn't unique on the page
+  const quantityId = useId();
+
   if (!wine) return null;
-  
+
+  const available = isAvailable ?? isProductAvailable(wine);
   const cleanedTitle = cleanText(wine.title);
-  const cleanedTeaser = wine.teaser ? cleanText(wine.teaser) : "";
-  const cleanedContent = cleanText(wine.content);
-  
+  // Tasting notes: the teaser when there is one, otherwise the description
+  const notes = cleanText(wine.teaser || wine.content || "");
+
   // Calculate price display
   const priceDisplay = wine.variants && wine.variants.length > 0 && wine.variants[0].price
     ? `$${(wine.variants[0].price / 100).toFixed(2)}`
     : "Price information unavailable";
-  
+  const canPurchase = available && Boolean(wine.variants?.[0]?.sku);
+
+  const handleAddToCart = async () => {
+    setAdded(false);
+    const cart = await addItem(wine, quantity);
+    if (cart) {
+      setAdded(true);
+      setQuantity(1);
+    }
+  };
+
   return (
-    <div className="wine-card bg-[#F9F4E9] p-4 rounded-lg border border-[#5A3E00] mb-4">
-      <h3 className="text-xl font-bold text-[#5A3E00] mb-2">{cleanedTitle}</h3>
-      
-      {!isAvailable && (
-        <div className="text-amber-600 font-medium mb-2">
-          ⚠️ This wine is not currently available
-        </div>
-      )}
-      
-      {cleanedTeaser && (
-        <p className="text-[#5A3E00] italic mb-2">{cleanedTeaser}</p>
+    <div className="wine-card flex gap-3 bg-white p-3 rounded-lg border border-[#5A3E00] h-full">
+      {wine.image && (
+        <img
+          src={wine.image}
+          alt={cleanedTitle}
+          loading="lazy"
+          className="w-16 h-28 object-contain flex-shrink-0"
+        />
       )}
-      
-      <p className="text-[#5A3E00] mb-3">{cleanedContent}</p>
-      
-      <div className="font-bold text-[#715100]">
-        {priceDisplay}
+      <div className="flex flex-col min-w-0">
+        <h3 className="text-base font-bold text-[#5A3E00] leading-tight">{cleanedTitle}</h3>
+
+        <div className="flex items-center gap-2 mt-1 text-sm">
+          <span className="font-bold text-[#715100]">{priceDisplay}</span>
+          {available ? (
+            <span className="text-green-700">In stock</span>
+          ) : (
+            <span className="text-amber-600">Not currently available</span>
+          )}
+        </div>
+
+        {notes && (
+          <p className="text-sm text-[#5A3E00] mt-2 line-clamp-3">{notes}</p>
+        )}
+
+        {canPurchase && (
+          <div className="flex items-center gap-2 mt-2">
+            <label className="sr-only" htmlFor={quantityId}>Quantity</label>
+            <select
+              id={quantityId}
+              value={quantity}
+              onChange={(e) => setQuantity(Number(e.target.value))}
+              disabled={busy}
+              className="px-1 py-1 text-sm border border-[#5A3E00] rounded bg-white text-[#5A3E00]"
+            >
+              {Array.from({ length: MAX_QUANTITY }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleAddToCart}
+              disabled={busy}
+              className="px-3 py-1 text-sm bg-[#5A3E00] text-white rounded hover:bg-[#715100] disabled:opacity-50"
+            >
+              {busy ? "Adding..." : "Add to cart"}
+            </button>
+            {added && !busy && <span className="text-xs text-green-700">Added</span>}
+          </div>
+        )}
+        {canPurchase && error && (
+          <p className="text-xs text-red-600 mt-1">{error}</p>
+        )}
       </div>
     </div>
   );
 };
 
-export default WineCard;
\ No newline at end of file
+export default WineCard;
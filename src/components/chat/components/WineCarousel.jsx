@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+import WineCard from "./WineCard";
+import { useWineCatalog } from "../hooks/useWineCatalog";
+
+/**
+ * Wine cards for the products referenced by a message, one at a time with
+ * previous/next controls when there are several
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.productIds - Commerce7 product IDs
+ */
+const WineCarousel = ({ productIds = [] }) => {
+  const { getById } = useWineCatalog();
+  const [index, setIndex] = useState(0);
+
+  // Products that have left the catalog since the message was sent are skipped
+  const wines = productIds.map(getById).filter(Boolean);
+  if (wines.length === 0) return null;
+
+  const current = Math.min(index, wines.length - 1);
+  const navButtonClass = "px-2 py-1 text-[#5A3E00] rounded hover:bg-white disabled:opacity-30";
+
+  return (
+    <div className="mt-3" role="group" aria-roledescription="carousel" aria-label="Wines">
+      <WineCard wine={wines[current]} />
+      {wines.length > 1 && (
+        <div className="flex items-center justify-between mt-1 text-xs text-[#715100]">
+          <button
+            onClick={() => setIndex(current - 1)}
+            disabled={current === 0}
+            className={navButtonClass}
+            aria-label="Previous wine"
+          >
+            ‹ Prev
+          </button>
+          <span>{current + 1} / {wines.length}</span>
+          <button
+            onClick={() => setIndex(current + 1)}
+            disabled={current === wines.length - 1}
+            className={navButtonClass}
+            aria-label="Next wine"
+          >
+            Next ›
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WineCarousel;
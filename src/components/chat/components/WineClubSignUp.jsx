@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { submitWineClubMembership, checkExistingCustomer } from '../services/apiService';
+import { useChatSettings } from '../hooks/useChatSettings';
 
 const WineClubSignup = ({ preSelectedClub = null, onSubmit, onCancel }) => {
   // State for multi-step form
@@ -58,12 +59,8 @@ const WineClubSignup = ({ preSelectedClub = null, onSubmit, onCancel }) => {
   const [isExistingCustomer, setIsExistingCustomer] = useState(false);
   const [isCheckingCustomer, setIsCheckingCustomer] = useState(false);
   
-  // Club details
-  const clubOptions = [
-    { id: '2ba4f45e-51b9-45af-ab34-6162b9383948', name: 'Jumper', description: 'Our entry-level club with quarterly shipments of 3 bottles.' },
-    { id: 'a708a00a-2bd6-4f5d-9ce6-e1e37b107808', name: 'Grand Prix', description: 'Mid-tier club with quarterly shipments of 6 bottles and exclusive access to limited releases.' },
-    { id: '0a2dbd7e-656c-4cb9-a0c7-146187fccefe', name: 'Triple Crown', description: 'Premium club with quarterly shipments of 12 bottles and special member events.' }
-  ];
+  // Club details (configured from the dashboard Settings page)
+  const { clubs: clubOptions } = useChatSettings();
   
   // Set preselected club if provided
   useEffect(() => {
@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from "react";
+import { cartService } from "../services/cartService";
+
+/**
+ * The visitor's cart. Re-renders whenever any component changes it.
+ * @returns {Object} - { cart, busy, error, addItem, updateQuantity, removeItem, checkout }
+ */
+export const useCart = () => {
+  const [cart, setCart] = useState(() => cartService.getCart());
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = cartService.subscribe(updated => {
+      if (active) setCart(updated);
+    });
+
+    cartService.load().catch(err => {
+      console.warn("Could not load cart:", err.message);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  // Run a cart change, exposing progress and the last error to the component
+  const run = useCallback(async (change) => {
+    setBusy(true);
+    setError(null);
+    try {
+      return await change();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  return {
+    cart,
+    busy,
+    error,
+    addItem: (product, quantity) => run(() => cartService.addItem(product, quantity)),
+    updateQuantity: (itemId, quantity) => run(() => cartService.updateQuantity(itemId, quantity)),
+    removeItem: (itemId) => run(() => cartService.removeItem(itemId)),
+    // The checkout page owns the cart from here on
+    checkout: () => cartService.clear()
+  };
+};
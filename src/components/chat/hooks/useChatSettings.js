@@ -0,0 +1,38 @@
+import { useState, useEffect } from "react";
+import { fetchChatSettings } from "../services/apiService";
+import { DEFAULT_CHAT_SETTINGS, mergeChatSettings } from "../utils/defaultSettings";
+
+// Settings are fetched once per page load and shared by every component
+let settingsPromise = null;
+
+/**
+ * Load chatbot settings, falling back to the defaults if the backend is unavailable
+ * @returns {Promise<Object>} - Complete settings object
+ */
+export const loadChatSettings = () => {
+  if (!settingsPromise) {
+    settingsPromise = fetchChatSettings()
+      .then(mergeChatSettings)
+      .catch((error) => {
+        console.warn("Using default chat settings:", error.message);
+        return DEFAULT_CHAT_SETTINGS;
+      });
+  }
+  return settingsPromise;
+};
+
+export const useChatSettings = () => {
+  const [settings, setSettings] = useState(DEFAULT_CHAT_SETTINGS);
+
+  useEffect(() => {
+    let active = true;
+    loadChatSettings().then((loaded) => {
+      if (active) setSettings(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return settings;
+};
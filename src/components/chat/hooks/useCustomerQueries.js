@@ -301,86 +301,7 @@ export const useCustomerQueries = () => {
             What specific information would you like to know?`;
   };
 
-  // Detect if a question requires authentication
-  const requiresAuthentication = (text) => {
-    const textLower = text.toLowerCase();
-    
-    // Modified check for loyalty points related to personal account information
-    if ((textLower.includes("loyalty point") && (textLower.includes("my") || textLower.includes("i have"))) || 
-        (textLower.includes("milea miles") && (textLower.includes("my") || textLower.includes("i have"))) || 
-        (textLower.includes("reward point") && (textLower.includes("my") || textLower.includes("i have"))) || 
-        (textLower.includes("points") && (textLower.includes("my") || textLower.includes("i have"))) ||
-        (textLower.includes("miles") && (textLower.includes("my") || textLower.includes("i have")))) {
-      return true;
-    }
-
-    // Check for specific personal account queries about loyalty/miles
-    if (textLower.includes("how many") && 
-        (textLower.includes("points") || textLower.includes("miles"))) {
-      return true;
-    }
-
-    // Check for queries about redeeming personal points
-    if ((textLower.includes("redeem") || textLower.includes("use")) && 
-        (textLower.includes("my points") || textLower.includes("my miles"))) {
-      return true;
-    }
-
-    // Add a specific exclusion for general info queries about loyalty program
-    if ((textLower.includes("what is") || textLower.includes("tell me about") || 
-         textLower.includes("explain") || textLower.includes("what are") || 
-         textLower.includes("how does") || textLower.includes("information")) && 
-        (textLower.includes("milea miles") || textLower.includes("loyalty program") || 
-         textLower.includes("rewards program"))) {
-      return false;
-    }
-    
-    // EXCLUDE general wine club information requests
-    if (textLower.includes("join") && textLower.includes("wine club") || 
-        textLower.includes("joining") && textLower.includes("wine club") || 
-        textLower.includes("information") && textLower.includes("wine club") || 
-        textLower.includes("about") && textLower.includes("wine club") || 
-        textLower.includes("learn") && textLower.includes("wine club")) {
-      return false;
-    }
-    
-    // Direct check for club membership queries - MODIFIED to be more specific
-    if ((textLower.includes("club member") && textLower.includes("my")) || 
-        (textLower.includes("wine club") && (textLower.includes("my") || textLower.includes("i a member"))) || 
-        textLower.includes("am i a member") || 
-        textLower.includes("my club") || 
-        (textLower.includes("club membership") && textLower.includes("my")) || 
-        textLower.includes("when did i sign")) {
-      return true;
-    }
-    
-    const authPatterns = [
-      "my account",
-      "my order",
-      "my purchase", 
-      "my wine",
-      "my profile",
-      "my loyalty",
-      "my points",
-      "my membership",
-      "my subscription",
-      "my history",
-      "my wines",
-      "my shipment",
-      "last order",
-      "recent purchase",
-      "what did i",
-      "what have i",
-      "i ordered",
-      "i bought",
-      "did i buy"
-    ];
-    
-    return authPatterns.some(pattern => textLower.includes(pattern));
-  };
-
   return {
-    processAuthenticatedQuestion,
-    requiresAuthentication
+    processAuthenticatedQuestion
   };
 };
\ No newline at end of file
@@ -1,13 +1,48 @@
-import { useState, useEffect } from "react";
-import { fetchWineData, processChatRequest, initiateSmsConversation, sendSmsMessage, submitFeedback } from "../services/apiService";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { requestChatResponse, fetchPopularWines, initiateSmsConversation, sendSmsMessage, openConversation, saveConversationMessages, getSessionId } from "../services/apiService";
 import { useWineSearch } from "./useWineSearch";
 import { useAuthentication } from "./useAuthentication";
 import { useCustomerQueries } from "./useCustomerQueries";
-import { isReservationQuery } from '../utils/queryHelpers';
+import { useChatSettings } from "./useChatSettings";
+import { intentClassifier } from '../utils/intents';
+import { resolveTurn, describeSlots, extractWineName, SLOT_QUESTIONS, INITIAL_CONVERSATION_STATE } from "../utils/conversationState";
+import { buildConversationHistory, buildCustomerContext } from "../utils/chatContext";
+import { formatReservationDate, formatReservationTime } from "../utils/reservations";
+import { answerHoursQuestion } from "../utils/businessHours";
+import { getBusinessHours } from "../services/businessHoursService";
+import { recommendWines, formatRecommendations } from "../utils/recommendations";
+import { pairWines, formatPairing } from "../utils/foodPairing";
+import { parseWineQuery, hasFacets, filterWines, formatFacetedResults } from "../utils/wineFacets";
+import { wineCatalog } from "../services/wineCatalogService";
 import { analyticsService } from '../services/analyticsService';
+import { liveChatService } from '../services/liveChatService';
+
+/**
+ * Create a unique message ID, used for feedback and transcript storage
+ * @returns {string} - Message ID
+ */
+const createMessageId = () =>
+  `msg_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+// Wines named in a search answer, and shown as cards under it
+const MAX_LISTED_WINES = 5;
+
+const withMessageIds = (messages) =>
+  messages.map(msg => (msg.id ? msg : { ...msg, id: createMessageId() }));
+
+// Messages that are stored in the server-side transcript (greetings, components
+// and answers that are still streaming are not; staff replies are stored by the
+// live monitor server; private account replies stay in the browser)
+const isStorableMessage = (msg) =>
+  msg.role !== "staff" && !msg.private && !msg.isGreeting && !msg.component && !msg.streaming &&
+  typeof msg.content === "string" && msg.content.trim() !== "";
 
 export const useMessages = () => {
-  const [messages, setMessages] = useState([]);
+  const [messages, setRawMessages] = useState([]);
+  // Every message gets a stable ID when it is added
+  const setMessages = useCallback((update) => {
+    setRawMessages(prev => withMessageIds(typeof update === "function" ? update(prev) : update));
+  }, []);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
   const [pendingQuestion, setPendingQuestion] = useState(null);
@@ -17,12 +52,22 @@ export const useMessages = () => {
   // Add new state for SMS functionality
   const [showSmsContactForm, setShowSmsContactForm] = useState(false);
   const [activeSmsChat, setActiveSmsChat] = useState(null);
+  // Date and party size for the booking card, or null when it is hidden
+  const [reservationRequest, setReservationRequest] = useState(null);
+  // Staff member who has taken over the conversation from the dashboard
+  const [humanAgent, setHumanAgent] = useState(null);
+  const humanAgentRef = useRef(null);
+  // Cancels the chat request still in flight when a new message is sent
+  const chatRequestController = useRef(null);
+  // Active intent and the slots filled so far, carried across turns
+  const conversationState = useRef(INITIAL_CONVERSATION_STATE);
   
   const { 
     formatProductData, 
     findWineMatches, 
     formatWineResponse,
-    handleUnavailableWine 
+    handleUnavailableWine,
+    findWinesByVariety
   } = useWineSearch();
   
   const {
@@ -42,16 +87,18 @@ export const useMessages = () => {
   } = useAuthentication();
   
   const {
-    processAuthenticatedQuestion,
-    requiresAuthentication
+    processAuthenticatedQuestion
   } = useCustomerQueries();
   
+  const settings = useChatSettings();
+  
   // Add initialization message and check for existing login
   useEffect(() => {
     setMessages([
       { 
         role: "bot", 
-        content: "👋 Hello! I'm your Milea Wine assistant. Ask me about our wines, club memberships, check your Milea Miles balance, send free tastings or join our mailing list by typing 'subscribe'."
+        content: settings.greeting,
+        isGreeting: true
       }
     ]);
     
@@ -64,6 +111,13 @@ export const useMessages = () => {
     return setupAutoLogout();
   }, []);
   
+  // Swap in the configured greeting once settings have loaded
+  useEffect(() => {
+    setMessages(prev => prev.map(msg => 
+      msg.isGreeting ? { ...msg, content: settings.greeting } : msg
+    ));
+  }, [settings.greeting, setMessages]);
+  
   // Add cleanup effect for analytics
   useEffect(() => {
     return () => {
@@ -71,8 +125,125 @@ export const useMessages = () => {
     };
   }, []);
   
+  // Open the stored conversation and restore its transcript so a page reload
+  // doesn't lose it. The transcript, live monitor and feedback all use the
+  // conversation ID it resolves to.
+  const [conversation, setConversation] = useState(null);
+  const conversationId = conversation ? conversation.conversationId : getSessionId();
+  const publishedIds = useRef(new Set());
+  const savedIds = useRef(new Set());
+  const saveQueue = useRef(Promise.resolve());
+  useEffect(() => {
+    let cancelled = false;
+    
+    openConversation()
+      .then(opened => {
+        if (cancelled) return;
+        const restored = opened.messages.map(msg => ({
+          id: msg.messageId || createMessageId(),
+          role: msg.role,
+          content: msg.content,
+          staffName: msg.staffName,
+          sources: msg.sources,
+          productIds: msg.productIds
+        }));
+        restored.forEach(msg => {
+          publishedIds.current.add(msg.id);
+          savedIds.current.add(msg.id);
+        });
+        if (restored.length > 0) {
+          setMessages(prev => [
+            ...prev.filter(msg => msg.isGreeting),
+            ...restored,
+            ...prev.filter(msg => !msg.isGreeting)
+          ]);
+        }
+        setConversation(opened);
+      })
+      .catch(error => {
+        console.warn("Could not restore conversation:", error.message);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [setMessages]);
+  
+  // Append new messages to the stored transcript, in order
+  useEffect(() => {
+    const unsaved = messages.filter(msg => isStorableMessage(msg) && !savedIds.current.has(msg.id));
+    if (unsaved.length === 0) return;
+    
+    unsaved.forEach(msg => savedIds.current.add(msg.id));
+    const payload = unsaved.map(msg => ({
+      messageId: msg.id,
+      role: msg.role,
+      content: msg.content,
+      sources: msg.sources,
+      productIds: msg.productIds,
+      timestamp: new Date().toISOString()
+    }));
+    saveQueue.current = saveQueue.current
+      .then(() => openConversation())
+      .then(opened => {
+        // Opening may have failed at mount and succeeded on this retry
+        setConversation(current => current || opened);
+        return saveConversationMessages(opened, payload);
+      })
+      .catch(error => {
+        console.warn("Could not save conversation messages:", error.message);
+      });
+  }, [messages]);
+  
+  // Stream the conversation to the dashboard's live monitor once it is open
+  useEffect(() => {
+    if (!conversation) return;
+    
+    liveChatService.connect(conversation);
+    const unsubscribe = liveChatService.subscribeToTakeover({
+      onTakeoverStart: ({ staffName }) => {
+        humanAgentRef.current = staffName;
+        chatRequestController.current?.abort();
+        setHumanAgent(staffName);
+        setLoading(false);
+        setMessages(prev => [
+          ...prev,
+          { role: "bot", content: `You're now chatting with ${staffName} from the Milea team.` }
+        ]);
+      },
+      onStaffMessage: ({ messageId, content, staffName }) => {
+        setMessages(prev => [...prev, { id: messageId, role: "staff", content, staffName }]);
+      },
+      onTakeoverEnd: () => {
+        humanAgentRef.current = null;
+        setHumanAgent(null);
+        setMessages(prev => [
+          ...prev,
+          { role: "bot", content: "You're back with the Milea assistant. How else can I help?" }
+        ]);
+      }
+    });
+    return () => {
+      unsubscribe();
+      liveChatService.endSession();
+    };
+  }, [conversation, setMessages]);
+  
+  // Staff replies already come from the monitor, so only user and bot messages
+  // are published; private account replies stay in the browser
+  useEffect(() => {
+    if (!conversation) return;
+    messages.forEach(msg => {
+      if (msg.streaming || publishedIds.current.has(msg.id)) return;
+      publishedIds.current.add(msg.id);
+      if (msg.role !== "staff" && !msg.private) {
+        liveChatService.publishMessage(msg.content, msg.role);
+      }
+    });
+  }, [messages, conversation]);
+  
   // Add this function to intercept RAG responses related to wine clubs
-  const interceptRagResponse = (response, query) => {
+  const interceptRagResponse = (response, query, clubLevel = null) => {
     // Check if the response is about wine clubs but doesn't include the signup button
     if (
       (query.toLowerCase().includes('club') || 
@@ -94,7 +265,7 @@ export const useMessages = () => {
             action: {
               type: "club-signup",
               text: "Join Wine Club",
-              clubLevel: null // Let the user select during signup
+              clubLevel // When null, the user selects during signup
             }
           }
         ]);
@@ -110,14 +281,14 @@ export const useMessages = () => {
       async (customerInfo) => {
         setMessages(prev => [
           ...prev, 
-          { role: "bot", content: `✅ Login successful! Welcome back, ${customerInfo.firstName || 'valued customer'}. I can now provide information about your account.` }
+          { role: "bot", content: `✅ Login successful! Welcome back, ${customerInfo.firstName || 'valued customer'}. I can now provide information about your account.`, private: true }
         ]);
         
         // Process pending question if any
         if (pendingQuestion) {
           try {
             const response = await processAuthenticatedQuestion(pendingQuestion, customerInfo);
-            setMessages(prev => [...prev, { role: "bot", content: response }]);
+            setMessages(prev => [...prev, { role: "bot", content: response, private: true }]);
           } catch (error) {
             console.error("Error processing authenticated question:", error);
             setMessages(prev => [
@@ -152,51 +323,6 @@ export const useMessages = () => {
     ]);
     setShowMailingListSignup(false);
   };
-  
-  // Check if text contains referral-related keywords
-  const isReferralRequest = (text) => {
-    const textLower = text.toLowerCase();
-    
-    // Define patterns that indicate referral intent
-    const referralPatterns = [
-      'send free tasting',
-      'free tasting',
-      'send tasting',
-      'send a free',
-      'send a tasting',
-      'refer friend',
-      'refer a friend',
-      'invite friend',
-      'share tasting',
-      'gift tasting',
-      'give tasting',
-      'free wine tasting',
-      'miles referral',
-      'milea miles',
-      'miles program'
-    ];
-    
-    return referralPatterns.some(pattern => textLower.includes(pattern));
-  };
-  
-  // Add function to check for SMS-related requests
-  const isSmsRequest = (text) => {
-    const textLower = text.toLowerCase();
-    const smsPatterns = [
-      'text us',
-      'text you',
-      'send you a text',
-      'send a text',
-      'text message',
-      'sms',
-      'message you',
-      'message the winery',
-      'contact via text',
-      'text contact'
-    ];
-    
-    return smsPatterns.some(pattern => textLower.includes(pattern));
-  };
 
   // Add handler functions for SMS
   const handleSmsFormSuccess = (data) => {
@@ -221,9 +347,41 @@ export const useMessages = () => {
     setActiveSmsChat(null);
   };
 
+  // Booking card handlers
+  const handleReservationComplete = (reservation) => {
+    const guests = reservation.partySize === 1 ? "1 guest" : `${reservation.partySize} guests`;
+    setMessages(prev => [
+      ...prev,
+      {
+        role: "bot",
+        content: `✅ You're booked! ${reservation.experience.name} for ${guests} on ${formatReservationDate(reservation.date)} at ${formatReservationTime(reservation.time)}. Your confirmation code is ${reservation.confirmationCode}.`
+      }
+    ]);
+    setReservationRequest(null);
+    conversationState.current = INITIAL_CONVERSATION_STATE;
+  };
+
+  const handleReservationHandoff = () => {
+    setMessages(prev => [
+      ...prev,
+      { role: "bot", content: "I've opened Tock with your details filled in so you can finish booking there." }
+    ]);
+    setReservationRequest(null);
+    conversationState.current = INITIAL_CONVERSATION_STATE;
+  };
+
+  const handleReservationClose = () => {
+    setReservationRequest(null);
+  };
+
   // Message sending logic
   const sendMessage = async () => {
     if (!input.trim()) return;
+    // Earlier turns go to the RAG backend so it can follow the conversation
+    const history = buildConversationHistory(messages, {
+      maxTurns: settings.contextTurns,
+      tokenBudget: settings.contextTokenBudget
+    });
     const updatedMessages = [...messages, { role: "user", content: input }];
     setMessages(updatedMessages);
     
@@ -231,112 +389,209 @@ export const useMessages = () => {
     analyticsService.trackMessage(input, 'user');
     
     setInput("");
+    
+    // A new message cancels any answer that is still on its way
+    chatRequestController.current?.abort();
+    
+    // A staff member is replying from the dashboard; the bot stays quiet
+    if (humanAgentRef.current) {
+      return;
+    }
+    
+    const controller = new AbortController();
+    chatRequestController.current = controller;
     setLoading(true);
     
-    try {
-      let botResponse;
-      const userInput = input.toLowerCase();
-      
-      // Check for SMS requests
-      if (isSmsRequest(userInput)) {
-        setShowSmsContactForm(true);
-        botResponse = "I'd be happy to help you send us a text message. Please fill out the form below:";
+    // RAG answers stream into a bot bubble that is created on the first token
+    let streamedMessageId = null;
+    let streamedText = "";
+    const fetchRagResponse = (query, slots) => requestChatResponse(query, {
+      signal: controller.signal,
+      context: { history, customer: buildCustomerContext(authToken ? customerData : null, slots) },
+      onToken: (token) => {
+        streamedText += token;
+        const content = streamedText;
+        if (!streamedMessageId) {
+          streamedMessageId = createMessageId();
+          const id = streamedMessageId;
+          setLoading(false);
+          setMessages(prev => [...prev, { id, role: "bot", content, streaming: true }]);
+        } else {
+          const id = streamedMessageId;
+          setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, content } : msg)));
+        }
       }
-      // Check for reservation queries
-      else if (isReservationQuery(userInput)) {
-        botResponse = "We recommend making reservations online through Tock for the most convenient booking experience. Our tasting experiences can be booked quickly and easily.";
-        
-        // Add a message with a reservation booking action button
-        setMessages(prev => [
-          ...prev, 
-          { 
-            role: "bot", 
-            content: botResponse,
-            action: {
-              type: "external-link",
-              text: "Make Your Reservation Online",
-              url: "https://www.exploretock.com/mileaestatevineyard/"
-            }
-          }
-        ]);
-        return;
+    });
+    
+    // Ask the RAG endpoint, keeping any citations that come back. Follow-ups
+    // carry the earlier turns' slots so "what about that one?" can be answered
+    const askRag = async ({ intent, slots, continued }) => {
+      const context = continued ? describeSlots(intent, slots) : "";
+      const query = context ? `${context} ${input}` : input;
+      try {
+        console.log("📡 Sending query to RAG endpoint:", query);
+        const { response, sources } = await fetchRagResponse(query, slots);
+        // Wines named in this message are shown as cards under the answer
+        const wineName = extractWineName(input.toLowerCase());
+        const wines = wineName ? findWinesByVariety(wineName) : [];
+        return {
+          content: interceptRagResponse(response, input, slots.clubLevel),
+          sources,
+          productIds: wines.map(wine => wine.id)
+        };
+      } catch (error) {
+        if (controller.signal.aborted) throw error;
+        console.error("❌ Error calling RAG endpoint:", error);
+        return { content: "I'm sorry, I couldn't process your request. Please try again later." };
       }
-      
-      // *** NEW: Check for referral request first ***
-      if (isReferralRequest(userInput)) {
+    };
+    
+    // One handler per intent in the classifier's registry; each receives the
+    // resolved turn and returns the bot reply
+    const intentHandlers = {
+      sms: () => {
+        setShowSmsContactForm(true);
+        return { content: "I'd be happy to help you send us a text message. Please fill out the form below:" };
+      },
+      // Collect the date and party size, then open the booking card with them filled in
+      reservation: ({ slots, missingSlot }) => {
+        if (missingSlot) {
+          const isFirstQuestion = Object.keys(slots).length === 0;
+          return {
+            content: isFirstQuestion
+              ? `I'd be happy to help you plan a tasting. ${SLOT_QUESTIONS[missingSlot]}`
+              : SLOT_QUESTIONS[missingSlot]
+          };
+        }
+        setReservationRequest({ date: slots.date, partySize: slots.partySize });
+        const guests = slots.partySize === 1 ? "1 guest" : `${slots.partySize} guests`;
+        return {
+          content: `Let's find a time for ${guests} on ${formatReservationDate(slots.date)}. Choose an experience below and I'll check what's available.`
+        };
+      },
+      referral: () => {
         setShowMilesReferral(true);
-        botResponse = "You can send free wine tastings to friends through our Milea Miles program! I've provided a link below to access the Milea Miles portal where you can send referrals:";
-      }
-      // Check for mailing list signup request
-      else if (userInput.includes("subscribe") || 
-          userInput.includes("sign up") ||
-          userInput.includes("mailing list") || 
-          userInput.includes("newsletter") ||
-          userInput.includes("email list") ||
-          userInput.includes("join list")) {
-        // Show the mailing list signup form
+        return { content: "You can send free wine tastings to friends through our Milea Miles program! I've provided a link below to access the Milea Miles portal where you can send referrals:" };
+      },
+      mailing_list: () => {
         setShowMailingListSignup(true);
-        botResponse = "I'd be happy to help you subscribe to our mailing list. Please fill out the form below:";
-      }
-      // Check for logout requests
-      else if (userInput.includes("log me out") || 
-               userInput.includes("logout") || 
-               userInput.includes("log out") || 
-               userInput.includes("sign out") ||
-               userInput.includes("sign me out")) {
-        if (authToken) {
-          // User is logged in, so log them out
-          logout();
-          botResponse = "You have been logged out successfully. Your session has ended.";
-        } else {
-          // User isn't logged in
-          botResponse = "You're not currently logged in.";
+        return { content: "I'd be happy to help you subscribe to our mailing list. Please fill out the form below:" };
+      },
+      logout: () => {
+        if (!authToken) {
+          return { content: "You're not currently logged in." };
         }
-      }
-      // Handle general wine club info via RAG
-      else if ((userInput.includes("join") && userInput.includes("wine club")) ||
-               (userInput.includes("joining") && userInput.includes("wine club")) ||
-               (userInput.includes("information") && userInput.includes("wine club")) ||
-               (userInput.includes("about") && userInput.includes("wine club")) ||
-               (userInput.includes("learn") && userInput.includes("wine club"))) {
+        logout();
+        return { content: "You have been logged out successfully. Your session has ended." };
+      },
+      // Answered from the posted schedule; the knowledge base is the fallback
+      hours: async (turn) => {
         try {
-          console.log("📡 Sending wine club query to RAG endpoint:", input);
-          // Use the processChatRequest function which now calls the RAG endpoint
-          const response = await processChatRequest(input);
-          botResponse = interceptRagResponse(response, input);
+          const answer = answerHoursQuestion(await getBusinessHours(), input);
+          return answer ? { content: answer } : askRag(turn);
         } catch (error) {
-          console.error("❌ Error calling RAG endpoint:", error);
-          botResponse = "I'm sorry, I couldn't process your request. Please try again later.";
+          console.error("❌ Error fetching business hours:", error);
+          return askRag(turn);
         }
-      }
-      // Check for queries requiring authentication
-      else if (requiresAuthentication(userInput)) {
+      },
+      // Catalog filtered by the color, variety, price, vintage and sweetness asked for
+      wine_search: async (turn) => {
+        const facets = parseWineQuery(input);
+        if (!hasFacets(facets) && !facets.sort) {
+          return askRag(turn);
+        }
+        try {
+          const wines = filterWines(await wineCatalog.load(), facets);
+          return {
+            content: formatFacetedResults(facets, wines, MAX_LISTED_WINES),
+            productIds: wines.slice(0, MAX_LISTED_WINES).map(wine => wine.id)
+          };
+        } catch (error) {
+          console.error("❌ Error searching wines:", error);
+          return askRag(turn);
+        }
+      },
+      // Wine styles for the dishes mentioned, matched against the catalog;
+      // questions about dishes the rule table doesn't know go to the knowledge base
+      pairing: async (turn) => {
         try {
-          if (authToken) {
-            // User is already logged in
-            botResponse = await processAuthenticatedQuestion(userInput, customerData);
-          } else {
-            // User needs to log in
-            setShowLoginForm(true);
-            setPendingQuestion(userInput);
-            botResponse = "Let's look that up. First, you need to log in to your account.";
+          const result = pairWines(input, await wineCatalog.load());
+          if (result.rules.length === 0) {
+            return askRag(turn);
           }
+          return {
+            content: formatPairing(result),
+            productIds: result.wines.map(({ product }) => product.id)
+          };
         } catch (error) {
-          console.error("❌ Error processing authenticated question:", error);
-          botResponse = "I'm having trouble accessing your account information right now. Please try again later.";
+          console.error("❌ Error building pairing:", error);
+          return askRag(turn);
+        }
+      },
+      // Suggestions from the guest's order history, or best sellers when anonymous
+      recommendation: async (turn) => {
+        try {
+          const [products, popularIds] = await Promise.all([wineCatalog.load(), fetchPopularWines()]);
+          const result = recommendWines({
+            products,
+            orders: authToken ? customerData?.orders : [],
+            popularIds
+          });
+          if (result.recommendations.length === 0) {
+            return askRag(turn);
+          }
+          const content = formatRecommendations(result);
+          return {
+            content: authToken ? content : `${content} Log in and I can tailor suggestions to the wines you've ordered.`,
+            productIds: result.recommendations.map(({ product }) => product.id)
+          };
+        } catch (error) {
+          console.error("❌ Error building recommendations:", error);
+          return askRag(turn);
+        }
+      },
+      // General wine club information comes from the knowledge base
+      club: askRag,
+      account: async () => {
+        if (!authToken) {
+          setShowLoginForm(true);
+          setPendingQuestion(input.toLowerCase());
+          return { content: "Let's look that up. First, you need to log in to your account." };
         }
-      }
-      // All other queries (wine and general) - USE RAG ENDPOINT
-      else {
         try {
-          console.log("📡 Sending query to RAG endpoint:", input);
-          // Use the processChatRequest function which now calls the RAG endpoint
-          const response = await processChatRequest(input);
-          botResponse = interceptRagResponse(response, input);
+          return { content: await processAuthenticatedQuestion(input.toLowerCase(), customerData), private: true };
         } catch (error) {
-          console.error("❌ Error calling RAG endpoint:", error);
-          botResponse = "I'm sorry, I couldn't process your request. Please try again later.";
+          console.error("❌ Error processing authenticated question:", error);
+          return { content: "I'm having trouble accessing your account information right now. Please try again later." };
         }
+      },
+      rag: askRag
+    };
+    
+    // Stop the streamed reply where it is and leave it marked as cancelled
+    const cancelStreamedMessage = () => {
+      const id = streamedMessageId;
+      if (id) {
+        setMessages(prev => prev.map(msg => (
+          msg.id === id ? { ...msg, streaming: false, cancelled: true } : msg
+        )));
+      }
+    };
+
+    try {
+      const classification = intentClassifier.classify(input);
+      const turn = resolveTurn(conversationState.current, input, classification, { clubs: settings.clubs });
+      conversationState.current = turn.state;
+      analyticsService.trackIntent(turn.intent, classification.confidence);
+      
+      const handler = intentHandlers[turn.intent] || intentHandlers.rag;
+      const { content: botResponse, sources: botSources = [], productIds = [], action, private: isPrivate = false } = await handler(turn);
+      
+      // Drop replies that arrive after a newer message cancelled this one or a
+      // staff member took over; handlers that don't stream can still resolve
+      if (controller.signal.aborted || humanAgentRef.current) {
+        cancelStreamedMessage();
+        return;
       }
       
       // Track bot response
@@ -344,14 +599,29 @@ export const useMessages = () => {
         analyticsService.trackMessage(botResponse, 'bot');
       }
       
-      setMessages(prev => [...prev, { role: "bot", content: botResponse }]);
+      if (streamedMessageId) {
+        const id = streamedMessageId;
+        setMessages(prev => prev.map(msg => (
+          msg.id === id ? { ...msg, content: botResponse, sources: botSources, productIds, streaming: false } : msg
+        )));
+      } else {
+        setMessages(prev => [...prev, { role: "bot", content: botResponse, sources: botSources, productIds, action, private: isPrivate }]);
+      }
     } catch (error) {
+      // Cancelled by a newer message or a staff takeover: keep what was streamed so far
+      if (controller.signal.aborted) {
+        cancelStreamedMessage();
+        return;
+      }
       console.error("Error processing message:", error);
       const errorMessage = "I'm having trouble processing your request. Please try again.";
       analyticsService.trackMessage(errorMessage, 'bot');
       setMessages(prev => [...prev, { role: "bot", content: errorMessage }]);
     } finally {
-      setLoading(false);
+      if (chatRequestController.current === controller) {
+        chatRequestController.current = null;
+        setLoading(false);
+      }
     }
   };
 
@@ -372,33 +642,25 @@ export const useMessages = () => {
     ]);
   };
 
-  // Add feedback handling
-  const handleFeedback = async (feedbackData) => {
-    try {
-      // Submit feedback to the API
-      await submitFeedback(feedbackData);
-
-      // Update the message to show feedback was submitted
-      setMessages(prev => prev.map(msg => 
-        msg.id === feedbackData.messageId
-          ? { ...msg, feedbackSubmitted: true }
-          : msg
-      ));
+  // Record feedback once MessageFeedback has submitted it
+  const handleFeedback = (feedbackData) => {
+    // Update the message to show feedback was submitted
+    setMessages(prev => prev.map(msg => 
+      msg.id === feedbackData.messageId
+        ? { ...msg, feedbackSubmitted: true }
+        : msg
+    ));
 
-      // Track feedback in analytics
-      analyticsService.trackFeedback(feedbackData.rating, feedbackData.comment);
-      
-      return true;
-    } catch (error) {
-      console.error("Error submitting feedback:", error);
-      throw error;
-    }
+    // Track feedback in analytics
+    analyticsService.trackFeedback(feedbackData.rating, feedbackData.comment);
   };
 
   return {
     messages,
     setMessages, // Added this line to expose setMessages
     loading,
+    humanAgent,
+    conversationId,
     input,
     setInput,
     sendMessage,
@@ -425,6 +687,11 @@ export const useMessages = () => {
     handleSmsFormSuccess,
     handleSmsFormClose,
     handleSmsChatClose,
+    reservationRequest,
+    reservationUrl: settings.reservationUrl,
+    handleReservationComplete,
+    handleReservationHandoff,
+    handleReservationClose,
     handleFeedback
   };
 };
\ No newline at end of file
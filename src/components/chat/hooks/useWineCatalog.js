@@ -0,0 +1,47 @@
+import { useState, useEffect } from "react";
+import { wineCatalog } from "../services/wineCatalogService";
+import { loadWineDictionary } from "../services/wineDictionaryService";
+
+/**
+ * The shared wine catalog. Re-renders when products load or are refreshed.
+ * @returns {Object} - { products, loading, getById, getBySlug, listByVariety, listByVintage, search }
+ */
+export const useWineCatalog = () => {
+  const [products, setProducts] = useState(() => wineCatalog.getAll());
+  const [loading, setLoading] = useState(products.length === 0);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = wineCatalog.subscribe(updated => {
+      if (active) setProducts(updated);
+    });
+
+    // A dictionary saved from the dashboard re-indexes the catalog when it arrives
+    loadWineDictionary();
+    wineCatalog.load()
+      .catch(error => {
+        console.warn("Could not load wine catalog:", error.message);
+      })
+      .finally(() => {
+        if (active) {
+          setProducts(wineCatalog.getAll());
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return {
+    products,
+    loading,
+    getById: (id) => wineCatalog.getById(id),
+    getBySlug: (slug) => wineCatalog.getBySlug(slug),
+    listByVariety: (variety, vintage) => wineCatalog.listByVariety(variety, vintage),
+    listByVintage: (vintage) => wineCatalog.listByVintage(vintage),
+    search: (query, options) => wineCatalog.search(query, options)
+  };
+};
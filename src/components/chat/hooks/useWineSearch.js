@@ -1,7 +1,16 @@
-import { extractYear, normalizeWineName, cleanText, cleanWineTitle, typoCorrections } from "../utils/wineUtils";
-import { fuzzyMatch } from "../utils/stringMatching";
+import { extractYear, normalizeWineName, cleanText, cleanWineTitle } from "../utils/wineUtils";
+import { getWineDictionary, canonicalizeWineTerms, mentionsTerm } from "../utils/wineDictionary";
+import { getWineSearchIndex, searchWineIndex } from "../utils/wineSearchIndex";
+import { useWineCatalog } from "./useWineCatalog";
+import { isProductAvailable, getProductVintage } from "../utils/wineCatalog";
+
+// Wine cards shown under one answer
+const MAX_WINE_CARDS = 5;
 
 export const useWineSearch = () => {
+  // Shared product catalog, loaded once per visit
+  const catalog = useWineCatalog();
+
   // Format list of products for display
   const formatProductData = (products) => {
     if (!Array.isArray(products) || products.length === 0) {
@@ -25,11 +34,11 @@ export const useWineSearch = () => {
       .join("\n\n");
   };
 
-  // Enhanced wine matching function with special handling for Proceedo wines
+  // Score catalog wines against a search. Spellings, variety boosts and
+  // product lines come from the wine dictionary rather than code.
   const findWineMatches = (products, searchTerm) => {
     const searchLower = searchTerm.toLowerCase().trim();
     const normalizedSearch = normalizeWineName(searchTerm);
-    const isRoseQuery = searchLower === "rose" || searchLower === "rosé";
     
     // Check if this is a price-specific query
     const isPriceQuery = searchLower.startsWith("how much is") || 
@@ -42,83 +51,14 @@ export const useWineSearch = () => {
     console.log(`🔍 Normalized search term: "${normalizedSearch}"`);
     console.log(`🔍 Is price query: ${isPriceQuery}`);
 
-    // *** DIRECT PROCEEDO DETECTION ***
-    // First, check if this is a direct request for Proceedo wines
-    const isProceedo = searchLower.includes("proceedo");
-    const isWhite = searchLower.includes("white");
-    const isRose = searchLower.includes("rosé") || searchLower.includes("rose");
-    
-    if (isProceedo) {
-      console.log("🍷 SPECIAL CASE: Direct Proceedo wine request detected");
-      
-      // Filter to find Proceedo wines directly
-      const proceedoWines = products.filter(p => {
-        const title = p.title.toLowerCase();
-        if (!title.includes("proceedo")) return false;
-        
-        // If specifically asking for white or rosé, filter accordingly
-        if (isWhite) return title.includes("white");
-        if (isRose) return title.includes("rosé") || title.includes("rose");
-        
-        // Otherwise return any Proceedo wine
-        return true;
-      });
-      
-      console.log(`🍷 Found ${proceedoWines.length} Proceedo wines through direct matching`);
-      
-      // If we found Proceedo wines with direct matching, return them with the isPriceQuery flag
-      if (proceedoWines.length > 0) {
-        return proceedoWines.map(wine => ({
-          ...wine,
-          isPriceQuery
-        }));
-      }
-      
-      // If we didn't find any, we'll fall back to the regular matching logic
-      console.log("🍷 No direct Proceedo matches found, falling back to regular matching");
-    }
-    
-    // Continue with the regular matching logic if direct detection didn't find Proceedo wines
-    const typoCorrections = {
-      "chardonay": "chardonnay", 
-      "cabenet": "cabernet",
-      "savignon": "sauvignon",
-      "savingon": "sauvignon",
-      "reisling": "riesling",
-      "resling": "riesling",
-      "blafrankisch": "blaufrankisch",
-      "rose": "rosé",
-      "gruner": "grüner veltliner",
-      "gruener": "grüner veltliner"
-    };
-
-    // Check for typos in search term - BUT PRESERVE "proceedo"
-    let correctedSearch = searchLower;
-    for (const [typo, correction] of Object.entries(typoCorrections)) {
-      // Skip proceedo correction to preserve the actual wine name
-      if (searchLower.includes(typo) && typo !== "proceedo") {
-        correctedSearch = searchLower.replace(typo, correction);
-        console.log(`🔄 Corrected typo: "${typo}" to "${correction}"`);
-        break;
-      }
-    }
-    
-    // Special wine varieties to watch for - expanded list
-    const wineVarieties = [
-      "chardonnay", "cabernet", "cabernet sauvignon", "franc", "pinot", 
-      "noir", "pinot noir", "blaufränkisch", "blaufrankisch", "merlot", 
-      "riesling", "syrah", "sauvignon", "blanc", "sauvignon blanc",
-      "grüner veltliner", "gruner veltliner", "rosé", "rose",
-      "red blend", "white blend", "cabernet franc", "proceedo"
-    ];
-    
-    // Look for varieties mentioned in the search
-    const mentionedVarieties = wineVarieties.filter(variety => 
-      searchLower.includes(variety)
-    );
+    // Dictionary terms in the search, with aliases and typos already resolved
+    const dictionary = getWineDictionary();
+    const canonicalSearch = canonicalizeWineTerms(searchLower);
+    const mentionedTerms = dictionary.keys.filter(key => mentionsTerm(canonicalSearch, key));
+    const mentionedLines = mentionedTerms.filter(key => dictionary.lines.includes(key));
     
-    if (mentionedVarieties.length > 0) {
-      console.log(`🍇 Detected grape varieties: ${mentionedVarieties.join(", ")}`);
+    if (mentionedTerms.length > 0) {
+      console.log(`🍇 Detected wine terms: ${mentionedTerms.join(", ")}`);
     }
     
     // Check for historical/unavailable products
@@ -156,7 +96,28 @@ export const useWineSearch = () => {
     }
     
     // Calculate match score for each product
-    const wineProducts = products.filter(product => product.type && product.type.toLowerCase() === "wine");
+    let wineProducts = products.filter(product => product.type && product.type.toLowerCase() === "wine");
+    
+    // Naming a product line ("Proceedo") limits the results to that line when we carry it
+    if (mentionedLines.length > 0) {
+      const lineProducts = wineProducts.filter(product =>
+        mentionedLines.some(line => mentionsTerm(canonicalizeWineTerms(product.title || ""), line))
+      );
+      if (lineProducts.length > 0) {
+        console.log(`🍷 Limiting search to ${mentionedLines.join(", ")}: ${lineProducts.length} wines`);
+        wineProducts = lineProducts;
+      }
+    }
+
+    const normalizedWineName = isPriceQuery ? normalizeWineName(wineName) : normalizedSearch;
+    const searchWords = normalizedWineName.split(' ').filter(w => w.length > 2);
+
+    // Typo-tolerant title matches come from the catalog's search index, looked
+    // up once per query instead of comparing every word against every title
+    const fuzzyTitleMatches = new Map(
+      searchWineIndex(getWineSearchIndex(products), normalizedWineName, { fields: ["title"], minWordLength: 4 })
+        .map(result => [result.product, result.matches])
+    );
 
     const productsWithScores = wineProducts.map(product => {
       // Skip unavailable wines unless specifically asked about historical wines
@@ -167,33 +128,13 @@ export const useWineSearch = () => {
       // Clean up the title by removing periods if needed
       const cleanedTitle = cleanWineTitle(product.title || "");
       
-      const titleLower = cleanedTitle.toLowerCase();
       const normalizedTitle = normalizeWineName(cleanedTitle);
-      const normalizedWineName = isPriceQuery ? normalizeWineName(wineName) : normalizedSearch;
+      const canonicalTitle = canonicalizeWineTerms(cleanedTitle);
       
       // Different matching strategies with weighted scores
       let score = 0;
       let matchDetails = [];
       
-      // Prioritize Proceedo matches if searching for Proceedo
-      if (isProceedo && titleLower.includes("proceedo")) {
-        // Extra bonus for matching the type (white/rosé)
-        if ((isWhite && titleLower.includes("white")) || 
-            (isRose && (titleLower.includes("rosé") || titleLower.includes("rose")))) {
-          score += 200; // Very high priority for exact Proceedo type match
-          matchDetails.push(`Proceedo ${isWhite ? 'White' : 'Rosé'} exact match (+200)`);
-        } else {
-          score += 150; // High priority for any Proceedo
-          matchDetails.push("Proceedo general match (+150)");
-        }
-      }
-      
-      // Ensure Rosé wines are prioritized when the user types "rose"
-      if (isRoseQuery && titleLower.includes("rosé")) {
-        score += 150; // Higher priority for Rosé wines
-        matchDetails.push("Rosé wine match (+150)");
-      }
-      
       // 1. Direct title match (highest value)
       if (normalizedTitle === normalizedWineName) {
         score += 100;
@@ -210,7 +151,6 @@ export const useWineSearch = () => {
       }
       
       // 3. Word-level matches for multi-word searches
-      const searchWords = normalizedWineName.split(' ').filter(w => w.length > 2);
       const titleWords = normalizedTitle.split(' ');
       
       const matchingWords = searchWords.filter(word => 
@@ -223,45 +163,36 @@ export const useWineSearch = () => {
         matchDetails.push(`Word matching: ${matchingWords.length}/${searchWords.length} words (+${wordScore.toFixed(1)})`);
       }
 
-      // Handle corrected typos
-      if (correctedSearch !== searchLower) {
-        const correctedSearchNormalized = normalizeWineName(correctedSearch);
-        if (normalizedTitle.includes(correctedSearchNormalized)) {
-          score += 45;
-          matchDetails.push(`Typo correction match (+45)`);
-        }
-      }
-
       // Variety matching with content
-      if (mentionedVarieties.length > 0) {
-        const contentLower = product.content ? product.content.toLowerCase() : "";
-        const varietiesInTitle = mentionedVarieties.filter(v => titleLower.includes(v));
-        const varietiesInContent = mentionedVarieties.filter(v => contentLower.includes(v));
+      if (mentionedTerms.length > 0) {
+        const canonicalContent = canonicalizeWineTerms(product.content || "");
+        const termsInTitle = mentionedTerms.filter(term => mentionsTerm(canonicalTitle, term));
+        const termsInContent = mentionedTerms.filter(term => mentionsTerm(canonicalContent, term));
         
-        if (varietiesInTitle.length > 0) {
+        if (termsInTitle.length > 0) {
           score += 25;
-          matchDetails.push(`Variety in title: ${varietiesInTitle.join(", ")} (+25)`);
-        } else if (varietiesInContent.length > 0) {
+          matchDetails.push(`Variety in title: ${termsInTitle.join(", ")} (+25)`);
+        } else if (termsInContent.length > 0) {
           score += 15;
-          matchDetails.push(`Variety in content: ${varietiesInContent.join(", ")} (+15)`);
+          matchDetails.push(`Variety in content: ${termsInContent.join(", ")} (+15)`);
         }
+        
+        // Featured varieties and product lines carry a boost in the dictionary
+        termsInTitle.forEach(term => {
+          if (dictionary.boosts[term]) {
+            score += dictionary.boosts[term];
+            matchDetails.push(`Dictionary boost: ${term} (+${dictionary.boosts[term]})`);
+          }
+        });
       }
 
       // Fuzzy matching for typos and misspellings
       if (score === 0) {
-        for (const word of searchWords) {
-          if (word.length < 4) continue; // Skip short words
-          
-          for (const titleWord of titleWords) {
-            const similarity = fuzzyMatch(word, titleWord);
-            if (similarity > 0.7) {
-              const fuzzyScore = similarity * 30;
-              score += fuzzyScore;
-              matchDetails.push(`Fuzzy match: "${word}" ~ "${titleWord}" (${similarity.toFixed(2)}) (+${fuzzyScore.toFixed(1)})`);
-              break;
-            }
-          }
-        }
+        (fuzzyTitleMatches.get(product) || []).forEach(({ query, word, similarity }) => {
+          const fuzzyScore = similarity * 30;
+          score += fuzzyScore;
+          matchDetails.push(`Fuzzy match: "${query}" ~ "${word}" (${similarity.toFixed(2)}) (+${fuzzyScore.toFixed(1)})`);
+        });
       }
       
       // Recent vintage bonus
@@ -271,21 +202,6 @@ export const useWineSearch = () => {
         matchDetails.push(`Recent vintage: ${year} (+5)`);
       }
       
-      // "Farmhouse" special case handling
-      if (searchLower.includes("farmhouse") && titleLower.includes("farmhouse")) {
-        score += 20;
-        matchDetails.push("Farmhouse match (+20)");
-      }
-      
-      // Check for specific mentions of "riesling" or other key varieties
-      const specialVarieties = ["riesling", "rosé", "rose", "cabernet franc", "proceedo"];
-      for (const special of specialVarieties) {
-        if (searchLower.includes(special) && titleLower.includes(special)) {
-          score += 35;  // Higher priority for these specific varieties
-          matchDetails.push(`Special variety match: ${special} (+35)`);
-        }
-      }
-      
       // Historical/past product bonus when asking about history
       if (includeUnavailable && (product.adminStatus !== "Available" || product.webStatus !== "Available")) {
         score += 10;  // Bonus for historical products when asked about past wines
@@ -365,68 +281,69 @@ export const useWineSearch = () => {
       }
     }
     
-    // Try to suggest similar wines by grape variety
-    const wineVarieties = {
-      "riesling": ["grüner veltliner", "chardonnay", "white"],
-      "chardonnay": ["grüner veltliner", "white"],
-      "cabernet": ["red blend", "merlot", "red"],
-      "merlot": ["red blend", "cabernet", "red"],
-      "rosé": ["rose", "white blend"],
-      "pinot noir": ["red blend", "red"],
-      "syrah": ["red blend", "red"],
-      "proceedo": ["white", "rosé", "rose"] // Add proceedo relationships
-    };
-    
-    // Convert to lowercase for matching
-    const lowerWineName = wineName.toLowerCase();
+    // Try to suggest similar wines from the related varieties in the wine dictionary
+    const dictionary = getWineDictionary();
+    const canonicalName = canonicalizeWineTerms(wineName);
+    const requested = dictionary.terms.find(term => dictionary.related[term.key] && mentionsTerm(canonicalName, term.key));
     
-    // Check if the requested wine is one of our known varieties
-    for (const [variety, alternatives] of Object.entries(wineVarieties)) {
-      if (lowerWineName.includes(variety)) {
-        // Try to find alternatives
-        const availableWines = products.filter(p => 
-          p.adminStatus === "Available" && p.webStatus === "Available"
+    if (requested) {
+      const alternatives = dictionary.related[requested.key];
+      const availableWines = products.filter(p => 
+        p.adminStatus === "Available" && p.webStatus === "Available"
+      );
+      
+      // Use the first related variety we have in stock
+      let alternativeMatches = [];
+      for (const alt of alternatives) {
+        alternativeMatches = availableWines.filter(product =>
+          mentionsTerm(canonicalizeWineTerms(product.title || ""), alt)
         );
-        
-        // Look for alternatives
-        const alternativeMatches = [];
-        for (const alt of alternatives) {
-          for (const product of availableWines) {
-            if (product.title.toLowerCase().includes(alt)) {
-              alternativeMatches.push(product);
-            }
-          }
-          
-          if (alternativeMatches.length > 0) {
-            break;  // Found some alternatives
-          }
-        }
-        
         if (alternativeMatches.length > 0) {
-          let response = `We don't currently have a ${variety} wine available, but you might enjoy these alternatives:\n\n`;
-          
-          // Display up to 3 alternatives
-          alternativeMatches.slice(0, 3).forEach((wine) => {
-            response += `• ${wine.title}`;
-            if (wine.variants && wine.variants[0] && wine.variants[0].price) {
-              response += ` - $${(wine.variants[0].price / 100).toFixed(2)}`;
-            }
-            response += "\n";
-          });
-          
-          return response;
+          break;
         }
+      }
+      
+      if (alternativeMatches.length > 0) {
+        let response = `We don't currently have a ${requested.name} wine available, but you might enjoy these alternatives:\n\n`;
         
-        break;
+        // Display up to 3 alternatives
+        alternativeMatches.slice(0, 3).forEach((wine) => {
+          response += `• ${wine.title}`;
+          if (wine.variants && wine.variants[0] && wine.variants[0].price) {
+            response += ` - $${(wine.variants[0].price / 100).toFixed(2)}`;
+          }
+          response += "\n";
+        });
+        
+        return response;
       }
     }
     
     return `I couldn't find any information about ${wineName} in our current or past inventory. Would you like to see our available wines?`;
   };
 
+  /**
+   * Wines of a variety for the cards under an answer: available wines first,
+   * newest vintage first
+   * @param {string} variety - Variety name
+   * @param {number} [limit] - Maximum number of wines
+   * @returns {Array} - Commerce7 products
+   */
+  const findWinesByVariety = (variety, limit = MAX_WINE_CARDS) =>
+    catalog.listByVariety(variety)
+      .filter(product => !product.type || product.type.toLowerCase() === "wine")
+      .sort((a, b) =>
+        Number(isProductAvailable(b)) - Number(isProductAvailable(a)) ||
+        (getProductVintage(b) || 0) - (getProductVintage(a) || 0))
+      .slice(0, limit);
+
   return {
+    catalog,
     formatProductData,
     findWineMatches,
+    // Match against the shared catalog instead of a product list passed in
+    searchCatalog: (searchTerm) => findWineMatches(catalog.products, searchTerm),
+    findWinesByVariety,
     formatWineResponse,
     handleUnavailableWine
   };
@@ -37,6 +37,15 @@ class AnalyticsService {
     });
   }
 
+  /**
+   * Track how a user message was routed
+   * @param {string} intent - Intent handling the message (e.g. 'sms', 'reservation', 'rag')
+   * @param {number} [confidence] - Classifier confidence (0-1)
+   */
+  trackIntent(intent, confidence) {
+    this.trackUserInteraction('intent_detected', { intent, confidence });
+  }
+
   /**
    * Track session metrics when the chat is closed
    */
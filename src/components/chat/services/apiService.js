@@ -1,5 +1,8 @@
 // src/components/chat/services/apiService.js
 import axios from "axios";
+import { createSseParser } from "../utils/sseParser";
+import { normalizeSources } from "../utils/sources";
+import * as mockCartApi from "./mockCartApi";
 
 // Default API base URL - can be overridden with environment variables or settings
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || "http://localhost:8080";
@@ -19,7 +22,11 @@ api.interceptors.request.use(
     // Check if the endpoint is public (no auth required)
     const isPublicEndpoint = config.url.startsWith('/api/health') || 
                            config.url.startsWith('/api/analytics') || 
-                           config.url.startsWith('/api/feedback');
+                           config.url.startsWith('/api/feedback') ||
+                           config.url.startsWith('/api/settings') ||
+                           config.url.startsWith('/api/wine-dictionary') ||
+                           config.url.startsWith('/api/conversations') ||
+                           config.url.startsWith('/api/reservations');
 
     // Only add auth token for non-public endpoints
     if (!isPublicEndpoint) {
@@ -89,21 +96,457 @@ export const fetchWineData = async (fetchAll = false) => {
   }
 };
 
+/**
+ * Fetch the best-selling wines, used to recommend wines to guests without an
+ * order history. The backend ranks products by recent Commerce7 sales and
+ * returns `{ productIds }`, best sellers first.
+ * @returns {Promise<Array<string>>} - Product IDs, or an empty list when unavailable
+ */
+export const fetchPopularWines = async () => {
+  try {
+    const response = await api.get("/api/commerce7/products/popular");
+    return response.data.productIds || [];
+  } catch (error) {
+    console.error("Error fetching popular wines:", error);
+    return [];
+  }
+};
+
 /**
  * Process a chat request through the AI service
  * @param {string} message - User message
- * @returns {Promise<string>} - AI response message
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.context] - Sent alongside the message:
+ *   `history` (recent redacted messages from buildConversationHistory) and
+ *   `customer` (from buildCustomerContext)
+ * @returns {Promise<Object>} - { response, sources } where sources are the
+ *   knowledge-base citations ({ title, url, snippet }) behind the answer
  */
-export const processChatRequest = async (message) => {
+export const processChatRequest = async (message, { signal, context = {} } = {}) => {
   try {
-    const response = await api.post("/rag-chat", { message });
-    return response.data.response || "I'm having trouble finding information about that.";
+    const response = await api.post("/rag-chat", { ...context, message }, { signal });
+    return {
+      response: response.data.response || "I'm having trouble finding information about that.",
+      sources: normalizeSources(response.data.sources)
+    };
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw error;
+    }
     console.error("Error processing chat request:", error);
     throw new Error("Failed to process chat request");
   }
 };
 
+// Set once the backend has shown it has no streaming endpoint, so later
+// messages go straight to the request/response call
+let streamingUnavailable = false;
+
+const streamingUnavailableError = (reason) => {
+  const error = new Error(`Streaming unavailable: ${reason}`);
+  error.code = "STREAMING_UNAVAILABLE";
+  return error;
+};
+
+/**
+ * Stream a chat response from the AI service as server-sent events.
+ * POST /rag-chat/stream replies with `data: {"token": "..."}` events, an
+ * optional `event: sources` carrying `{"sources": [...]}`, an optional
+ * `event: done` carrying `{"response": "...", "sources": [...]}`, and
+ * `event: error` carrying `{"error": "..."}`.
+ * @param {string} message - User message
+ * @param {Object} options - Request options
+ * @param {Function} options.onToken - Called with each text fragment as it arrives
+ * @param {AbortSignal} [options.signal] - Cancels the stream
+ * @param {Object} [options.context] - Conversation context, as for processChatRequest
+ * @returns {Promise<Object>} - { response, sources }
+ */
+export const streamChatRequest = async (message, { onToken, signal, context = {} }) => {
+  if (typeof ReadableStream === "undefined" || typeof TextDecoder === "undefined") {
+    throw streamingUnavailableError("browser support");
+  }
+
+  const headers = { "Content-Type": "application/json", Accept: "text/event-stream" };
+  const token = localStorage.getItem("commerce7Token");
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${API_BASE_URL}/rag-chat/stream`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ ...context, message }),
+    signal
+  });
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if ([404, 405, 501].includes(response.status) || (response.ok && !contentType.includes("text/event-stream"))) {
+    throw streamingUnavailableError(`status ${response.status}`);
+  }
+  if (!response.ok || !response.body) {
+    throw new Error(`Streaming request failed with status ${response.status}`);
+  }
+
+  let text = "";
+  let finalText = null;
+  let sources = [];
+  let streamError = null;
+
+  const feed = createSseParser(({ event, data }) => {
+    if (streamError || data === "[DONE]") return;
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      // Stop reading; the body is cancelled below
+      streamError = new Error(`Malformed streaming event: ${error.message}`);
+      return;
+    }
+    if (event === "error") {
+      streamError = new Error(payload.error || "Streaming response failed");
+    } else if (event === "sources") {
+      sources = normalizeSources(payload.sources);
+    } else if (event === "done") {
+      finalText = payload.response ?? null;
+      if (payload.sources) {
+        sources = normalizeSources(payload.sources);
+      }
+    } else if (payload.token) {
+      text += payload.token;
+      onToken(payload.token);
+    }
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  while (!streamError) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    feed(decoder.decode(value, { stream: true }));
+  }
+  feed(decoder.decode() + "\n\n");
+
+  if (streamError) {
+    reader.cancel().catch(() => {});
+    throw streamError;
+  }
+  return { response: finalText ?? text, sources };
+};
+
+/**
+ * Get a chat response, streaming it when the backend supports streaming and
+ * falling back to processChatRequest otherwise
+ * @param {string} message - User message
+ * @param {Object} options - Request options
+ * @param {Function} options.onToken - Called with each streamed text fragment
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Object} [options.context] - Conversation context, as for processChatRequest
+ * @returns {Promise<Object>} - { response, sources }
+ */
+export const requestChatResponse = async (message, { onToken, signal, context }) => {
+  if (!streamingUnavailable) {
+    let receivedText = false;
+    try {
+      return await streamChatRequest(message, {
+        signal,
+        context,
+        onToken: (token) => {
+          receivedText = true;
+          onToken(token);
+        }
+      });
+    } catch (error) {
+      // Cancelled, or part of the answer is already on screen: don't ask again
+      if (signal?.aborted || receivedText) {
+        throw error;
+      }
+      if (error.code === "STREAMING_UNAVAILABLE") {
+        streamingUnavailable = true;
+      }
+      console.warn("Streaming chat request failed, falling back:", error.message);
+    }
+  }
+  return processChatRequest(message, { signal, context });
+};
+
+/**
+ * Fetch the chatbot settings configured from the dashboard
+ * @returns {Promise<Object>} - Stored settings (fields that were never set are omitted)
+ */
+export const fetchChatSettings = async () => {
+  try {
+    const response = await api.get("/api/settings");
+    return response.data.settings || {};
+  } catch (error) {
+    console.error("Error fetching chat settings:", error);
+    throw new Error("Failed to fetch chat settings");
+  }
+};
+
+/**
+ * Fetch the wine dictionary saved from the dashboard
+ * @returns {Promise<Object|null>} - { version, terms, updatedAt }, or null when
+ *   none has been saved and the bundled dictionary applies
+ */
+export const fetchWineDictionary = async () => {
+  try {
+    const response = await api.get("/api/wine-dictionary");
+    return response.data.dictionary || null;
+  } catch (error) {
+    console.error("Error fetching wine dictionary:", error);
+    throw new Error("Failed to fetch wine dictionary");
+  }
+};
+
+// Secret issued by the server when this widget created its conversation;
+// stored transcripts can only be read or extended with it
+const CONVERSATION_TOKEN_KEY = "conversationToken";
+
+const readConversationToken = (conversationId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONVERSATION_TOKEN_KEY));
+    return stored && stored.conversationId === conversationId ? stored.token : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const conversationHeaders = (token) => ({ headers: { "X-Conversation-Token": token } });
+
+const conversationUrl = (conversationId) => `/api/conversations/${encodeURIComponent(conversationId)}`;
+
+const resolveConversation = async () => {
+  let conversationId = getSessionId();
+  const token = readConversationToken(conversationId);
+  if (token) {
+    try {
+      const response = await api.get(conversationUrl(conversationId), conversationHeaders(token));
+      return { conversationId, token, messages: response.data.conversation.messages || [] };
+    } catch (error) {
+      // Purged after the retention period, or stored on another server: start over
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+
+  const userId = localStorage.getItem("customerId") || null;
+  let response;
+  try {
+    response = await api.post("/api/conversations", { conversationId, userId });
+  } catch (error) {
+    if (error.response?.status !== 409) throw error;
+    conversationId = generateSessionId();
+    response = await api.post("/api/conversations", { conversationId, userId });
+  }
+
+  const created = { conversationId: response.data.conversationId, token: response.data.accessToken };
+  localStorage.setItem(CONVERSATION_TOKEN_KEY, JSON.stringify(created));
+  return { ...created, messages: [] };
+};
+
+let openingConversation = null;
+
+/**
+ * Open this widget's stored conversation: resume the one whose secret is
+ * stored, or create one and keep its secret. When the session ID is already
+ * taken (a transcript saved before conversations had secrets, or a lost
+ * secret) the widget moves to a new session ID here, before the transcript,
+ * the live monitor or feedback use it. Concurrent calls share one request;
+ * a failed attempt is retried on the next call.
+ * @returns {Promise<Object>} - { conversationId, token, messages } where
+ *   messages is the stored transcript, empty for a new conversation
+ */
+export const openConversation = () => {
+  if (!openingConversation) {
+    openingConversation = resolveConversation().catch(error => {
+      openingConversation = null;
+      console.error("Error opening conversation:", error);
+      throw new Error("Failed to open conversation");
+    });
+  }
+  return openingConversation;
+};
+
+/**
+ * Append messages to the stored conversation transcript
+ * @param {Object} conversation - { conversationId, token } from openConversation
+ * @param {Array} messages - Messages ({ messageId, role, content, timestamp, sources, productIds })
+ * @returns {Promise<Object>} - API response
+ */
+export const saveConversationMessages = async ({ conversationId, token }, messages) => {
+  try {
+    const response = await api.post(
+      `${conversationUrl(conversationId)}/messages`,
+      { messages, userId: localStorage.getItem("customerId") || null },
+      conversationHeaders(token)
+    );
+    return response.data;
+  } catch (error) {
+    console.error("Error saving conversation messages:", error);
+    throw new Error("Failed to save conversation messages");
+  }
+};
+
+/**
+ * Fetch the tasting experiences that can be booked from the chat
+ * @returns {Promise<Array>} - Experiences ({ id, name, durationMinutes, maxPartySize })
+ */
+export const fetchReservationExperiences = async () => {
+  try {
+    const response = await api.get("/api/reservations/experiences");
+    return response.data.experiences || [];
+  } catch (error) {
+    console.error("Error fetching reservation experiences:", error);
+    throw new Error("Failed to fetch reservation experiences");
+  }
+};
+
+// Booking errors keep the server's message and whether the guest should be
+// handed off to Tock instead
+const reservationError = (error, fallback) => {
+  const wrapped = new Error(error.response?.data?.error || fallback);
+  wrapped.handoff = Boolean(error.response?.data?.handoff) || !error.response;
+  return wrapped;
+};
+
+/**
+ * Check which seatings are available
+ * @param {Object} params - { date (YYYY-MM-DD), partySize, experience }
+ * @returns {Promise<Array>} - Seatings ({ time, remaining, available })
+ */
+export const fetchReservationAvailability = async ({ date, partySize, experience }) => {
+  try {
+    const response = await api.get("/api/reservations/availability", {
+      params: { date, partySize, experience }
+    });
+    return response.data.slots || [];
+  } catch (error) {
+    console.error("Error checking reservation availability:", error);
+    throw reservationError(error, "Failed to check availability");
+  }
+};
+
+/**
+ * Book a seating
+ * @param {Object} details - { date, time, partySize, experience, name, email }
+ * @returns {Promise<Object>} - Reservation ({ confirmationCode, date, time, partySize, experience })
+ */
+export const createReservation = async (details) => {
+  try {
+    const response = await api.post("/api/reservations", details);
+    return response.data.reservation;
+  } catch (error) {
+    console.error("Error creating reservation:", error);
+    throw reservationError(error, "Failed to create reservation");
+  }
+};
+
+// REACT_APP_MOCK_CART=true keeps carts in localStorage instead of Commerce7
+const USE_MOCK_CART = process.env.REACT_APP_MOCK_CART === "true";
+
+/**
+ * Cart endpoints proxied to Commerce7. Every call returns the whole cart:
+ * `{ id, items: [{ id, productId, sku, title, price, image, quantity }],
+ *    itemCount, subtotal, checkoutUrl }` with prices in cents; checkoutUrl opens
+ * the store's checkout with this cart.
+ */
+
+/**
+ * Create an empty cart
+ * @returns {Promise<Object>} - Cart
+ */
+export const createCart = async () => {
+  if (USE_MOCK_CART) return mockCartApi.createCart();
+  try {
+    const response = await api.post("/api/commerce7/cart");
+    return response.data.cart;
+  } catch (error) {
+    console.error("Error creating cart:", error);
+    throw new Error("Failed to create cart");
+  }
+};
+
+/**
+ * Fetch a cart
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<Object|null>} - Cart, or null when it no longer exists
+ */
+export const fetchCart = async (cartId) => {
+  try {
+    if (USE_MOCK_CART) return await mockCartApi.fetchCart(cartId);
+    const response = await api.get(`/api/commerce7/cart/${encodeURIComponent(cartId)}`);
+    return response.data.cart;
+  } catch (error) {
+    if ((error.response?.status || error.status) === 404) {
+      return null;
+    }
+    console.error("Error fetching cart:", error);
+    throw new Error("Failed to fetch cart");
+  }
+};
+
+/**
+ * Add a product variant to a cart
+ * @param {string} cartId - Cart ID
+ * @param {Object} item - { productId, sku, quantity } plus title, price and image for display
+ * @returns {Promise<Object>} - Updated cart
+ */
+export const addCartItem = async (cartId, item) => {
+  if (USE_MOCK_CART) return mockCartApi.addCartItem(cartId, item);
+  try {
+    const { productId, sku, quantity } = item;
+    const response = await api.post(`/api/commerce7/cart/${encodeURIComponent(cartId)}/items`, {
+      productId,
+      sku,
+      quantity
+    });
+    return response.data.cart;
+  } catch (error) {
+    console.error("Error adding to cart:", error);
+    throw new Error(error.response?.data?.error || "Failed to add to cart");
+  }
+};
+
+/**
+ * Change the quantity of a cart line
+ * @param {string} cartId - Cart ID
+ * @param {string} itemId - Cart line ID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} - Updated cart
+ */
+export const updateCartItem = async (cartId, itemId, quantity) => {
+  if (USE_MOCK_CART) return mockCartApi.updateCartItem(cartId, itemId, quantity);
+  try {
+    const response = await api.put(
+      `/api/commerce7/cart/${encodeURIComponent(cartId)}/items/${encodeURIComponent(itemId)}`,
+      { quantity }
+    );
+    return response.data.cart;
+  } catch (error) {
+    console.error("Error updating cart:", error);
+    throw new Error(error.response?.data?.error || "Failed to update cart");
+  }
+};
+
+/**
+ * Remove a line from a cart
+ * @param {string} cartId - Cart ID
+ * @param {string} itemId - Cart line ID
+ * @returns {Promise<Object>} - Updated cart
+ */
+export const removeCartItem = async (cartId, itemId) => {
+  if (USE_MOCK_CART) return mockCartApi.removeCartItem(cartId, itemId);
+  try {
+    const response = await api.delete(
+      `/api/commerce7/cart/${encodeURIComponent(cartId)}/items/${encodeURIComponent(itemId)}`
+    );
+    return response.data.cart;
+  } catch (error) {
+    console.error("Error removing from cart:", error);
+    throw new Error("Failed to remove from cart");
+  }
+};
+
 /**
  * Fetch wine club information
  * @returns {Promise<Object>} - Wine club information
@@ -348,6 +791,7 @@ export const fetchSmsHistory = async (phoneNumber) => {
  * @param {string} feedbackData.conversationId - ID of the conversation
  * @param {number} feedbackData.rating - Rating from 1-5
  * @param {string} feedbackData.comment - User's feedback comment
+ * @param {Array} [feedbackData.sources] - Citations shown with the rated answer
  * @returns {Promise<Object>} - API response
  */
 export const submitFeedback = async (feedbackData) => {
@@ -369,7 +813,8 @@ export const submitFeedback = async (feedbackData) => {
       conversationId: String(feedbackData.conversationId),
       rating: rating,
       comment: feedbackData.comment ? String(feedbackData.comment).trim() : "",
-      tags: Array.isArray(feedbackData.tags) ? feedbackData.tags : []
+      tags: Array.isArray(feedbackData.tags) ? feedbackData.tags : [],
+      sources: Array.isArray(feedbackData.sources) ? feedbackData.sources : []
     };
 
     console.log('Submitting feedback with data:', requestData);
@@ -443,4 +888,10 @@ const generateSessionId = () => {
   return sessionId;
 };
 
+/**
+ * Get the widget's session ID, creating one if needed
+ * @returns {string} - Session identifier shared by analytics and live monitoring
+ */
+export const getSessionId = () => localStorage.getItem("sessionId") || generateSessionId();
+
 export default api;
\ No newline at end of file
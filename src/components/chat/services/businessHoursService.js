@@ -0,0 +1,34 @@
+import { fetchBusinessHours } from "./apiService";
+import { normalizeSchedule } from "../utils/businessHours";
+
+// Hours rarely change during a visit; refetch at most once an hour
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+let pending = null;
+
+/**
+ * The winery's schedule, fetched once and shared by every hours question.
+ * Concurrent callers wait on the same request; a failed request is not cached.
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Ignore the cached schedule
+ * @returns {Promise<Object>} - Schedule from normalizeSchedule
+ */
+export const getBusinessHours = async ({ refresh = false } = {}) => {
+  if (!refresh && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+  if (!pending) {
+    pending = fetchBusinessHours()
+      .then(data => {
+        cached = normalizeSchedule(data);
+        cachedAt = Date.now();
+        return cached;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+};
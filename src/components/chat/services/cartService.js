@@ -0,0 +1,168 @@
+import {
+  createCart,
+  fetchCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem
+} from "./apiService";
+
+const STORAGE_KEY = "mileaCartId";
+
+/**
+ * The visitor's Commerce7 cart. Only the cart ID is kept in localStorage; the
+ * cart itself always comes from the backend. The cart is forgotten when the
+ * visitor follows the checkout link, and one that has expired or been checked
+ * out elsewhere is replaced with a new one on the next add.
+ */
+class CartService {
+  constructor() {
+    this.cart = null;
+    this.pending = null;
+    this.creating = null;
+    this.listeners = new Set();
+  }
+
+  getStoredId() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setCart(cart) {
+    this.cart = cart;
+    try {
+      if (cart) {
+        localStorage.setItem(STORAGE_KEY, cart.id);
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage disabled: the cart lasts for this page view only
+      console.warn("Could not store cart ID:", error.message);
+    }
+    this.listeners.forEach(listener => listener(cart));
+    return cart;
+  }
+
+  /**
+   * Register a listener called with the cart whenever it changes
+   * @param {Function} listener - Receives the cart, or null
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getCart() {
+    return this.cart;
+  }
+
+  /**
+   * Restore the stored cart, if there is one. Concurrent calls share one request.
+   * @returns {Promise<Object|null>} - Cart
+   */
+  async load() {
+    if (this.cart) return this.cart;
+    const cartId = this.getStoredId();
+    if (!cartId) return null;
+
+    if (!this.pending) {
+      this.pending = fetchCart(cartId)
+        .then(cart => this.setCart(cart))
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Start a new cart. Concurrent calls share one request, so adds made while
+   * the cart is being created all land in it.
+   * @returns {Promise<Object>} - Cart
+   */
+  createNew() {
+    if (!this.creating) {
+      this.creating = createCart()
+        .then(cart => this.setCart(cart))
+        .finally(() => {
+          this.creating = null;
+        });
+    }
+    return this.creating;
+  }
+
+  async ensureCart() {
+    if (this.creating) return this.creating;
+    const cart = await this.load();
+    return cart || this.createNew();
+  }
+
+  /**
+   * Add a wine to the cart, using its first variant
+   * @param {Object} product - Commerce7 product
+   * @param {number} [quantity=1] - Bottles to add
+   * @returns {Promise<Object>} - Updated cart
+   */
+  async addItem(product, quantity = 1) {
+    const variant = product.variants?.[0];
+    if (!variant?.sku) {
+      throw new Error("This wine cannot be added to the cart");
+    }
+
+    const item = {
+      productId: product.id,
+      sku: variant.sku,
+      title: product.title,
+      price: variant.price,
+      image: product.image,
+      quantity
+    };
+
+    const cart = await this.ensureCart();
+    try {
+      return this.setCart(await addCartItem(cart.id, item));
+    } catch (error) {
+      // The stored cart may have been checked out elsewhere; retry on a new one
+      const current = await fetchCart(cart.id).catch(() => cart);
+      if (current) throw error;
+      const replacement = await this.createNew();
+      return this.setCart(await addCartItem(replacement.id, item));
+    }
+  }
+
+  /**
+   * Change the quantity of a cart line; zero removes it
+   * @param {string} itemId - Cart line ID
+   * @param {number} quantity - New quantity
+   * @returns {Promise<Object>} - Updated cart
+   */
+  async updateQuantity(itemId, quantity) {
+    if (!this.cart) return null;
+    if (quantity <= 0) return this.removeItem(itemId);
+    return this.setCart(await updateCartItem(this.cart.id, itemId, quantity));
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} itemId - Cart line ID
+   * @returns {Promise<Object>} - Updated cart
+   */
+  async removeItem(itemId) {
+    if (!this.cart) return null;
+    return this.setCart(await removeCartItem(this.cart.id, itemId));
+  }
+
+  /**
+   * Forget the cart. Called when the visitor goes to checkout, which takes the
+   * cart over; the next add starts a new one.
+   */
+  clear() {
+    this.setCart(null);
+  }
+}
+
+export const cartService = new CartService();
@@ -0,0 +1,124 @@
+import { createCart, fetchCart, addCartItem, updateCartItem, removeCartItem } from "./apiService";
+import { cartService } from "./cartService";
+
+jest.mock("./apiService", () => ({
+  createCart: jest.fn(),
+  fetchCart: jest.fn(),
+  addCartItem: jest.fn(),
+  updateCartItem: jest.fn(),
+  removeCartItem: jest.fn()
+}));
+
+const wine = {
+  id: "p1",
+  title: "2021 Cabernet Franc",
+  image: "cab.png",
+  variants: [{ sku: "CF21", price: 3200 }]
+};
+const emptyCart = (id) => ({ id, items: [], itemCount: 0, subtotal: 0 });
+const cartWith = (id, quantity) => ({
+  id,
+  items: [{ id: "line1", productId: "p1", sku: "CF21", title: wine.title, price: 3200, quantity }],
+  itemCount: quantity,
+  subtotal: 3200 * quantity
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.resetAllMocks();
+  cartService.clear();
+});
+
+test("creates a cart on the first add and remembers its ID", async () => {
+  createCart.mockResolvedValue(emptyCart("c1"));
+  addCartItem.mockResolvedValue(cartWith("c1", 2));
+  const listener = jest.fn();
+  const unsubscribe = cartService.subscribe(listener);
+
+  await cartService.addItem(wine, 2);
+
+  expect(addCartItem).toHaveBeenCalledWith("c1", {
+    productId: "p1",
+    sku: "CF21",
+    title: wine.title,
+    price: 3200,
+    image: "cab.png",
+    quantity: 2
+  });
+  expect(localStorage.getItem("mileaCartId")).toBe("c1");
+  expect(listener).toHaveBeenLastCalledWith(cartWith("c1", 2));
+  unsubscribe();
+});
+
+test("shares one new cart between adds made at the same time", async () => {
+  createCart.mockResolvedValue(emptyCart("c1"));
+  addCartItem
+    .mockResolvedValueOnce(cartWith("c1", 1))
+    .mockResolvedValueOnce(cartWith("c1", 2));
+
+  await Promise.all([cartService.addItem(wine), cartService.addItem(wine)]);
+
+  expect(createCart).toHaveBeenCalledTimes(1);
+  expect(addCartItem).toHaveBeenCalledTimes(2);
+  expect(addCartItem.mock.calls.map(([cartId]) => cartId)).toEqual(["c1", "c1"]);
+  expect(localStorage.getItem("mileaCartId")).toBe("c1");
+});
+
+test("restores the stored cart instead of creating another", async () => {
+  localStorage.setItem("mileaCartId", "c1");
+  fetchCart.mockResolvedValue(cartWith("c1", 1));
+  addCartItem.mockResolvedValue(cartWith("c1", 2));
+
+  await cartService.addItem(wine);
+
+  expect(fetchCart).toHaveBeenCalledWith("c1");
+  expect(createCart).not.toHaveBeenCalled();
+  expect(cartService.getCart().itemCount).toBe(2);
+});
+
+test("forgets the cart at checkout and starts a new one on the next add", async () => {
+  createCart.mockResolvedValueOnce(emptyCart("c1")).mockResolvedValueOnce(emptyCart("c2"));
+  addCartItem.mockImplementation(async (cartId) => cartWith(cartId, 1));
+  await cartService.addItem(wine);
+
+  cartService.clear();
+
+  expect(cartService.getCart()).toBeNull();
+  expect(localStorage.getItem("mileaCartId")).toBeNull();
+  await expect(cartService.load()).resolves.toBeNull();
+
+  await cartService.addItem(wine);
+  expect(addCartItem).toHaveBeenLastCalledWith("c2", expect.objectContaining({ sku: "CF21" }));
+});
+
+test("starts a new cart when the stored one no longer exists", async () => {
+  localStorage.setItem("mileaCartId", "gone");
+  fetchCart.mockResolvedValue(null);
+  createCart.mockResolvedValue(emptyCart("c2"));
+  addCartItem.mockResolvedValue(cartWith("c2", 1));
+
+  await cartService.addItem(wine);
+
+  expect(addCartItem).toHaveBeenCalledWith("c2", expect.objectContaining({ sku: "CF21" }));
+  expect(localStorage.getItem("mileaCartId")).toBe("c2");
+});
+
+test("removes a line when its quantity drops to zero", async () => {
+  createCart.mockResolvedValue(emptyCart("c1"));
+  addCartItem.mockResolvedValue(cartWith("c1", 1));
+  removeCartItem.mockResolvedValue(emptyCart("c1"));
+  await cartService.addItem(wine);
+
+  await cartService.updateQuantity("line1", 0);
+
+  expect(updateCartItem).not.toHaveBeenCalled();
+  expect(removeCartItem).toHaveBeenCalledWith("c1", "line1");
+  expect(cartService.getCart().items).toEqual([]);
+});
+
+test("rejects products without a purchasable variant", async () => {
+  await expect(cartService.addItem({ id: "p2", title: "Gift Card" })).rejects.toThrow(
+    "This wine cannot be added to the cart"
+  );
+  expect(createCart).not.toHaveBeenCalled();
+});
@@ -0,0 +1,93 @@
+import { io } from "socket.io-client";
+import { redactPII } from "../utils/redact";
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || "http://localhost:3001";
+
+/**
+ * Streams anonymized conversation events to the live monitor so staff can
+ * follow chats from the dashboard, and relays staff replies when a team
+ * member takes over. Failures never affect the chat itself.
+ */
+class LiveChatService {
+  constructor() {
+    this.socket = null;
+  }
+
+  /**
+   * Join the live room of the widget's conversation. The monitor only admits
+   * widgets holding the conversation's secret.
+   * @param {Object} conversation - { conversationId, token } from openConversation
+   */
+  connect({ conversationId, token }) {
+    if (this.socket) {
+      return;
+    }
+
+    this.socket = io(`${SOCKET_URL}/chat`, {
+      transports: ["websocket"],
+      auth: { sessionId: conversationId, token },
+      reconnectionAttempts: 5,
+      reconnectionDelay: 1000
+    });
+
+    this.socket.on("connect_error", (error) => {
+      console.warn("Live monitor connection failed:", error.message);
+    });
+  }
+
+  /**
+   * Publish a chat message with personal data redacted
+   * @param {string} content - Message text
+   * @param {string} role - 'user' or 'bot'
+   */
+  publishMessage(content, role) {
+    if (!this.socket || typeof content !== "string") {
+      return;
+    }
+
+    this.socket.emit("chat_event", {
+      role,
+      content: redactPII(content)
+    });
+  }
+
+  /**
+   * Listen for a staff member taking over or handing back the conversation
+   * @param {Object} handlers - Event callbacks
+   * @param {Function} handlers.onTakeoverStart - Receives { staffName }
+   * @param {Function} handlers.onStaffMessage - Receives { content, staffName, timestamp }
+   * @param {Function} handlers.onTakeoverEnd - Called when the bot is back in control
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeToTakeover({ onTakeoverStart, onStaffMessage, onTakeoverEnd }) {
+    const socket = this.socket;
+    if (!socket) {
+      return () => {};
+    }
+
+    socket.on("takeover_started", onTakeoverStart);
+    socket.on("staff_message", onStaffMessage);
+    socket.on("takeover_ended", onTakeoverEnd);
+
+    return () => {
+      socket.off("takeover_started", onTakeoverStart);
+      socket.off("staff_message", onStaffMessage);
+      socket.off("takeover_ended", onTakeoverEnd);
+    };
+  }
+
+  /**
+   * Tell the monitor the chat was closed and drop the connection
+   */
+  endSession() {
+    if (!this.socket) {
+      return;
+    }
+
+    this.socket.emit("chat_end");
+    this.socket.disconnect();
+    this.socket = null;
+  }
+}
+
+export const liveChatService = new LiveChatService();
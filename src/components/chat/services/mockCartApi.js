@@ -0,0 +1,71 @@
+// Local stand-in for the Commerce7 cart endpoints, enabled with
+// REACT_APP_MOCK_CART=true so the cart can be developed without a store.
+// Carts live in localStorage and are never submitted anywhere.
+
+const STORAGE_KEY = "mileaMockCarts";
+const MOCK_STORE_URL = "https://mileaestatevineyard.com";
+
+const readCarts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeCarts = (carts) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(carts));
+};
+
+const createId = (prefix) => `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+// Totals and checkout link, as the backend would return them
+const withTotals = (cart) => ({
+  ...cart,
+  itemCount: cart.items.reduce((count, item) => count + item.quantity, 0),
+  subtotal: cart.items.reduce((total, item) => total + item.price * item.quantity, 0),
+  checkoutUrl: `${MOCK_STORE_URL}/checkout?cartId=${encodeURIComponent(cart.id)}`
+});
+
+const saveCart = (cart) => {
+  const carts = readCarts();
+  carts[cart.id] = { id: cart.id, items: cart.items };
+  writeCarts(carts);
+  return withTotals(cart);
+};
+
+const getStoredCart = (cartId) => {
+  const cart = readCarts()[cartId];
+  if (!cart) {
+    const error = new Error("Cart not found");
+    error.status = 404;
+    throw error;
+  }
+  return cart;
+};
+
+export const createCart = async () => saveCart({ id: createId("mockcart"), items: [] });
+
+export const fetchCart = async (cartId) => withTotals(getStoredCart(cartId));
+
+export const addCartItem = async (cartId, { productId, sku, title, price, image, quantity }) => {
+  const cart = getStoredCart(cartId);
+  const existing = cart.items.find(item => item.sku === sku);
+  const items = existing
+    ? cart.items.map(item => (item.sku === sku ? { ...item, quantity: item.quantity + quantity } : item))
+    : [...cart.items, { id: createId("item"), productId, sku, title, price, image, quantity }];
+  return saveCart({ ...cart, items });
+};
+
+export const updateCartItem = async (cartId, itemId, quantity) => {
+  const cart = getStoredCart(cartId);
+  return saveCart({
+    ...cart,
+    items: cart.items.map(item => (item.id === itemId ? { ...item, quantity } : item))
+  });
+};
+
+export const removeCartItem = async (cartId, itemId) => {
+  const cart = getStoredCart(cartId);
+  return saveCart({ ...cart, items: cart.items.filter(item => item.id !== itemId) });
+};
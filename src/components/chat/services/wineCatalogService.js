@@ -0,0 +1,166 @@
+import { fetchWineData } from "./apiService";
+import { buildCatalogIndex, listByVariety } from "../utils/wineCatalog";
+import { subscribeWineDictionary } from "../utils/wineDictionary";
+import { getWineSearchIndex, searchWineIndex } from "../utils/wineSearchIndex";
+
+const STORAGE_KEY = "mileaWineCatalog";
+// A stored catalog is fresh for six hours; after that it is still shown while
+// a newer copy loads, up to a week old
+const CATALOG_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_CHECK_MS = 15 * 60 * 1000;
+
+/**
+ * Shared Commerce7 product catalog. Products are loaded once, kept in
+ * localStorage between visits and refreshed in the background when they go
+ * stale, so every hook reads the same indexed list instead of fetching its own.
+ */
+class WineCatalogService {
+  constructor() {
+    this.index = buildCatalogIndex([]);
+    this.searchIndex = getWineSearchIndex(this.index.products);
+    this.loadedAt = 0;
+    this.pending = null;
+    this.refreshTimer = null;
+    this.listeners = new Set();
+    // Variety lookups depend on the dictionary's names and aliases
+    subscribeWineDictionary(() => this.setProducts(this.index.products, this.loadedAt));
+  }
+
+  readStored() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (stored && Array.isArray(stored.products) && Date.now() - stored.savedAt < MAX_STALE_MS) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn("Ignoring unreadable wine catalog cache:", error.message);
+    }
+    return null;
+  }
+
+  persist(products, savedAt) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ savedAt, products }));
+    } catch (error) {
+      // Quota exceeded or storage disabled: the in-memory copy still works
+      console.warn("Could not cache wine catalog:", error.message);
+    }
+  }
+
+  setProducts(products, loadedAt) {
+    this.index = buildCatalogIndex(products);
+    // Built here, once per catalog, rather than on the first search
+    this.searchIndex = getWineSearchIndex(this.index.products);
+    this.loadedAt = loadedAt;
+    this.listeners.forEach(listener => listener(this.index.products));
+  }
+
+  isFresh() {
+    return this.loadedAt > 0 && Date.now() - this.loadedAt < CATALOG_TTL_MS;
+  }
+
+  /**
+   * Products, loading them on first use. A stale catalog is returned at once
+   * and refreshed in the background.
+   * @returns {Promise<Array>} - Commerce7 products
+   */
+  async load() {
+    if (!this.loadedAt) {
+      const stored = this.readStored();
+      if (stored) {
+        this.setProducts(stored.products, stored.savedAt);
+      }
+    }
+    this.startBackgroundRefresh();
+
+    if (!this.loadedAt) {
+      return this.refresh();
+    }
+    if (!this.isFresh()) {
+      this.refresh();
+    }
+    return this.index.products;
+  }
+
+  /**
+   * Fetch the catalog again. Concurrent calls share one request; an empty or
+   * failed response keeps the products already loaded.
+   * @returns {Promise<Array>} - Commerce7 products
+   */
+  refresh() {
+    if (!this.pending) {
+      this.pending = fetchWineData(true)
+        .then(products => {
+          if (products.length > 0) {
+            const loadedAt = Date.now();
+            this.setProducts(products, loadedAt);
+            this.persist(products, loadedAt);
+          }
+          return this.index.products;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  startBackgroundRefresh() {
+    if (this.refreshTimer) {
+      return;
+    }
+    this.refreshTimer = setInterval(() => {
+      if (!this.isFresh()) {
+        this.refresh();
+      }
+    }, REFRESH_CHECK_MS);
+  }
+
+  stopBackgroundRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Listen for catalog updates
+   * @param {Function} listener - Called with the new product list
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getAll() {
+    return this.index.products;
+  }
+
+  getById(id) {
+    return this.index.byId.get(id) || null;
+  }
+
+  getBySlug(slug) {
+    return this.index.bySlug.get(slug) || null;
+  }
+
+  listByVariety(variety, vintage) {
+    return listByVariety(this.index, variety, vintage);
+  }
+
+  listByVintage(vintage) {
+    return this.index.byVintage.get(Number(vintage)) || [];
+  }
+
+  /**
+   * Ranked typo-tolerant search over titles, varieties and tasting notes
+   * @param {string} query - Search text
+   * @param {Object} [options] - See searchWineIndex
+   * @returns {Array<Object>} - [{ product, score, matches }]
+   */
+  search(query, options) {
+    return searchWineIndex(this.searchIndex, query, options);
+  }
+}
+
+export const wineCatalog = new WineCatalogService();
@@ -0,0 +1,76 @@
+import { fetchWineData } from "./apiService";
+import { wineCatalog } from "./wineCatalogService";
+
+jest.mock("./apiService", () => ({ fetchWineData: jest.fn() }));
+
+const HOUR = 60 * 60 * 1000;
+const products = [
+  { id: "p1", title: "2021 Cabernet Franc", type: "Wine" },
+  { id: "p2", title: "2022 Dry Riesling", type: "Wine" }
+];
+
+// Wait for a background refresh started without awaiting
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  localStorage.clear();
+  fetchWineData.mockReset();
+  wineCatalog.stopBackgroundRefresh();
+  wineCatalog.setProducts([], 0);
+});
+
+afterAll(() => {
+  wineCatalog.stopBackgroundRefresh();
+});
+
+test("fetches once and serves later calls from memory", async () => {
+  fetchWineData.mockResolvedValue(products);
+
+  await expect(wineCatalog.load()).resolves.toEqual(products);
+  await wineCatalog.load();
+
+  expect(fetchWineData).toHaveBeenCalledTimes(1);
+  expect(wineCatalog.getById("p2").title).toBe("2022 Dry Riesling");
+  expect(wineCatalog.listByVariety("riesling")).toHaveLength(1);
+});
+
+test("shares one request between concurrent loads", async () => {
+  fetchWineData.mockResolvedValue(products);
+
+  await Promise.all([wineCatalog.load(), wineCatalog.load(), wineCatalog.load()]);
+
+  expect(fetchWineData).toHaveBeenCalledTimes(1);
+});
+
+test("restores a fresh catalog from localStorage without fetching", async () => {
+  localStorage.setItem("mileaWineCatalog", JSON.stringify({ savedAt: Date.now() - HOUR, products }));
+
+  await expect(wineCatalog.load()).resolves.toEqual(products);
+  expect(fetchWineData).not.toHaveBeenCalled();
+});
+
+test("returns a stale catalog at once and refreshes it in the background", async () => {
+  localStorage.setItem("mileaWineCatalog", JSON.stringify({ savedAt: Date.now() - 7 * HOUR, products }));
+  const updated = [...products, { id: "p3", title: "2023 Rosé", type: "Wine" }];
+  fetchWineData.mockResolvedValue(updated);
+  const listener = jest.fn();
+  const unsubscribe = wineCatalog.subscribe(listener);
+
+  await expect(wineCatalog.load()).resolves.toEqual(products);
+  await flushPromises();
+
+  expect(fetchWineData).toHaveBeenCalledTimes(1);
+  expect(wineCatalog.getAll()).toEqual(updated);
+  expect(listener).toHaveBeenLastCalledWith(updated);
+  expect(JSON.parse(localStorage.getItem("mileaWineCatalog")).products).toEqual(updated);
+  unsubscribe();
+});
+
+test("keeps the loaded catalog when a refresh comes back empty", async () => {
+  fetchWineData.mockResolvedValueOnce(products).mockResolvedValueOnce([]);
+
+  await wineCatalog.load();
+  await wineCatalog.refresh();
+
+  expect(wineCatalog.getAll()).toEqual(products);
+});
@@ -0,0 +1,22 @@
+import { fetchWineDictionary } from "./apiService";
+import { getWineDictionary, setWineDictionary } from "../utils/wineDictionary";
+
+// Fetched once per page load and shared, like the chat settings
+let dictionaryPromise = null;
+
+/**
+ * Load the wine dictionary saved from the dashboard, keeping the bundled one
+ * when nothing has been saved or the backend is unavailable
+ * @returns {Promise<Object>} - The compiled dictionary in use
+ */
+export const loadWineDictionary = () => {
+  if (!dictionaryPromise) {
+    dictionaryPromise = fetchWineDictionary()
+      .then(saved => (saved ? setWineDictionary(saved) : getWineDictionary()))
+      .catch(error => {
+        console.warn("Using the bundled wine dictionary:", error.message);
+        return getWineDictionary();
+      });
+  }
+  return dictionaryPromise;
+};
@@ -0,0 +1,195 @@
+import { extractDate } from "./conversationState";
+import { formatReservationTime } from "./reservations";
+
+// The winery's own timezone; "open now" is always answered in winery time
+export const DEFAULT_TIMEZONE = "America/New_York";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Opening hours for one day, or null when closed
+const normalizeDayHours = (raw) => {
+  if (!raw || raw.closed || !TIME_PATTERN.test(raw.open) || !TIME_PATTERN.test(raw.close)) {
+    return null;
+  }
+  return { open: raw.open, close: raw.close };
+};
+
+/**
+ * Normalize the /api/business/hours response. The endpoint returns
+ * `{ timezone, weekly: { monday: { open: "11:00", close: "17:00" } | { closed: true }, ... },
+ *   exceptions: [{ date: "2026-12-25", label: "Christmas Day", closed: true } | { date, label, open, close }] }`,
+ * optionally wrapped in `{ success, hours }`.
+ * @param {Object} data - API response
+ * @returns {Object} - { timezone, weekly: Array(7) of hours|null (Sunday first), exceptions: Map(date -> { label, hours }) }
+ */
+export const normalizeSchedule = (data = {}) => {
+  const source = data.hours || data;
+  const weeklySource = source.weekly || {};
+
+  const weekly = WEEKDAYS.map(day => {
+    const key = Object.keys(weeklySource).find(name => name.toLowerCase() === day);
+    return key ? normalizeDayHours(weeklySource[key]) : null;
+  });
+
+  const exceptions = new Map();
+  (Array.isArray(source.exceptions) ? source.exceptions : []).forEach(exception => {
+    if (exception && /^\d{4}-\d{2}-\d{2}$/.test(exception.date)) {
+      exceptions.set(exception.date, {
+        label: typeof exception.label === "string" ? exception.label : "",
+        hours: normalizeDayHours(exception)
+      });
+    }
+  });
+
+  return {
+    timezone: typeof source.timezone === "string" && source.timezone ? source.timezone : DEFAULT_TIMEZONE,
+    weekly,
+    exceptions
+  };
+};
+
+/**
+ * Wall-clock date and time at the winery
+ * @param {Date} now - Current instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { date: "YYYY-MM-DD", minutes: minutes since midnight }
+ */
+export const getZonedNow = (now, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const addDaysToDate = (date, days) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Hours for a calendar date, applying holiday exceptions
+ * @param {Object} schedule - From normalizeSchedule
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} - { date, hours: { open, close }|null, label }
+ */
+export const getHoursForDate = (schedule, date) => {
+  const exception = schedule.exceptions.get(date);
+  if (exception) {
+    return { date, hours: exception.hours, label: exception.label };
+  }
+  return { date, hours: schedule.weekly[weekdayOf(date)], label: "" };
+};
+
+/**
+ * Whether the winery is open at a given instant, and when that changes
+ * @param {Object} schedule - From normalizeSchedule
+ * @param {Date} [now] - Current instant
+ * @returns {Object} - { isOpen, closesAt?, next?: { date, hours, label } }
+ */
+export const getOpenStatus = (schedule, now = new Date()) => {
+  const { date, minutes } = getZonedNow(now, schedule.timezone);
+  const today = getHoursForDate(schedule, date);
+
+  if (today.hours && minutes >= toMinutes(today.hours.open) && minutes < toMinutes(today.hours.close)) {
+    return { isOpen: true, closesAt: today.hours.close };
+  }
+
+  // Later today, or the next day with hours within two weeks
+  if (today.hours && minutes < toMinutes(today.hours.open)) {
+    return { isOpen: false, next: today };
+  }
+  for (let offset = 1; offset <= 14; offset++) {
+    const day = getHoursForDate(schedule, addDaysToDate(date, offset));
+    if (day.hours) {
+      return { isOpen: false, next: day };
+    }
+  }
+  return { isOpen: false };
+};
+
+const formatDay = (date, today) => {
+  if (date === today) return "today";
+  if (date === addDaysToDate(today, 1)) return "tomorrow";
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC"
+  });
+};
+
+const formatHours = ({ open, close }) => `${formatReservationTime(open)} to ${formatReservationTime(close)}`;
+
+const describeDay = (day, today) => {
+  const when = formatDay(day.date, today);
+  const occasion = day.label ? ` (${day.label})` : "";
+  return day.hours
+    ? `We're open ${when}${occasion} from ${formatHours(day.hours)}.`
+    : `We're closed ${when}${occasion}.`;
+};
+
+// Whether the schedule has any opening hours at all; an empty or unrecognized
+// response normalizes to one that is closed every day
+const hasPostedHours = (schedule) =>
+  schedule.weekly.some(Boolean) || [...schedule.exceptions.values()].some(({ hours }) => hours);
+
+/**
+ * Answer an hours question ("are you open now", "what time do you close
+ * Saturday", "are you open on Christmas") in the winery's timezone
+ * @param {Object} schedule - From normalizeSchedule
+ * @param {string} message - Guest's question
+ * @param {Date} [now] - Current instant
+ * @returns {string|null} - Reply, or null when the schedule has no hours to answer from
+ */
+export const answerHoursQuestion = (schedule, message, now = new Date()) => {
+  if (!hasPostedHours(schedule)) return null;
+
+  const text = String(message || "").toLowerCase();
+  const { date: today } = getZonedNow(now, schedule.timezone);
+  const [year, month, day] = today.split("-").map(Number);
+
+  // Holidays by name (the most specific label wins, so "Christmas Eve" beats
+  // "Christmas Day"), then any date the guest mentions
+  const holiday = [...schedule.exceptions.entries()]
+    .map(([date, { label }]) => ({ date, name: label.toLowerCase().replace(/ day$/, "") }))
+    .filter(({ date, name }) => name && date >= today && text.includes(name))
+    .sort((a, b) => b.name.length - a.name.length)[0]?.date;
+  const asked = holiday || extractDate(text, new Date(year, month - 1, day));
+
+  if (asked && asked !== today) {
+    return describeDay(getHoursForDate(schedule, asked), today);
+  }
+
+  const status = getOpenStatus(schedule, now);
+  if (status.isOpen) {
+    return `Yes, we're open now until ${formatReservationTime(status.closesAt)}.`;
+  }
+  if (status.next) {
+    const opening = `${formatDay(status.next.date, today)} at ${formatReservationTime(status.next.hours.open)}`;
+    return `We're closed right now. We open again ${opening}.`;
+  }
+  return null;
+};
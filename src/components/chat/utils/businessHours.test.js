@@ -0,0 +1,110 @@
+import { normalizeSchedule, getZonedNow, getHoursForDate, getOpenStatus, answerHoursQuestion } from "./businessHours";
+
+const schedule = normalizeSchedule({
+  success: true,
+  hours: {
+    timezone: "America/New_York",
+    weekly: {
+      Monday: { closed: true },
+      Tuesday: { closed: true },
+      Wednesday: { open: "12:00", close: "17:00" },
+      Thursday: { open: "12:00", close: "17:00" },
+      Friday: { open: "12:00", close: "19:00" },
+      Saturday: { open: "11:00", close: "18:00" },
+      Sunday: { open: "11:00", close: "17:00" }
+    },
+    exceptions: [
+      { date: "2026-12-25", label: "Christmas Day", closed: true },
+      { date: "2026-12-24", label: "Christmas Eve", open: "11:00", close: "15:00" }
+    ]
+  }
+});
+
+// Instants are given in UTC; the winery is five hours behind in winter
+const at = (iso) => new Date(iso);
+
+describe("normalizeSchedule", () => {
+  test("indexes weekly hours Sunday first and keeps exceptions by date", () => {
+    expect(schedule.weekly[0]).toEqual({ open: "11:00", close: "17:00" });
+    expect(schedule.weekly[1]).toBeNull();
+    expect(schedule.exceptions.get("2026-12-25")).toEqual({ label: "Christmas Day", hours: null });
+  });
+
+  test("defaults to the winery timezone and tolerates missing data", () => {
+    const empty = normalizeSchedule({});
+    expect(empty.timezone).toBe("America/New_York");
+    expect(empty.weekly).toEqual([null, null, null, null, null, null, null]);
+  });
+});
+
+describe("getZonedNow", () => {
+  test("uses the winery's wall clock, not the browser's", () => {
+    // 02:30 UTC on Saturday is still Friday evening in New York
+    expect(getZonedNow(at("2026-12-05T02:30:00Z"), "America/New_York")).toEqual({ date: "2026-12-04", minutes: 21 * 60 + 30 });
+  });
+});
+
+describe("getHoursForDate", () => {
+  test("applies holiday exceptions", () => {
+    expect(getHoursForDate(schedule, "2026-12-25").hours).toBeNull();
+    expect(getHoursForDate(schedule, "2026-12-24").hours).toEqual({ open: "11:00", close: "15:00" });
+    expect(getHoursForDate(schedule, "2026-12-23").hours).toEqual({ open: "12:00", close: "17:00" });
+  });
+});
+
+describe("getOpenStatus", () => {
+  test("is open during the day's hours", () => {
+    // Saturday 2026-12-05, 14:00 in New York
+    expect(getOpenStatus(schedule, at("2026-12-05T19:00:00Z"))).toEqual({ isOpen: true, closesAt: "18:00" });
+  });
+
+  test("finds the next opening after closed days", () => {
+    // Monday 2026-12-07, 13:00 in New York; closed Monday and Tuesday
+    const status = getOpenStatus(schedule, at("2026-12-07T18:00:00Z"));
+    expect(status.isOpen).toBe(false);
+    expect(status.next.date).toBe("2026-12-09");
+  });
+
+  test("reports an opening later the same day", () => {
+    // Saturday 2026-12-05, 09:00 in New York
+    const status = getOpenStatus(schedule, at("2026-12-05T14:00:00Z"));
+    expect(status).toMatchObject({ isOpen: false, next: { date: "2026-12-05" } });
+  });
+});
+
+describe("answerHoursQuestion", () => {
+  // Saturday 2026-12-05, 14:00 in New York
+  const saturdayAfternoon = at("2026-12-05T19:00:00Z");
+
+  test("answers whether the winery is open now", () => {
+    expect(answerHoursQuestion(schedule, "Are you open today?", saturdayAfternoon))
+      .toBe("Yes, we're open now until 6:00 PM.");
+  });
+
+  test("answers for another day", () => {
+    expect(answerHoursQuestion(schedule, "What time do you close Friday?", saturdayAfternoon))
+      .toBe("We're open Friday, December 11 from 12:00 PM to 7:00 PM.");
+    expect(answerHoursQuestion(schedule, "Are you open tomorrow?", saturdayAfternoon))
+      .toBe("We're open tomorrow from 11:00 AM to 5:00 PM.");
+    expect(answerHoursQuestion(schedule, "Open on Monday?", saturdayAfternoon))
+      .toBe("We're closed Monday, December 7.");
+  });
+
+  test("answers holiday questions by name", () => {
+    expect(answerHoursQuestion(schedule, "Are you open on Christmas?", saturdayAfternoon))
+      .toBe("We're closed Friday, December 25 (Christmas Day).");
+    expect(answerHoursQuestion(schedule, "What are your hours on christmas eve?", saturdayAfternoon))
+      .toBe("We're open Thursday, December 24 (Christmas Eve) from 11:00 AM to 3:00 PM.");
+  });
+
+  test("says when the winery opens next", () => {
+    // Monday 2026-12-07, 13:00 in New York
+    expect(answerHoursQuestion(schedule, "Are you open right now?", at("2026-12-07T18:00:00Z")))
+      .toBe("We're closed right now. We open again Wednesday, December 9 at 12:00 PM.");
+  });
+
+  test("has no answer when no hours are posted", () => {
+    expect(answerHoursQuestion(normalizeSchedule({}), "Are you open today?", saturdayAfternoon)).toBeNull();
+    expect(answerHoursQuestion(normalizeSchedule({ hours: "11-5 daily" }), "Open Friday?", saturdayAfternoon)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+import { redactPII } from "./redact";
+
+export const DEFAULT_CONTEXT_TURNS = 6;
+export const DEFAULT_CONTEXT_TOKEN_BUDGET = 1000;
+
+// Rough token count for budgeting (about four characters per token in English)
+export const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+// Prior messages worth sending: greetings, components, unfinished and
+// cancelled answers add nothing the backend can use, and private replies
+// (account summaries, the login welcome) carry the customer's name and details
+const isContextMessage = (msg) =>
+  ["user", "bot", "staff"].includes(msg.role) &&
+  !msg.isGreeting && !msg.component && !msg.streaming && !msg.cancelled && !msg.private &&
+  typeof msg.content === "string" && msg.content.trim() !== "";
+
+/**
+ * Recent conversation history for /rag-chat, so the backend can resolve
+ * pronouns and follow-ups. A turn starts at each user message; the oldest
+ * messages are dropped until the history fits the token budget. Private
+ * replies are left out and personal data is redacted before anything leaves
+ * the widget.
+ * @param {Array} messages - Messages shown before the current one
+ * @param {Object} [options]
+ * @param {number} [options.maxTurns] - Prior turns to include (0 disables history)
+ * @param {number} [options.tokenBudget] - Approximate token limit for the whole history
+ * @returns {Array} - [{ role: "user"|"assistant", content }], oldest first
+ */
+export const buildConversationHistory = (messages = [], {
+  maxTurns = DEFAULT_CONTEXT_TURNS,
+  tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET
+} = {}) => {
+  const recent = [];
+  let turns = 0;
+  for (let i = messages.length - 1; i >= 0 && maxTurns > 0; i--) {
+    const msg = messages[i];
+    if (!isContextMessage(msg)) continue;
+    recent.unshift({
+      role: msg.role === "user" ? "user" : "assistant",
+      content: redactPII(msg.content.trim())
+    });
+    if (msg.role === "user" && ++turns >= maxTurns) break;
+  }
+
+  let tokens = recent.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+  while (recent.length > 0 && tokens > tokenBudget) {
+    tokens -= estimateTokens(recent.shift().content);
+  }
+  return recent;
+};
+
+/**
+ * What the backend may know about the guest. Only non-identifying details
+ * are sent: whether they are logged in, their club memberships and the
+ * preferences picked up during the conversation.
+ * @param {Object|null} customerData - Logged-in customer from /api/customer/me
+ * @param {Object} [slots] - Filled conversation slots (clubLevel, wineName)
+ * @returns {Object} - { loggedIn, clubs?, preferences? }
+ */
+export const buildCustomerContext = (customerData, slots = {}) => {
+  const customer = { loggedIn: Boolean(customerData) };
+
+  const clubs = (customerData?.clubMemberships || [])
+    .map(club => club.clubTitle)
+    .filter(Boolean);
+  if (clubs.length > 0) {
+    customer.clubs = clubs;
+  }
+
+  const preferences = {};
+  if (slots.wineName) preferences.wine = slots.wineName;
+  if (slots.clubLevel) preferences.clubLevel = slots.clubLevel;
+  if (Object.keys(preferences).length > 0) {
+    customer.preferences = preferences;
+  }
+
+  return customer;
+};
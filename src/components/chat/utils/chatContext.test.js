@@ -0,0 +1,85 @@
+import { buildConversationHistory, buildCustomerContext, estimateTokens } from "./chatContext";
+
+const conversation = [
+  { role: "bot", content: "Hello! I'm your Milea Wine assistant.", isGreeting: true },
+  { role: "user", content: "Tell me about your Riesling" },
+  { role: "bot", content: "Our Riesling is off-dry with notes of peach." },
+  { role: "user", content: "Email me at guest@example.com or call 845-555-1234" },
+  { role: "bot", content: "I can't send emails, but you can join our mailing list." },
+  { role: "bot", content: "", component: "WineClubSignup" },
+  { role: "user", content: "What does it pair with?" },
+  { role: "bot", content: "It goes well with", streaming: true }
+];
+
+describe("buildConversationHistory", () => {
+  test("keeps user and assistant messages, oldest first", () => {
+    expect(buildConversationHistory(conversation)).toEqual([
+      { role: "user", content: "Tell me about your Riesling" },
+      { role: "assistant", content: "Our Riesling is off-dry with notes of peach." },
+      { role: "user", content: "Email me at [email] or call [phone]" },
+      { role: "assistant", content: "I can't send emails, but you can join our mailing list." },
+      { role: "user", content: "What does it pair with?" }
+    ]);
+  });
+
+  test("limits the window to the most recent turns", () => {
+    const history = buildConversationHistory(conversation, { maxTurns: 2 });
+    expect(history.map(msg => msg.content)).toEqual([
+      "Email me at [email] or call [phone]",
+      "I can't send emails, but you can join our mailing list.",
+      "What does it pair with?"
+    ]);
+  });
+
+  test("sends nothing when history is turned off", () => {
+    expect(buildConversationHistory(conversation, { maxTurns: 0 })).toEqual([]);
+  });
+
+  test("drops the oldest messages to fit the token budget", () => {
+    const history = buildConversationHistory(conversation, { tokenBudget: 30 });
+    const tokens = history.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+    expect(tokens).toBeLessThanOrEqual(30);
+    expect(history[history.length - 1].content).toBe("What does it pair with?");
+    expect(history.length).toBeLessThan(5);
+  });
+
+  test("sends staff replies as assistant messages", () => {
+    const history = buildConversationHistory([
+      { role: "user", content: "Can someone help?" },
+      { role: "staff", content: "Hi, this is Anna.", staffName: "anna" }
+    ]);
+    expect(history[1]).toEqual({ role: "assistant", content: "Hi, this is Anna." });
+  });
+
+  test("leaves out private account and login replies", () => {
+    const history = buildConversationHistory([
+      { role: "bot", content: "✅ Login successful! Welcome back, Jane.", private: true },
+      { role: "user", content: "What's on my account?" },
+      { role: "bot", content: "Here's a summary of your account:\n• Name: Jane Doe", private: true },
+      { role: "user", content: "Which wines do you recommend?" }
+    ]);
+    expect(history).toEqual([
+      { role: "user", content: "What's on my account?" },
+      { role: "user", content: "Which wines do you recommend?" }
+    ]);
+  });
+});
+
+describe("buildCustomerContext", () => {
+  test("describes anonymous guests", () => {
+    expect(buildCustomerContext(null)).toEqual({ loggedIn: false });
+  });
+
+  test("includes club memberships and conversation preferences but no identity", () => {
+    const customer = {
+      firstName: "Pat",
+      email: "pat@example.com",
+      clubMemberships: [{ clubTitle: "Grand Prix" }]
+    };
+    expect(buildCustomerContext(customer, { wineName: "riesling" })).toEqual({
+      loggedIn: true,
+      clubs: ["Grand Prix"],
+      preferences: { wine: "riesling" }
+    });
+  });
+});
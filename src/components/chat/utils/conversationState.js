@@ -0,0 +1,244 @@
+import { getWineDictionary, foldWineText, mentionsTerm } from "./wineDictionary";
+import { FALLBACK_INTENT } from "./intentClassifier";
+
+/**
+ * Slots each multi-turn intent collects. `required` slots are asked for with
+ * a clarifying question before the intent's handler acts; the others are
+ * carried across turns as context. Intents that are not listed are handled in
+ * a single turn.
+ */
+export const INTENT_SLOTS = {
+  reservation: { slots: ["date", "partySize"], required: ["date", "partySize"] },
+  club: { slots: ["clubLevel"], required: [] },
+  hours: { slots: ["date"], required: [] },
+  rag: { slots: ["wineName"], required: [] }
+};
+
+export const SLOT_QUESTIONS = {
+  date: "What day would you like to visit?",
+  partySize: "How many people will be in your party?",
+  clubLevel: "Which club level are you interested in?",
+  wineName: "Which wine are you asking about?"
+};
+
+export const INITIAL_CONVERSATION_STATE = {
+  activeIntent: null,
+  slots: {},
+  awaiting: null
+};
+
+// Messages that refer back to the previous answer ("what about the Grand Prix one?")
+const FOLLOW_UP = /^(and|also|what about|how about|and what about)\b|\b(that|this|the same|the other) one\b|\bone\?$/;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join("|")})`;
+const PARTY_SIZE_PATTERNS = [
+  new RegExp(`\\b(?:party of|table for|group of) ${NUMBER}\\b`),
+  new RegExp(`\\b${NUMBER} (?:people|persons|guests|adults|of us)\\b`),
+  new RegExp(`\\bfor ${NUMBER}\\b(?!\\s?(?:pm|am|o'?clock)|:)`)
+];
+// A reply that is only a number ("4", "four.")
+const BARE_NUMBER = new RegExp(`^${NUMBER}[.!]?$`);
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december"
+];
+
+const toIsoDate = (date) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const parseNumber = (value) => NUMBER_WORDS[value] || parseInt(value, 10);
+
+/**
+ * Find a visit date in a message
+ * @param {string} text - Lowercased message
+ * @param {Date} now - Reference date for relative expressions
+ * @returns {string|null} - Date as YYYY-MM-DD
+ */
+export const extractDate = (text, now = new Date()) => {
+  if (/\b(today|tonight|this evening)\b/.test(text)) return toIsoDate(now);
+  if (/\btomorrow\b/.test(text)) return toIsoDate(addDays(now, 1));
+  if (/\b(this )?weekend\b/.test(text)) {
+    return toIsoDate(addDays(now, (6 - now.getDay() + 7) % 7));
+  }
+
+  const weekday = text.match(new RegExp(`\\b(next )?(${WEEKDAYS.join("|")})\\b`));
+  if (weekday) {
+    let days = (WEEKDAYS.indexOf(weekday[2]) - now.getDay() + 7) % 7;
+    if (weekday[1] && days === 0) days = 7;
+    return toIsoDate(addDays(now, days));
+  }
+
+  // "june 6", "june 6th"
+  const named = text.match(new RegExp(`\\b(${MONTHS.join("|")}) (\\d{1,2})(st|nd|rd|th)?\\b`));
+  // "6/14"
+  const numeric = text.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  const [month, day] = named
+    ? [MONTHS.indexOf(named[1]), parseInt(named[2], 10)]
+    : numeric ? [parseInt(numeric[1], 10) - 1, parseInt(numeric[2], 10)] : [-1, 0];
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+
+  // Dates without a year are the next occurrence
+  let date = new Date(now.getFullYear(), month, day);
+  if (date.getMonth() !== month) return null;
+  if (date < addDays(now, 0)) date = new Date(now.getFullYear() + 1, month, day);
+  return toIsoDate(date);
+};
+
+/**
+ * Find a party size in a message ("party of 4", "two of us", "for 6")
+ * @param {string} text - Lowercased message
+ * @param {boolean} [asked] - Whether the party size was just asked for, so a
+ *   bare number ("4", "four") is the answer
+ * @returns {number|null} - Number of guests
+ */
+export const extractPartySize = (text, asked = false) => {
+  if (asked) {
+    const bare = text.trim().match(BARE_NUMBER);
+    if (bare && parseNumber(bare[1]) > 0) return parseNumber(bare[1]);
+  }
+  if (/\b(just me|only me|by myself)\b/.test(text)) return 1;
+  if (/\b(the two of us|my (wife|husband|partner) and i|a couple of us)\b/.test(text)) return 2;
+
+  for (const pattern of PARTY_SIZE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const size = parseNumber(match[1]);
+      if (size > 0) return size;
+    }
+  }
+  return null;
+};
+
+/**
+ * Find a club level by name
+ * @param {string} text - Lowercased message
+ * @param {Array} clubs - Club levels from chat settings ({ id, name })
+ * @returns {string|null} - Club level name as configured
+ */
+export const extractClubLevel = (text, clubs = []) => {
+  const club = clubs.find(({ name }) => name && text.includes(name.toLowerCase()));
+  return club ? club.name : null;
+};
+
+/**
+ * Find a wine variety in a message
+ * @param {string} text - Lowercased message
+ * @returns {string|null} - Variety as written in the wine list
+ */
+export const extractWineName = (text) => {
+  const folded = foldWineText(text);
+  // Dictionary names are sorted longest first, so "cabernet franc" wins over "cabernet"
+  return getWineDictionary().names.find(name => mentionsTerm(folded, foldWineText(name))) || null;
+};
+
+/**
+ * Pull every known slot out of a message
+ * @param {string} message - Raw user message
+ * @param {Object} [options]
+ * @param {Array} [options.clubs] - Club levels from chat settings
+ * @param {Date} [options.now] - Reference date for relative dates
+ * @param {string|null} [options.awaiting] - Slot the previous turn asked for
+ * @returns {Object} - Filled slots only
+ */
+export const extractSlots = (message, { clubs = [], now = new Date(), awaiting = null } = {}) => {
+  const text = String(message || "").toLowerCase();
+  const found = {
+    date: extractDate(text, now),
+    partySize: extractPartySize(text, awaiting === "partySize"),
+    clubLevel: extractClubLevel(text, clubs),
+    wineName: extractWineName(text)
+  };
+  return Object.fromEntries(Object.entries(found).filter(([, value]) => value !== null));
+};
+
+const pickSlots = (intent, slots) => {
+  const names = INTENT_SLOTS[intent]?.slots || [];
+  return Object.fromEntries(Object.entries(slots).filter(([name]) => names.includes(name)));
+};
+
+/**
+ * First required slot an intent still needs
+ * @param {string} intent - Intent name
+ * @param {Object} slots - Filled slots
+ * @returns {string|null} - Slot name, or null when the intent can act
+ */
+export const getMissingSlot = (intent, slots) =>
+  (INTENT_SLOTS[intent]?.required || []).find(name => slots[name] === undefined) || null;
+
+/**
+ * Decide which intent a message belongs to, given the conversation so far.
+ * A confident classification starts that intent with fresh slots. A message
+ * the classifier can't place stays with the active intent when it answers the
+ * pending question, fills one of the intent's slots or reads as a follow-up.
+ * @param {Object} state - Conversation state from the previous turn
+ * @param {string} message - Raw user message
+ * @param {Object} classification - Result of intentClassifier.classify
+ * @param {Object} [options] - Passed to extractSlots
+ * @returns {{ intent: string, slots: Object, continued: boolean, missingSlot: string|null, state: Object }}
+ */
+export const resolveTurn = (state, message, classification, options = {}) => {
+  const found = extractSlots(message, { ...options, awaiting: state.awaiting });
+  const active = state.activeIntent;
+  const text = String(message || "").trim().toLowerCase();
+
+  // A message naming something the active intent doesn't track has moved on
+  const ownSlots = pickSlots(active, found);
+  const onTopic = Object.keys(ownSlots).length === Object.keys(found).length;
+  const refersBack = FOLLOW_UP.test(text) && onTopic;
+
+  const continues = Boolean(active) && (
+    classification.intent === active
+      ? active !== FALLBACK_INTENT || refersBack
+      : classification.intent === FALLBACK_INTENT && (
+        (state.awaiting && found[state.awaiting] !== undefined) ||
+        Object.keys(ownSlots).length > 0 ||
+        refersBack
+      )
+  );
+
+  const intent = continues ? active : classification.intent;
+  const slots = continues
+    ? { ...state.slots, ...pickSlots(intent, found) }
+    : pickSlots(intent, found);
+  const missingSlot = getMissingSlot(intent, slots);
+
+  return {
+    intent,
+    slots,
+    continued: continues,
+    missingSlot,
+    state: INTENT_SLOTS[intent]
+      ? { activeIntent: intent, slots, awaiting: missingSlot }
+      : INITIAL_CONVERSATION_STATE
+  };
+};
+
+/**
+ * Short description of the filled slots, added to knowledge-base questions
+ * that only make sense with the earlier turns ("what about the Grand Prix one?")
+ * @param {string} intent - Intent name
+ * @param {Object} slots - Filled slots
+ * @returns {string} - Context sentence, or an empty string
+ */
+export const describeSlots = (intent, slots) => {
+  if (intent === "club") {
+    return slots.clubLevel
+      ? `The guest is asking about the ${slots.clubLevel} level of the Milea wine club.`
+      : "The guest is asking about the Milea wine club.";
+  }
+  if (slots.wineName) {
+    return `The guest is asking about the ${slots.wineName}.`;
+  }
+  return "";
+};
@@ -0,0 +1,153 @@
+import {
+  extractDate,
+  extractPartySize,
+  extractSlots,
+  getMissingSlot,
+  resolveTurn,
+  describeSlots,
+  INITIAL_CONVERSATION_STATE
+} from "./conversationState";
+import { intentClassifier } from "./intents";
+import { DEFAULT_CHAT_SETTINGS } from "./defaultSettings";
+
+// Wednesday, June 10 2026
+const NOW = new Date(2026, 5, 10);
+const options = { clubs: DEFAULT_CHAT_SETTINGS.clubs, now: NOW };
+
+// Run a conversation through the classifier and return each resolved turn
+const converse = (...messages) => {
+  let state = INITIAL_CONVERSATION_STATE;
+  return messages.map(message => {
+    const turn = resolveTurn(state, message, intentClassifier.classify(message), options);
+    state = turn.state;
+    return turn;
+  });
+};
+
+describe("extractDate", () => {
+  test.each([
+    ["today works", "2026-06-10"],
+    ["tomorrow", "2026-06-11"],
+    ["this saturday", "2026-06-13"],
+    ["wednesday", "2026-06-10"],
+    ["next wednesday", "2026-06-17"],
+    ["this weekend", "2026-06-13"],
+    ["june 20th", "2026-06-20"],
+    ["6/12", "2026-06-12"],
+    ["march 3", "2027-03-03"]
+  ])("%p -> %s", (text, expected) => {
+    expect(extractDate(text, NOW)).toBe(expected);
+  });
+
+  test("ignores impossible and missing dates", () => {
+    expect(extractDate("february 30", NOW)).toBeNull();
+    expect(extractDate("13/40", NOW)).toBeNull();
+    expect(extractDate("sometime soon", NOW)).toBeNull();
+  });
+});
+
+describe("extractPartySize", () => {
+  test.each([
+    ["a party of 6", 6],
+    ["four people", 4],
+    ["there will be two of us", 2],
+    ["table for 3", 3],
+    ["for 5 on saturday", 5],
+    ["just me", 1],
+    ["my wife and i", 2]
+  ])("%p -> %s", (text, expected) => {
+    expect(extractPartySize(text)).toBe(expected);
+  });
+
+  test("does not mistake times for guests", () => {
+    expect(extractPartySize("for 2pm")).toBeNull();
+    expect(extractPartySize("for 6:30")).toBeNull();
+  });
+
+  test("accepts a bare number only when the party size was asked for", () => {
+    expect(extractPartySize("4", true)).toBe(4);
+    expect(extractPartySize("four.", true)).toBe(4);
+    expect(extractPartySize("4")).toBeNull();
+    expect(extractPartySize("0", true)).toBeNull();
+  });
+});
+
+describe("extractSlots", () => {
+  test("finds club levels from settings and wine varieties", () => {
+    expect(extractSlots("What about the Grand Prix one?", options)).toEqual({ clubLevel: "Grand Prix" });
+    expect(extractSlots("Tell me about the Cabernet Franc", options)).toEqual({ wineName: "cabernet franc" });
+  });
+
+  test("returns only filled slots", () => {
+    expect(extractSlots("hello", options)).toEqual({});
+  });
+});
+
+describe("getMissingSlot", () => {
+  test("asks for required slots in order", () => {
+    expect(getMissingSlot("reservation", {})).toBe("date");
+    expect(getMissingSlot("reservation", { date: "2026-06-13" })).toBe("partySize");
+    expect(getMissingSlot("reservation", { date: "2026-06-13", partySize: 2 })).toBeNull();
+    expect(getMissingSlot("club", {})).toBeNull();
+  });
+});
+
+describe("resolveTurn", () => {
+  test("keeps a club follow-up on the club intent", () => {
+    const [, followUp] = converse("Tell me about the wine club tiers", "What about the Grand Prix one?");
+    expect(followUp.intent).toBe("club");
+    expect(followUp.continued).toBe(true);
+    expect(followUp.slots).toEqual({ clubLevel: "Grand Prix" });
+  });
+
+  test("keeps asking about hours for another day", () => {
+    const [, followUp] = converse("Are you open today?", "What about Sunday?");
+    expect(followUp).toMatchObject({ intent: "hours", continued: true, slots: { date: "2026-06-14" } });
+  });
+
+  test("fills reservation slots across turns", () => {
+    const [first, second, third] = converse("I'd like to make a reservation", "Saturday", "4 people");
+    expect(first).toMatchObject({ intent: "reservation", missingSlot: "date" });
+    expect(second).toMatchObject({ intent: "reservation", missingSlot: "partySize", slots: { date: "2026-06-13" } });
+    expect(third).toMatchObject({ intent: "reservation", missingSlot: null, slots: { date: "2026-06-13", partySize: 4 } });
+  });
+
+  test.each(["4", "four"])("takes a bare %p as the party size after asking for it", (answer) => {
+    const [, second, third] = converse("I'd like to book a tasting", "Saturday", answer);
+    expect(second).toMatchObject({ intent: "reservation", missingSlot: "partySize" });
+    expect(third).toMatchObject({ intent: "reservation", continued: true, missingSlot: null, slots: { date: "2026-06-13", partySize: 4 } });
+  });
+
+  test("fills several slots from one message", () => {
+    const [turn] = converse("Can I book a tasting for 4 on Saturday?");
+    expect(turn).toMatchObject({ intent: "reservation", missingSlot: null, slots: { date: "2026-06-13", partySize: 4 } });
+  });
+
+  test("lets a new topic replace the active intent", () => {
+    const [, turn] = converse("I'd like to make a reservation", "Do you have a reserve Cabernet Franc?");
+    expect(turn.intent).toBe("rag");
+    expect(turn.continued).toBe(false);
+    expect(turn.slots).toEqual({ wineName: "cabernet franc" });
+  });
+
+  test("a confident new intent starts with fresh slots", () => {
+    const [, , turn] = converse("Tell me about the wine club", "What about the Jumper one?", "Subscribe me to the newsletter");
+    expect(turn.intent).toBe("mailing_list");
+    expect(turn.slots).toEqual({});
+    expect(turn.state).toEqual(INITIAL_CONVERSATION_STATE);
+  });
+
+  test("carries the wine across knowledge-base follow-ups", () => {
+    const [, followUp, unrelated] = converse("Tell me about your Riesling", "And what does that one pair with?", "Do you ship to California?");
+    expect(followUp).toMatchObject({ intent: "rag", continued: true, slots: { wineName: "riesling" } });
+    expect(unrelated).toMatchObject({ intent: "rag", continued: false, slots: {} });
+  });
+});
+
+describe("describeSlots", () => {
+  test("describes the context for follow-up questions", () => {
+    expect(describeSlots("club", { clubLevel: "Grand Prix" })).toMatch(/Grand Prix level of the Milea wine club/);
+    expect(describeSlots("rag", { wineName: "riesling" })).toMatch(/riesling/);
+    expect(describeSlots("rag", {})).toBe("");
+  });
+});
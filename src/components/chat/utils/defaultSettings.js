@@ -0,0 +1,40 @@
+import { DEFAULT_CONTEXT_TURNS, DEFAULT_CONTEXT_TOKEN_BUDGET } from "./chatContext";
+
+/**
+ * Built-in chatbot settings. Values saved from the dashboard Settings page
+ * (served by /api/settings) override these at startup; these are used when
+ * the backend is unreachable or a field has never been set.
+ */
+export const DEFAULT_CHAT_SETTINGS = {
+  greeting: "👋 Hello! I'm your Milea Wine assistant. Ask me about our wines, club memberships, check your Milea Miles balance, send free tastings or join our mailing list by typing 'subscribe'.",
+  reservationUrl: "https://www.exploretock.com/mileaestatevineyard/",
+  milesPortalUrl: "https://miles.mileaestatevineyard.com/",
+  clubs: [
+    { id: '2ba4f45e-51b9-45af-ab34-6162b9383948', name: 'Jumper', description: 'Our entry-level club with quarterly shipments of 3 bottles.' },
+    { id: 'a708a00a-2bd6-4f5d-9ce6-e1e37b107808', name: 'Grand Prix', description: 'Mid-tier club with quarterly shipments of 6 bottles and exclusive access to limited releases.' },
+    { id: '0a2dbd7e-656c-4cb9-a0c7-146187fccefe', name: 'Triple Crown', description: 'Premium club with quarterly shipments of 12 bottles and special member events.' }
+  ],
+  // Conversation history sent with each /rag-chat request
+  contextTurns: DEFAULT_CONTEXT_TURNS,
+  contextTokenBudget: DEFAULT_CONTEXT_TOKEN_BUDGET
+};
+
+/**
+ * Overlay stored settings on the defaults, ignoring empty values
+ * @param {Object} stored - Settings returned by the API
+ * @returns {Object} - Complete settings object
+ */
+export const mergeChatSettings = (stored = {}) => {
+  const merged = { ...DEFAULT_CHAT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_CHAT_SETTINGS)) {
+    const value = stored[key];
+    // Zero is a valid number setting (contextTurns: 0 turns history off)
+    const isSet = Array.isArray(value)
+      ? value.length > 0
+      : typeof value === "number" ? Number.isFinite(value) : value;
+    if (isSet) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+};
@@ -0,0 +1,217 @@
+import { slugify, getProductVarieties, isProductAvailable } from "./wineCatalog";
+import { cleanText } from "./wineUtils";
+
+// Wines suggested in one pairing answer
+export const DEFAULT_PAIRING_LIMIT = 3;
+
+/**
+ * Dishes and ingredients mapped to the wine styles that suit them. Rules are
+ * checked in order and every rule whose words appear in the question counts,
+ * so "grilled salmon" draws on both the salmon and the grill rules. Style
+ * weights (1-3) rank catalog wines; the rationale is quoted in the answer.
+ */
+export const PAIRING_RULES = [
+  {
+    id: "shellfish",
+    label: "shellfish",
+    words: ["oyster", "shrimp", "prawn", "lobster", "scallop", "crab", "clam", "mussel", "shellfish", "seafood"],
+    styles: { "sauvignon blanc": 3, "gruner veltliner": 3, "chardonnay": 2, "riesling": 1 },
+    rationale: "Crisp, mineral whites keep shellfish tasting fresh and sweet."
+  },
+  {
+    id: "rich-fish",
+    label: "salmon or tuna",
+    words: ["salmon", "tuna", "swordfish", "arctic char"],
+    styles: { "pinot noir": 3, "rose": 3, "chardonnay": 2 },
+    rationale: "Salmon and tuna are rich enough for a light red or a dry rosé."
+  },
+  {
+    id: "white-fish",
+    label: "white fish",
+    words: ["fish", "cod", "halibut", "trout", "sole", "flounder", "sea bass", "snapper", "sushi", "ceviche"],
+    styles: { "sauvignon blanc": 3, "gruner veltliner": 2, "riesling": 2, "chardonnay": 2 },
+    rationale: "Delicate fish wants a bright white that won't overpower it."
+  },
+  {
+    id: "poultry",
+    label: "poultry",
+    words: ["chicken", "turkey", "duck", "quail", "poultry", "thanksgiving"],
+    styles: { "chardonnay": 3, "pinot noir": 3, "rose": 2, "riesling": 1 },
+    rationale: "Roast poultry sits happily between a round white and a soft red."
+  },
+  {
+    id: "pork",
+    label: "pork",
+    words: ["pork", "ham", "sausage", "bacon", "prosciutto", "charcuterie"],
+    styles: { "riesling": 3, "pinot noir": 2, "rose": 2, "blaufrankisch": 1 },
+    rationale: "A touch of fruit and acidity in Riesling or a light red balances salty, fatty pork."
+  },
+  {
+    id: "red-meat",
+    label: "red meat",
+    words: ["steak", "beef", "lamb", "burger", "venison", "brisket", "short rib", "prime rib", "filet"],
+    styles: { "cabernet franc": 3, "cabernet": 3, "red blend": 3, "blaufrankisch": 2, "syrah": 2, "merlot": 2 },
+    rationale: "Structured reds with firm tannins stand up to red meat."
+  },
+  {
+    id: "grill",
+    label: "barbecue",
+    words: ["bbq", "barbecue", "grilled", "grill", "ribs", "smoked"],
+    styles: { "red blend": 3, "syrah": 2, "blaufrankisch": 2, "rose": 1 },
+    rationale: "Smoky, charred flavors call for a juicy, fruit-forward red."
+  },
+  {
+    id: "spicy",
+    label: "spicy food",
+    words: ["spicy", "curry", "thai", "indian", "szechuan", "sichuan", "mexican", "tacos", "jerk", "chili"],
+    styles: { "riesling": 3, "gruner veltliner": 2, "rose": 2 },
+    rationale: "A lower-alcohol white with a hint of sweetness cools the heat instead of fanning it."
+  },
+  {
+    id: "tomato",
+    label: "tomato sauces and pizza",
+    words: ["pizza", "tomato", "marinara", "bolognese", "lasagna", "spaghetti"],
+    styles: { "red blend": 3, "blaufrankisch": 3, "cabernet franc": 2, "merlot": 1 },
+    rationale: "Tomato's acidity needs a red with enough acidity of its own."
+  },
+  {
+    id: "earthy",
+    label: "mushrooms",
+    words: ["mushroom", "truffle", "risotto", "lentil"],
+    styles: { "pinot noir": 3, "cabernet franc": 2, "chardonnay": 2 },
+    rationale: "Earthy dishes echo the savory side of Pinot Noir and Cabernet Franc."
+  },
+  {
+    id: "creamy",
+    label: "creamy dishes",
+    words: ["alfredo", "cream sauce", "creamy", "mac and cheese", "carbonara", "butter sauce"],
+    styles: { "chardonnay": 3, "gruner veltliner": 1 },
+    rationale: "A fuller Chardonnay matches the weight of a cream or butter sauce."
+  },
+  {
+    id: "soft-cheese",
+    label: "soft cheese",
+    words: ["brie", "goat cheese", "chevre", "camembert", "burrata", "mozzarella"],
+    styles: { "sauvignon blanc": 3, "chardonnay": 2, "rose": 2 },
+    rationale: "Fresh, tangy cheeses pair best with a zesty white or rosé."
+  },
+  {
+    id: "hard-cheese",
+    label: "aged cheese",
+    words: ["cheddar", "gouda", "parmesan", "manchego", "aged cheese", "cheese board", "cheese plate"],
+    styles: { "cabernet franc": 3, "red blend": 2, "riesling": 1 },
+    rationale: "Nutty aged cheeses can take on a red with some structure."
+  },
+  {
+    id: "vegetables",
+    label: "salads and vegetables",
+    words: ["salad", "vegetable", "veggie", "asparagus", "vegan", "vegetarian"],
+    styles: { "sauvignon blanc": 3, "gruner veltliner": 3, "rose": 2 },
+    rationale: "Green, herbal flavors suit a crisp, unoaked white."
+  },
+  {
+    id: "dessert",
+    label: "dessert",
+    words: ["dessert", "cake", "pie", "tart", "cobbler", "cookies", "chocolate"],
+    styles: { "riesling": 3, "red blend": 1 },
+    rationale: "With dessert, the wine should be at least as sweet as the plate."
+  }
+];
+
+// Accent- and case-folded text, padded so words match on boundaries
+const foldText = (value) => ` ${slugify(value).replace(/-/g, " ")} `;
+
+// Each rule word matches as a whole word, singular or plural
+const RULE_MATCHERS = PAIRING_RULES.map(rule => ({
+  rule,
+  words: rule.words.map(word => foldText(word).trim())
+}));
+
+/**
+ * Pairing rules whose dishes or ingredients the text mentions, in table order
+ * @param {string} text - Guest message
+ * @returns {Array<Object>} - Matching PAIRING_RULES entries
+ */
+export const matchPairingRules = (text) => {
+  const folded = foldText(text);
+  return RULE_MATCHERS
+    .filter(({ words }) => words.some(word => folded.includes(` ${word} `) || folded.includes(` ${word}s `) || folded.includes(` ${word}es `)))
+    .map(({ rule }) => rule);
+};
+
+// Weight of the best style in a rule that the product belongs to
+const styleWeight = (rule, product) => {
+  const varieties = getProductVarieties(product);
+  const title = foldText(product.title || "");
+  return Object.entries(rule.styles).reduce((best, [style, weight]) => (
+    (varieties.includes(style) || title.includes(` ${style} `)) && weight > best ? weight : best
+  ), 0);
+};
+
+/**
+ * Rank available catalog wines for the dishes a message mentions. A wine
+ * scores the weight of its best-fitting style under every matched rule; ties
+ * keep catalog order.
+ * @param {string} text - Guest message
+ * @param {Array} products - Commerce7 catalog
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Wines to return
+ * @returns {Object} - { rules, wines: [{ product, score, rules }] } where each
+ *   wine's rules are the IDs of the rules it suits
+ */
+export const pairWines = (text, products = [], { limit = DEFAULT_PAIRING_LIMIT } = {}) => {
+  const rules = matchPairingRules(text);
+  if (rules.length === 0) return { rules, wines: [] };
+
+  const wines = products
+    .filter(product => product && product.id && isProductAvailable(product))
+    .map((product, position) => {
+      const suited = rules
+        .map(rule => ({ id: rule.id, weight: styleWeight(rule, product) }))
+        .filter(match => match.weight > 0);
+      return {
+        product,
+        position,
+        score: suited.reduce((sum, match) => sum + match.weight, 0),
+        rules: suited.map(match => match.id)
+      };
+    })
+    .filter(wine => wine.score > 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .slice(0, limit)
+    .map(({ product, score, rules: suited }) => ({ product, score, rules: suited }));
+
+  return { rules, wines };
+};
+
+const joinOr = (items) =>
+  items.length > 1 ? `${items.slice(0, -1).join(", ")} or ${items[items.length - 1]}` : items[0];
+
+// Display names for styles in answers that have no catalog wine to point to
+const STYLE_NAMES = {
+  "rose": "rosé",
+  "gruner veltliner": "Grüner Veltliner",
+  "blaufrankisch": "Blaufränkisch",
+  "red blend": "a red blend"
+};
+const styleName = (style) =>
+  STYLE_NAMES[style] || style.replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Chat reply for pairWines' result: the rationale for each dish, then the
+ * wines to try, or the styles to look for when none are in stock
+ * @param {Object} result - From pairWines
+ * @returns {string}
+ */
+export const formatPairing = ({ rules, wines }) => {
+  const rationale = rules.map(rule => rule.rationale).join(" ");
+  if (wines.length > 0) {
+    const titles = wines.map(({ product }) => `the ${cleanText(product.title)}`);
+    return `${rationale} From our current wines, try ${joinOr(titles)}.`;
+  }
+
+  const styles = [...new Set(rules.flatMap(rule =>
+    Object.entries(rule.styles).filter(([, weight]) => weight === 3).map(([style]) => style)
+  ))];
+  return `${rationale} Look for ${joinOr(styles.map(styleName))}. We don't have a match in stock right now, but our tasting room team can suggest an alternative.`;
+};
@@ -0,0 +1,82 @@
+import { PAIRING_RULES, matchPairingRules, pairWines, formatPairing } from "./foodPairing";
+
+const available = { adminStatus: "Available", webStatus: "Available" };
+const products = [
+  { id: "p1", title: "2022 Dry Riesling", ...available },
+  { id: "p2", title: "2021 Cabernet Franc", ...available },
+  { id: "p3", title: "2022 Rosé", ...available },
+  { id: "p4", title: "2021 Farmhouse Red Blend", ...available },
+  { id: "p5", title: "2022 Grüner Veltliner", ...available },
+  { id: "p6", title: "2020 Blaufränkisch", adminStatus: "Available", webStatus: "Not Available" },
+  { id: "p7", title: "Wine Tote", ...available }
+];
+
+describe("PAIRING_RULES", () => {
+  test("every rule has words, weighted styles and a rationale", () => {
+    const ids = new Set();
+    PAIRING_RULES.forEach(rule => {
+      expect(ids.has(rule.id)).toBe(false);
+      ids.add(rule.id);
+      expect(rule.words.length).toBeGreaterThan(0);
+      expect(rule.rationale).toMatch(/\.$/);
+      Object.values(rule.styles).forEach(weight => {
+        expect([1, 2, 3]).toContain(weight);
+      });
+    });
+  });
+});
+
+describe("matchPairingRules", () => {
+  // [message, expected rule IDs in table order]
+  test.each([
+    ["What goes with steak?", ["red-meat"]],
+    ["Wine for grilled salmon", ["rich-fish", "grill"]],
+    ["We're having oysters and shrimp", ["shellfish"]],
+    ["Something for a spicy Thai curry", ["spicy"]],
+    ["pizza night!", ["tomato"]],
+    ["A cheese board with brie and aged cheddar", ["soft-cheese", "hard-cheese"]],
+    ["What should I drink with shellfish?", ["shellfish"]],
+    ["Chocolate cake", ["dessert"]],
+    ["What do you pour at the tasting?", []]
+  ])("%p -> %p", (message, expected) => {
+    expect(matchPairingRules(message).map(rule => rule.id)).toEqual(expected);
+  });
+});
+
+describe("pairWines", () => {
+  test("ranks available wines by style weight, keeping catalog order on ties", () => {
+    const { wines } = pairWines("What goes with steak?", products);
+    // Cabernet Franc and the red blend both weigh 3; the Blaufränkisch is not for sale
+    expect(wines.map(({ product }) => product.id)).toEqual(["p2", "p4"]);
+    expect(wines[0]).toMatchObject({ score: 3, rules: ["red-meat"] });
+  });
+
+  test("adds up every matched rule", () => {
+    const { wines } = pairWines("grilled salmon", products);
+    // Rosé: 3 for salmon + 1 for the grill; red blend: 3 for the grill
+    expect(wines.map(({ product, score }) => [product.id, score])).toEqual([["p3", 4], ["p4", 3]]);
+  });
+
+  test("limits the suggestions", () => {
+    expect(pairWines("spicy curry", products, { limit: 1 }).wines.map(({ product }) => product.id)).toEqual(["p1"]);
+  });
+
+  test("returns nothing for messages without a known dish", () => {
+    expect(pairWines("What pairs well?", products)).toEqual({ rules: [], wines: [] });
+  });
+});
+
+describe("formatPairing", () => {
+  test("gives the rationale and the wines to try", () => {
+    expect(formatPairing(pairWines("What goes with steak?", products))).toBe(
+      "Structured reds with firm tannins stand up to red meat. From our current wines, try the 2021 Cabernet Franc or the 2021 Farmhouse Red Blend."
+    );
+  });
+
+  test("names styles to look for when nothing in stock fits", () => {
+    expect(formatPairing(pairWines("oysters", []))).toBe(
+      "Crisp, mineral whites keep shellfish tasting fresh and sweet. Look for Sauvignon Blanc or Grüner Veltliner. " +
+      "We don't have a match in stock right now, but our tasting room team can suggest an alternative."
+    );
+  });
+});
@@ -0,0 +1,121 @@
+// Below this confidence a message is not routed to a dedicated handler
+export const DEFAULT_INTENT_THRESHOLD = 0.5;
+export const FALLBACK_INTENT = "rag";
+
+/**
+ * Normalize a message for pattern matching
+ * @param {string} text - Raw user message
+ * @returns {string} - Lowercased text without accents ("rosé" -> "rose"), with
+ *   straight quotes and single spaces
+ */
+export const normalizeUtterance = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Score one intent against a normalized message.
+ * Every matching pattern adds its weight (negative weights count against the
+ * intent); the total is clamped to a 0-1 confidence.
+ * @param {Object} definition - Intent definition ({ name, patterns })
+ * @param {string} text - Normalized message
+ * @returns {number} - Confidence between 0 and 1
+ */
+export const scoreIntent = (definition, text) => {
+  const total = definition.patterns.reduce(
+    (sum, { pattern, weight }) => (pattern.test(text) ? sum + weight : sum),
+    0
+  );
+  return Math.min(1, Math.max(0, total));
+};
+
+const validateDefinition = (definition) => {
+  if (!definition || typeof definition.name !== "string" || !definition.name) {
+    throw new Error("Intent definitions need a name");
+  }
+  if (!Array.isArray(definition.patterns) || definition.patterns.length === 0) {
+    throw new Error(`Intent "${definition.name}" needs at least one pattern`);
+  }
+  definition.patterns.forEach(({ pattern, weight }) => {
+    if (!(pattern instanceof RegExp) || typeof weight !== "number") {
+      throw new Error(`Intent "${definition.name}" has an invalid pattern; expected { pattern: RegExp, weight: number }`);
+    }
+    if (pattern.global || pattern.sticky) {
+      throw new Error(`Intent "${definition.name}" patterns must not use the g or y flags`);
+    }
+  });
+};
+
+/**
+ * Create an intent classifier backed by a registry of intent definitions.
+ * Classification is deterministic: the highest-scoring intent wins, ties go
+ * to the intent registered first, and anything under the threshold falls
+ * back to the RAG intent.
+ * @param {Object} [options] - Classifier options
+ * @param {Array} [options.intents] - Initial definitions ({ name, patterns: [{ pattern, weight }] })
+ * @param {number} [options.threshold] - Minimum confidence to route to an intent
+ * @param {string} [options.fallbackIntent] - Intent used below the threshold
+ * @returns {Object} - { register, unregister, classify, getIntentNames }
+ */
+export const createIntentClassifier = ({
+  intents = [],
+  threshold = DEFAULT_INTENT_THRESHOLD,
+  fallbackIntent = FALLBACK_INTENT
+} = {}) => {
+  const registry = [];
+
+  const register = (definition) => {
+    validateDefinition(definition);
+    const index = registry.findIndex(intent => intent.name === definition.name);
+    if (index === -1) {
+      registry.push(definition);
+    } else {
+      registry[index] = definition;
+    }
+  };
+
+  const unregister = (name) => {
+    const index = registry.findIndex(intent => intent.name === name);
+    if (index !== -1) {
+      registry.splice(index, 1);
+    }
+  };
+
+  /**
+   * Pick the intent for a message
+   * @param {string} text - User message
+   * @returns {Object} - { intent, confidence, scores }; for a fallback,
+   *   confidence is the best score that fell short of the threshold
+   */
+  const classify = (text) => {
+    const normalized = normalizeUtterance(text);
+    const scores = {};
+    let best = { intent: fallbackIntent, confidence: 0 };
+
+    registry.forEach(definition => {
+      const confidence = scoreIntent(definition, normalized);
+      scores[definition.name] = confidence;
+      if (confidence > best.confidence) {
+        best = { intent: definition.name, confidence };
+      }
+    });
+
+    if (best.confidence < threshold) {
+      return { intent: fallbackIntent, confidence: best.confidence, scores };
+    }
+    return { ...best, scores };
+  };
+
+  intents.forEach(register);
+
+  return {
+    register,
+    unregister,
+    classify,
+    getIntentNames: () => registry.map(intent => intent.name)
+  };
+};
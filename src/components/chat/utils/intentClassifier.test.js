@@ -0,0 +1,135 @@
+import { createIntentClassifier, normalizeUtterance, scoreIntent } from "./intentClassifier";
+import { DEFAULT_INTENTS, intentClassifier } from "./intents";
+
+// Labelled utterances: [message, expected intent]
+const LABELLED_UTTERANCES = [
+  // reservation
+  ["I'd like to make a reservation", "reservation"],
+  ["Can I book a tasting for Saturday?", "reservation"],
+  ["Do you take walk-ins?", "reservation"],
+  ["We want to reserve a table for 4 people", "reservation"],
+  ["Could we visit this weekend?", "reservation"],
+  ["How do I schedule a tasting appointment?", "reservation"],
+  // hours
+  ["Are you open today?", "hours"],
+  ["What time do you close Saturday?", "hours"],
+  ["What are your hours?", "hours"],
+  ["Are you open on Christmas?", "hours"],
+  ["Is the tasting room open right now?", "hours"],
+  // sms
+  ["Can I text you instead?", "sms"],
+  ["I'd rather send a text", "sms"],
+  ["Is there an SMS number?", "sms"],
+  // referral
+  ["How do I send a free tasting to a friend?", "referral"],
+  ["I want to refer a friend", "referral"],
+  ["Tell me about the miles referral", "referral"],
+  // mailing list
+  ["Subscribe me to the newsletter", "mailing_list"],
+  ["Can you add me to your mailing list?", "mailing_list"],
+  ["Sign me up for emails", "mailing_list"],
+  // logout
+  ["Log me out", "logout"],
+  ["please sign out", "logout"],
+  ["logout", "logout"],
+  // club information
+  ["How do I join the wine club?", "club"],
+  ["Tell me about the wine club tiers", "club"],
+  ["I want to sign up for the wine club", "club"],
+  // account
+  ["What was my last order?", "account"],
+  ["How many Milea Miles do I have?", "account"],
+  ["Am I a member of the wine club?", "account"],
+  ["When does my wine club shipment arrive?", "account"],
+  ["Can I redeem my points?", "account"],
+  // pairing
+  ["What wines pair with salmon?", "pairing"],
+  ["What should I drink with steak?", "pairing"],
+  ["What goes well with spicy Thai food?", "pairing"],
+  ["Any pairing ideas for a cheese board?", "pairing"],
+  // faceted wine search
+  ["Show me reds under $30", "wine_search"],
+  ["What 2020 whites do you have?", "wine_search"],
+  ["Any dry Rieslings in stock?", "wine_search"],
+  ["Which wines are between $20 and $40?", "wine_search"],
+  ["What are your cheapest wines?", "wine_search"],
+  // recommendation
+  ["What should I try next?", "recommendation"],
+  ["Can you recommend a wine for me?", "recommendation"],
+  ["Suggest something based on my past orders", "recommendation"],
+  // everything else goes to RAG
+  ["Book me a bottle of Riesling", "rag"],
+  ["Do you have a reserve Cabernet Franc?", "rag"],
+  ["What does the Riesling pair with?", "rag"],
+  ["What's in the tasting flight?", "rag"],
+  ["What is Milea Miles?", "rag"],
+  ["Tell me about your Chardonnay", "rag"],
+  ["hello", "rag"],
+  ["", "rag"]
+];
+
+describe("default intent registry", () => {
+  test.each(LABELLED_UTTERANCES)("%p -> %s", (utterance, expected) => {
+    expect(intentClassifier.classify(utterance).intent).toBe(expected);
+  });
+
+  test("reports a confidence for the chosen intent", () => {
+    const result = intentClassifier.classify("I'd like to make a reservation");
+    expect(result.confidence).toBeGreaterThanOrEqual(0.5);
+    expect(result.scores.reservation).toBe(result.confidence);
+  });
+
+  test("is deterministic", () => {
+    const first = intentClassifier.classify("Can I book a tasting for Saturday?");
+    const second = intentClassifier.classify("Can I book a tasting for Saturday?");
+    expect(second).toEqual(first);
+  });
+});
+
+describe("createIntentClassifier", () => {
+  const greet = { name: "greet", patterns: [{ pattern: /\bhello\b/, weight: 0.6 }] };
+  const wave = { name: "wave", patterns: [{ pattern: /\bhello\b/, weight: 0.6 }] };
+
+  test("falls back below the threshold", () => {
+    const classifier = createIntentClassifier({ intents: [greet], threshold: 0.7 });
+    expect(classifier.classify("hello")).toMatchObject({ intent: "rag", confidence: 0.6 });
+  });
+
+  test("breaks ties by registration order", () => {
+    const classifier = createIntentClassifier({ intents: [wave, greet] });
+    expect(classifier.classify("hello").intent).toBe("wave");
+  });
+
+  test("register adds and replaces intents; unregister removes them", () => {
+    const classifier = createIntentClassifier({ intents: [greet] });
+    classifier.register(wave);
+    classifier.register({ ...greet, patterns: [{ pattern: /\bhello\b/, weight: 0.9 }] });
+    expect(classifier.getIntentNames()).toEqual(["greet", "wave"]);
+    expect(classifier.classify("hello").intent).toBe("greet");
+
+    classifier.unregister("greet");
+    expect(classifier.classify("hello").intent).toBe("wave");
+  });
+
+  test("rejects malformed definitions", () => {
+    const classifier = createIntentClassifier();
+    expect(() => classifier.register({ name: "x", patterns: [] })).toThrow();
+    expect(() => classifier.register({ name: "x", patterns: [{ pattern: "hi", weight: 1 }] })).toThrow();
+    expect(() => classifier.register({ name: "x", patterns: [{ pattern: /hi/g, weight: 1 }] })).toThrow();
+  });
+});
+
+describe("normalizeUtterance", () => {
+  test("folds accents so patterns match plain spellings", () => {
+    expect(normalizeUtterance("Any  Rosé’s?")).toBe("any rose's?");
+  });
+});
+
+describe("scoreIntent", () => {
+  test("clamps scores to 0-1 and applies negative weights", () => {
+    const reservation = DEFAULT_INTENTS.find(intent => intent.name === "reservation");
+    expect(scoreIntent(reservation, normalizeUtterance("Reserve a tasting, book a table for 4"))).toBe(1);
+    expect(scoreIntent(reservation, normalizeUtterance("book a bottle"))).toBe(0);
+    expect(scoreIntent(reservation, normalizeUtterance("book me the rosé"))).toBe(0);
+  });
+});
@@ -0,0 +1,134 @@
+import { createIntentClassifier } from "./intentClassifier";
+import { PAIRING_RULES } from "./foodPairing";
+
+// Wine and product words: a message about bottles is a purchase or wine
+// question, not a visit ("book me a bottle of Riesling")
+const PRODUCT_WORDS = /\b(bottles?|cases?|wines?|riesling|chardonnay|cabernet|franc|pinot|rose|blanc|syrah|merlot|vintage|order|ship)\b/;
+
+// Any dish or ingredient in the pairing rule table
+const DISH_WORDS = new RegExp(`\\b(${PAIRING_RULES.flatMap(rule => rule.words).join("|")})(s|es)?\\b`);
+
+/**
+ * Intents handled by dedicated flows in useMessages. Anything that scores
+ * below the threshold goes to the RAG endpoint. Order breaks ties.
+ * Patterns run against lowercased text; weights add up to a 0-1 confidence.
+ */
+export const DEFAULT_INTENTS = [
+  {
+    name: "logout",
+    patterns: [
+      { pattern: /\b(log ?out|log me out|sign out|sign me out)\b/, weight: 1 }
+    ]
+  },
+  {
+    name: "sms",
+    patterns: [
+      { pattern: /\b(text (us|you|message)|send (you |us )?a text|sms|message (you|the winery)|contact (you )?via text|text contact)\b/, weight: 0.9 }
+    ]
+  },
+  {
+    name: "referral",
+    patterns: [
+      { pattern: /\b(refer|invite) (a )?friends?\b/, weight: 0.9 },
+      { pattern: /\b(send|share|gift|give) (a |my friend a |friends )?(free )?(wine )?tastings?\b/, weight: 0.9 },
+      { pattern: /\bmiles (referral|program)\b/, weight: 0.7 },
+      { pattern: /\bfree (wine )?tastings?\b/, weight: 0.5 },
+      // On its own, "Milea Miles" is a question about the program
+      { pattern: /\bmilea miles\b/, weight: 0.4 },
+      // "How many Milea Miles do I have" is an account question
+      { pattern: /\b(my|i have|how many)\b/, weight: -0.4 }
+    ]
+  },
+  {
+    name: "pairing",
+    patterns: [
+      // Pairing words alone aren't enough: "what does the Riesling pair with?"
+      // asks about a wine, and the knowledge base answers that
+      { pattern: /\b(pair|pairs|paired|pairing|pairings)\b/, weight: 0.4 },
+      { pattern: /\b(goes?|go|drink|serve|bring|open|have) (well )?with\b/, weight: 0.3 },
+      { pattern: /\bwith (dinner|lunch|my meal|a meal)\b/, weight: 0.3 },
+      { pattern: DISH_WORDS, weight: 0.3 }
+    ]
+  },
+  {
+    name: "wine_search",
+    patterns: [
+      { pattern: /\b(under|below|less than|cheaper than|over|above|more than|between|around) \$?\d+/, weight: 0.6 },
+      { pattern: /\$\d+/, weight: 0.3 },
+      { pattern: /\b(reds|whites|roses)\b/, weight: 0.4 },
+      { pattern: /\b(red|white|rose|dry|sweet|off-dry|semi-dry) wines\b/, weight: 0.4 },
+      { pattern: /\b(cheapest|least expensive|most expensive|newest|latest) (\w+ )?wines?\b/, weight: 0.5 },
+      { pattern: /\b(dry|sweet|off-dry|semi-dry)\b/, weight: 0.3 },
+      { pattern: /\b(19|20)\d{2}\b/, weight: 0.2 },
+      { pattern: /\b(in stock|available)\b/, weight: 0.2 }
+    ]
+  },
+  {
+    name: "recommendation",
+    patterns: [
+      { pattern: /\bwhat (wine )?should i (try|get|buy|order)( next)?\b/, weight: 0.9 },
+      { pattern: /\b(recommend|suggest)(ation|ations|ion|ions)?\b/, weight: 0.5 },
+      { pattern: /\b(for me|i('d| would) (like|enjoy)|my taste|based on (my|what i))\b/, weight: 0.4 },
+      { pattern: /\btry next\b/, weight: 0.5 },
+      // Pairings are answered from the knowledge base
+      { pattern: /\b(pair|pairs|pairing|goes? with|with (dinner|food|salmon|steak|chicken|fish|cheese))\b/, weight: -0.6 }
+    ]
+  },
+  {
+    name: "account",
+    patterns: [
+      { pattern: /\bmy (account|orders?|purchases?|profile|loyalty|points|miles|membership|subscription|history|shipments?|club)\b/, weight: 0.9 },
+      { pattern: /\bmy wine club\b/, weight: 0.9 },
+      { pattern: /\b(am i a (club |wine club )?member|when did i sign)\b/, weight: 0.9 },
+      { pattern: /\b(last|recent) (order|purchase)\b/, weight: 0.8 },
+      { pattern: /\b(what did i|what have i|i ordered|i bought|did i buy)\b/, weight: 0.8 },
+      { pattern: /\bhow many (loyalty |reward |milea )?(points|miles)\b/, weight: 0.8 },
+      { pattern: /\b(redeem|use) my (points|miles)\b/, weight: 0.9 },
+      // General questions about the programs are answered from the knowledge base
+      { pattern: /\b(what is|what are|tell me about|explain|how does)\b/, weight: -0.5 }
+    ]
+  },
+  {
+    name: "hours",
+    patterns: [
+      { pattern: /\b(hours|opening times)\b/, weight: 0.6 },
+      { pattern: /\b(are you|is the winery|is the tasting room) (still )?(open|closed)\b/, weight: 0.8 },
+      { pattern: /\b(what time|when) (do|does|will) (you|the winery|the tasting room) (open|close)\b/, weight: 0.8 },
+      { pattern: /\b(open|closed) (today|tomorrow|tonight|now|right now|on)\b/, weight: 0.5 },
+      { pattern: PRODUCT_WORDS, weight: -0.4 }
+    ]
+  },
+  {
+    name: "reservation",
+    patterns: [
+      { pattern: /\breserv(e|ation|ations)\b/, weight: 0.8 },
+      { pattern: /\bbook(ing)?\b/, weight: 0.35 },
+      { pattern: /\bbook(ing)?\b.*\b(tastings?|table|visit|appointment|experience|group|party)\b/, weight: 0.5 },
+      { pattern: /\btastings?\b/, weight: 0.3 },
+      { pattern: /\b(appointment|schedule)\b/, weight: 0.3 },
+      { pattern: /\b(come in|walk[ -]?ins?|drop (by|in)|drop-in)\b/, weight: 0.5 },
+      { pattern: /\b(can|could|want to|like to) (we |i )?(visit|come)\b/, weight: 0.5 },
+      { pattern: /\b(party of|for) \d+( people| guests| of us)?\b/, weight: 0.3 },
+      { pattern: PRODUCT_WORDS, weight: -0.4 }
+    ]
+  },
+  {
+    name: "club",
+    patterns: [
+      { pattern: /\bwine club\b/, weight: 0.4 },
+      { pattern: /\b(join|joining|sign up|information|info|about|learn|benefits|tiers?)\b/, weight: 0.3 },
+      // Questions about the guest's own membership belong to the account intent
+      { pattern: /\b(my|am i)\b/, weight: -0.4 }
+    ]
+  },
+  {
+    name: "mailing_list",
+    patterns: [
+      { pattern: /\b(subscribe|newsletter|mailing list|email list|join (the |your )?list)\b/, weight: 0.9 },
+      { pattern: /\bsign (me )?up\b/, weight: 0.5 }
+    ]
+  }
+];
+
+// Shared classifier used by the chat widget; other modules can register more intents
+export const intentClassifier = createIntentClassifier({ intents: DEFAULT_INTENTS });
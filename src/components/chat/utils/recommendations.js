@@ -0,0 +1,177 @@
+import { normalizeWineName, cleanText } from "./wineUtils";
+import { getProductVarieties, isProductAvailable } from "./wineCatalog";
+import { getWineDictionary, canonicalizeWineTerms, mentionsTerm } from "./wineDictionary";
+
+// Wines suggested in one answer
+export const DEFAULT_RECOMMENDATION_LIMIT = 3;
+// A candidate sharing a purchased wine's variety outranks one that is only related
+const SAME_VARIETY_SCORE = 3;
+const RELATED_VARIETY_SCORE = 1;
+
+// Folded text with dictionary spellings resolved, padded so terms match on word boundaries
+const foldText = (value) => ` ${canonicalizeWineTerms(value)} `;
+
+const isWine = (product) =>
+  /^wine$/i.test(product.type || "") || getProductVarieties(product).length > 0;
+
+/**
+ * Wines in a customer's order history, most bought first. Items Commerce7
+ * marks as Wine count, as do items whose title names a grape.
+ * @param {Array} orders - Commerce7 orders, newest first
+ * @returns {Array<Object>} - { title, productId, count, lastOrderedAt, varieties }
+ */
+export const getPurchasedWines = (orders = []) => {
+  const wines = new Map();
+
+  orders.forEach(order => {
+    const orderedAt = new Date(order.orderDate || order.createdAt || 0).getTime() || 0;
+    (order.items || order.orderItems || []).forEach(item => {
+      const title = item.productTitle || item.name || "";
+      const varieties = getProductVarieties({ title });
+      if (!title || (item.productType !== "Wine" && varieties.length === 0)) return;
+
+      const key = normalizeWineName(title);
+      const wine = wines.get(key) || { title, productId: item.productId || null, count: 0, lastOrderedAt: 0, varieties };
+      wine.count += Number(item.quantity) || 1;
+      if (orderedAt > wine.lastOrderedAt) {
+        wine.title = title;
+        wine.lastOrderedAt = orderedAt;
+      }
+      wines.set(key, wine);
+    });
+  });
+
+  return [...wines.values()].sort((a, b) => b.count - a.count || b.lastOrderedAt - a.lastOrderedAt);
+};
+
+/**
+ * Terms for varieties related to one the guest has bought, from the wine
+ * dictionary ("cabernet franc" picks up the "cabernet" entry)
+ * @param {string} variety - Folded variety name
+ * @returns {Array<string>} - Padded, folded terms
+ */
+const relatedTerms = (variety) =>
+  Object.entries(getWineDictionary().related)
+    .filter(([key]) => mentionsTerm(variety, key))
+    .flatMap(([, related]) => related.map(term => ` ${term} `));
+
+/**
+ * Order products by a popularity ranking. Products missing from the ranking
+ * keep their catalog order after the ranked ones.
+ * @param {Array} products - Commerce7 products
+ * @param {Array<string>} [popularIds] - Product IDs, best sellers first
+ * @returns {Array}
+ */
+export const rankByPopularity = (products, popularIds = []) => {
+  const rank = new Map(popularIds.map((id, i) => [id, i]));
+  return products
+    .map((product, i) => ({ product, i, rank: rank.has(product.id) ? rank.get(product.id) : Infinity }))
+    .sort((a, b) => a.rank - b.rank || a.i - b.i)
+    .map(entry => entry.product);
+};
+
+/**
+ * Wines to suggest next. With an order history, available wines that share
+ * or relate to the varieties the guest bought are ranked by how much of that
+ * variety they bought; wines they already own, in any vintage, are skipped. Anonymous guests,
+ * and histories with nothing related in stock, get the most popular wines, or
+ * wines in catalog order when there are no sales figures to rank them by.
+ * @param {Object} options
+ * @param {Array} options.products - Commerce7 catalog
+ * @param {Array} [options.orders] - The guest's orders, when logged in
+ * @param {Array<string>} [options.popularIds] - Product IDs, best sellers first
+ * @param {number} [options.limit] - Wines to return
+ * @returns {Object} - { basis: "history" | "popular" | "catalog", recommendations: [{ product, because }] }
+ *   where because is the purchased wine a suggestion follows from, or null
+ */
+export const recommendWines = ({ products = [], orders = [], popularIds = [], limit = DEFAULT_RECOMMENDATION_LIMIT }) => {
+  const purchased = getPurchasedWines(orders);
+  const ownedIds = new Set(purchased.map(wine => wine.productId).filter(Boolean));
+  const ownedNames = new Set(purchased.map(wine => normalizeWineName(wine.title)));
+
+  const candidates = rankByPopularity(
+    products.filter(product => product.id && isProductAvailable(product) && isWine(product)),
+    popularIds
+  );
+  const unowned = candidates.filter(product =>
+    !ownedIds.has(product.id) && !ownedNames.has(normalizeWineName(product.title || ""))
+  );
+
+  const scored = unowned
+    .map((product, position) => {
+      const varieties = getProductVarieties(product);
+      const text = foldText(product.title || "");
+      let score = 0;
+      let because = null;
+      let bestContribution = 0;
+
+      purchased.forEach(wine => {
+        let contribution = 0;
+        wine.varieties.forEach(variety => {
+          if (varieties.includes(variety)) {
+            contribution += SAME_VARIETY_SCORE;
+          } else if (relatedTerms(variety).some(term => text.includes(term) || varieties.some(v => ` ${v} ` === term))) {
+            contribution += RELATED_VARIETY_SCORE;
+          }
+        });
+        contribution *= wine.count;
+        score += contribution;
+        if (contribution > bestContribution) {
+          bestContribution = contribution;
+          because = wine;
+        }
+      });
+
+      return { product, because, score, position };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position);
+
+  if (scored.length > 0) {
+    return {
+      basis: "history",
+      recommendations: scored.slice(0, limit).map(({ product, because }) => ({ product, because }))
+    };
+  }
+
+  // Already-owned wines are still worth suggesting to a guest with nothing new in stock
+  const fallback = (unowned.length > 0 ? unowned : candidates).slice(0, limit);
+  const bestSellers = new Set(popularIds);
+  return {
+    basis: fallback.some(product => bestSellers.has(product.id)) ? "popular" : "catalog",
+    recommendations: fallback.map(product => ({ product, because: null }))
+  };
+};
+
+const joinTitles = (titles) =>
+  titles.length > 1 ? `${titles.slice(0, -1).join(", ")} and ${titles[titles.length - 1]}` : titles[0];
+
+/**
+ * Chat reply for recommendWines' result
+ * @param {Object} result - From recommendWines
+ * @returns {string}
+ */
+export const formatRecommendations = ({ basis, recommendations }) => {
+  if (recommendations.length === 0) {
+    return "I don't have any wines to suggest right now, but our tasting room team would be happy to help you pick one.";
+  }
+
+  const titleOf = ({ product }) => `the ${cleanText(product.title)}`;
+  if (basis === "popular") {
+    return `Here are some of our guests' favorites right now: ${joinTitles(recommendations.map(titleOf))}.`;
+  }
+  if (basis === "catalog") {
+    return `Here are a few wines we're pouring right now: ${joinTitles(recommendations.map(titleOf))}.`;
+  }
+
+  // One sentence per purchased wine, in the order the suggestions ranked
+  const groups = new Map();
+  recommendations.forEach(recommendation => {
+    const key = recommendation.because.title;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(titleOf(recommendation));
+  });
+  return [...groups.entries()]
+    .map(([liked, titles]) => `You liked the ${cleanText(liked)}, so try ${joinTitles(titles)}.`)
+    .join(" ");
+};
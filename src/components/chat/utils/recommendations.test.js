@@ -0,0 +1,111 @@
+import { getPurchasedWines, rankByPopularity, recommendWines, formatRecommendations } from "./recommendations";
+
+const available = { adminStatus: "Available", webStatus: "Available" };
+const products = [
+  { id: "p1", title: "2021 Dry Riesling", type: "Wine", ...available },
+  { id: "p2", title: "2022 Grüner Veltliner", type: "Wine", ...available },
+  { id: "p3", title: "2022 Dry Riesling", type: "Wine", ...available },
+  { id: "p4", title: "2021 Cabernet Franc", type: "Wine", ...available },
+  { id: "p5", title: "2020 Merlot", type: "Wine", ...available },
+  { id: "p6", title: "2022 Riesling Reserve", type: "Wine", adminStatus: "Available", webStatus: "Not Available" },
+  { id: "p7", title: "Wine Glass", type: "General Merchandise", ...available },
+  { id: "p8", title: "2022 Semi-Dry Riesling", type: "Wine", ...available }
+];
+
+const orders = [
+  {
+    orderDate: "2024-05-01",
+    items: [
+      { productId: "p1", productTitle: "2021 Dry Riesling", productType: "Wine", quantity: 3 },
+      { productTitle: "Wine Glass", productType: "General Merchandise", quantity: 2 }
+    ]
+  },
+  {
+    orderDate: "2023-11-12",
+    items: [{ productTitle: "2019 Cabernet Franc", quantity: 1 }]
+  }
+];
+
+describe("getPurchasedWines", () => {
+  test("counts bottles per wine and skips merchandise", () => {
+    const wines = getPurchasedWines(orders);
+    expect(wines.map(wine => [wine.title, wine.count])).toEqual([
+      ["2021 Dry Riesling", 3],
+      ["2019 Cabernet Franc", 1]
+    ]);
+    expect(wines[0].varieties).toEqual(["riesling"]);
+  });
+
+  test("merges vintages of the same wine", () => {
+    const wines = getPurchasedWines([
+      { orderDate: "2024-01-01", items: [{ productTitle: "2022 Merlot", productType: "Wine" }] },
+      { orderDate: "2023-01-01", items: [{ productTitle: "2021 Merlot", productType: "Wine" }] }
+    ]);
+    expect(wines).toHaveLength(1);
+    expect(wines[0]).toMatchObject({ title: "2022 Merlot", count: 2 });
+  });
+});
+
+describe("rankByPopularity", () => {
+  test("puts ranked products first and keeps catalog order for the rest", () => {
+    expect(rankByPopularity(products.slice(0, 4), ["p4", "p2"]).map(p => p.id)).toEqual(["p4", "p2", "p1", "p3"]);
+  });
+});
+
+describe("recommendWines", () => {
+  test("suggests unowned, available wines following the guest's varieties", () => {
+    const { basis, recommendations } = recommendWines({ products, orders });
+
+    expect(basis).toBe("history");
+    // Same variety first, then related varieties weighted by bottles bought;
+    // other vintages of wines the guest owns are skipped
+    expect(recommendations.map(({ product }) => product.id)).toEqual(["p8", "p2", "p5"]);
+    expect(recommendations[0].because.title).toBe("2021 Dry Riesling");
+    expect(recommendations[2].because.title).toBe("2019 Cabernet Franc");
+  });
+
+  test("falls back to best sellers for anonymous guests", () => {
+    const { basis, recommendations } = recommendWines({ products, popularIds: ["p5", "p4"], limit: 2 });
+
+    expect(basis).toBe("popular");
+    expect(recommendations.map(({ product }) => product.id)).toEqual(["p5", "p4"]);
+    expect(recommendations[0].because).toBeNull();
+  });
+
+  test("falls back to best sellers when nothing related is in stock", () => {
+    const merlotOrders = [{ items: [{ productId: "p5", productTitle: "2020 Merlot", productType: "Wine" }] }];
+    const { basis, recommendations } = recommendWines({
+      products: products.slice(0, 3).concat(products[4]),
+      orders: merlotOrders,
+      popularIds: ["p2"]
+    });
+
+    expect(basis).toBe("popular");
+    expect(recommendations.map(({ product }) => product.id)).not.toContain("p5");
+  });
+
+  test("lists wines in catalog order when there are no sales figures", () => {
+    const { basis, recommendations } = recommendWines({ products, popularIds: [], limit: 2 });
+
+    expect(basis).toBe("catalog");
+    expect(recommendations.map(({ product }) => product.id)).toEqual(["p1", "p2"]);
+  });
+});
+
+describe("formatRecommendations", () => {
+  test("names the purchased wine each suggestion follows from", () => {
+    const text = formatRecommendations(recommendWines({ products, orders }));
+    expect(text).toBe(
+      "You liked the 2021 Dry Riesling, so try the 2022 Semi-Dry Riesling and the 2022 Grüner Veltliner. " +
+      "You liked the 2019 Cabernet Franc, so try the 2020 Merlot."
+    );
+  });
+
+  test("lists favorites without a history and apologizes when there is nothing", () => {
+    expect(formatRecommendations(recommendWines({ products: products.slice(3, 5), popularIds: ["p4"] })))
+      .toBe("Here are some of our guests' favorites right now: the 2021 Cabernet Franc and the 2020 Merlot.");
+    expect(formatRecommendations(recommendWines({ products: products.slice(3, 5) })))
+      .toBe("Here are a few wines we're pouring right now: the 2021 Cabernet Franc and the 2020 Merlot.");
+    expect(formatRecommendations({ basis: "popular", recommendations: [] })).toMatch(/don't have any wines/);
+  });
+});
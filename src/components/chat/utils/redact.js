@@ -0,0 +1,20 @@
+// Patterns for personal data that must not leave the widget in monitoring streams.
+// Order matters: card numbers are matched before the looser phone pattern.
+const PII_PATTERNS = [
+  { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: "[email]" },
+  { pattern: /\b(?:\d[ -]?){13,19}\b/g, replacement: "[card]" },
+  { pattern: /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, replacement: "[phone]" }
+];
+
+/**
+ * Replace email addresses, card numbers and phone numbers with placeholders
+ * @param {string} text - Message text
+ * @returns {string} - Text with personal data redacted
+ */
+export const redactPII = (text) => {
+  if (!text) return "";
+  return PII_PATTERNS.reduce(
+    (result, { pattern, replacement }) => result.replace(pattern, replacement),
+    String(text)
+  );
+};
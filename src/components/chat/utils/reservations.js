@@ -0,0 +1,44 @@
+/**
+ * Tock search page for the winery with the guest's choices filled in, used
+ * when a seating can't be booked from the chat
+ * @param {string} reservationUrl - Winery page on Tock (from chat settings)
+ * @param {Object} [details] - { date (YYYY-MM-DD), time (HH:MM), partySize }
+ * @returns {string} - URL to open
+ */
+export const buildReservationHandoffUrl = (reservationUrl, { date, time, partySize } = {}) => {
+  let url;
+  try {
+    url = new URL(reservationUrl);
+  } catch (error) {
+    return reservationUrl;
+  }
+
+  url.pathname = url.pathname.replace(/\/?$/, "/search");
+  if (date) url.searchParams.set("date", date);
+  if (partySize) url.searchParams.set("size", String(partySize));
+  if (time) url.searchParams.set("time", time);
+  return url.toString();
+};
+
+/**
+ * Friendly date for chat messages ("Saturday, June 13")
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+export const formatReservationDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric"
+  });
+
+/**
+ * Friendly seating time ("2:00 PM")
+ * @param {string} time - HH:MM
+ * @returns {string}
+ */
+export const formatReservationTime = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const suffix = hours >= 12 ? "PM" : "AM";
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")} ${suffix}`;
+};
@@ -0,0 +1,29 @@
+import { buildReservationHandoffUrl, formatReservationDate, formatReservationTime } from "./reservations";
+
+describe("buildReservationHandoffUrl", () => {
+  test("opens the Tock search page with the guest's choices", () => {
+    expect(buildReservationHandoffUrl("https://www.exploretock.com/mileaestatevineyard/", {
+      date: "2026-06-13",
+      partySize: 4,
+      time: "14:00"
+    })).toBe("https://www.exploretock.com/mileaestatevineyard/search?date=2026-06-13&size=4&time=14%3A00");
+  });
+
+  test("handles URLs without a trailing slash and missing details", () => {
+    expect(buildReservationHandoffUrl("https://www.exploretock.com/mileaestatevineyard", { partySize: 2 }))
+      .toBe("https://www.exploretock.com/mileaestatevineyard/search?size=2");
+  });
+
+  test("returns unparseable URLs unchanged", () => {
+    expect(buildReservationHandoffUrl("not a url", { date: "2026-06-13" })).toBe("not a url");
+  });
+});
+
+describe("formatting", () => {
+  test("formats dates and seating times for chat messages", () => {
+    expect(formatReservationDate("2026-06-13")).toBe("Saturday, June 13");
+    expect(formatReservationTime("14:00")).toBe("2:00 PM");
+    expect(formatReservationTime("11:30")).toBe("11:30 AM");
+    expect(formatReservationTime("12:00")).toBe("12:00 PM");
+  });
+});
@@ -0,0 +1,35 @@
+const MAX_SOURCES = 5;
+const MAX_SNIPPET_LENGTH = 300;
+
+/**
+ * Keep only well-formed citations from a RAG reply
+ * @param {Array} sources - Raw sources ({ title, url, snippet })
+ * @returns {Array} - Up to five citations with http(s) URLs or titles, deduplicated
+ */
+export const normalizeSources = (sources) => {
+  if (!Array.isArray(sources)) return [];
+
+  const seen = new Set();
+  const result = [];
+
+  sources.forEach(source => {
+    if (!source || typeof source !== "object" || result.length >= MAX_SOURCES) return;
+
+    const title = typeof source.title === "string" ? source.title.trim() : "";
+    const url = typeof source.url === "string" && /^https?:\/\//i.test(source.url) ? source.url : null;
+    if (!title && !url) return;
+
+    const key = url || title;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const snippet = typeof source.snippet === "string" ? source.snippet.trim() : "";
+    result.push({
+      title: title || url,
+      url,
+      snippet: snippet.length > MAX_SNIPPET_LENGTH ? `${snippet.slice(0, MAX_SNIPPET_LENGTH)}…` : snippet
+    });
+  });
+
+  return result;
+};
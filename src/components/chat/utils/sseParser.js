@@ -0,0 +1,36 @@
+/**
+ * Create an incremental parser for a text/event-stream body.
+ * Feed it decoded chunks as they arrive; it calls onEvent once per complete
+ * event with the event name (default "message") and the joined data lines.
+ * @param {Function} onEvent - Receives { event, data }
+ * @returns {Function} - feed(chunk)
+ */
+export const createSseParser = (onEvent) => {
+  let buffer = "";
+
+  const dispatch = (block) => {
+    let event = "message";
+    const data = [];
+
+    block.split(/\r?\n/).forEach(line => {
+      if (!line || line.startsWith(":")) return;
+      const separator = line.indexOf(":");
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+
+      if (field === "event") event = value;
+      if (field === "data") data.push(value);
+    });
+
+    if (data.length > 0) {
+      onEvent({ event, data: data.join("\n") });
+    }
+  };
+
+  return (chunk) => {
+    buffer += chunk;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  };
+};
@@ -0,0 +1,51 @@
+import { createSseParser } from "./sseParser";
+
+const parse = (...chunks) => {
+  const events = [];
+  const feed = createSseParser(event => events.push(event));
+  chunks.forEach(feed);
+  return events;
+};
+
+describe("createSseParser", () => {
+  test("emits one event per blank-line-terminated block", () => {
+    expect(parse('data: {"token":"Hel"}\n\ndata: {"token":"lo"}\n\n')).toEqual([
+      { event: "message", data: '{"token":"Hel"}' },
+      { event: "message", data: '{"token":"lo"}' }
+    ]);
+  });
+
+  test("reassembles events split across chunks", () => {
+    expect(parse("ev", "ent: sources\nda", 'ta: {"sources":[]}', "\n", "\n")).toEqual([
+      { event: "sources", data: '{"sources":[]}' }
+    ]);
+  });
+
+  test("accepts CRLF line endings, even when split between chunks", () => {
+    expect(parse("event: done\r\ndata: 1\r\n\r", "\ndata: 2\r\n\r\n")).toEqual([
+      { event: "done", data: "1" },
+      { event: "message", data: "2" }
+    ]);
+  });
+
+  test("joins multi-line data with newlines", () => {
+    expect(parse("data: first\ndata: second\ndata:third\n\n")).toEqual([
+      { event: "message", data: "first\nsecond\nthird" }
+    ]);
+  });
+
+  test("skips comments and blocks without data", () => {
+    expect(parse(": keep-alive\n\nevent: ping\n\n: note\ndata: x\n\n")).toEqual([
+      { event: "message", data: "x" }
+    ]);
+  });
+
+  test("holds an unterminated event until the trailing flush", () => {
+    const events = [];
+    const feed = createSseParser(event => events.push(event));
+    feed('event: done\ndata: {"response":"Hi"}');
+    expect(events).toEqual([]);
+    feed("\n\n");
+    expect(events).toEqual([{ event: "done", data: '{"response":"Hi"}' }]);
+  });
+});
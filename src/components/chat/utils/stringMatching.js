@@ -1,46 +1,50 @@
-// Advanced fuzzy string matching
+import { canonicalizeWineTerms } from "./wineDictionary";
+
+/**
+ * Levenshtein edit distance, two rows at a time. With a maximum the scan
+ * stops as soon as every path is over it and returns maxDistance + 1.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [maxDistance] - Largest distance worth computing exactly
+ * @returns {number}
+ */
+export const levenshteinDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: a.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= b.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= a.length; j++) {
+      const cost = a[j - 1] === b[i - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,        // deletion
+        current[j - 1] + 1,     // insertion
+        previous[j - 1] + cost  // substitution
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[a.length];
+};
+
+// Advanced fuzzy string matching. Spellings the wine dictionary knows
+// ("reisling", "cab franc") are compared as their canonical names.
 export const fuzzyMatch = (str1, str2, threshold = 0.7) => {
-    str1 = str1.toLowerCase();
-    str2 = str2.toLowerCase();
+    str1 = canonicalizeWineTerms(str1);
+    str2 = canonicalizeWineTerms(str2);
     
     // Exact match
     if (str1 === str2) return 1;
     
-    // Calculate Levenshtein distance
-    const calculateDistance = (a, b) => {
-      if (a.length === 0) return b.length;
-      if (b.length === 0) return a.length;
-      
-      const matrix = [];
-      
-      // Initialize matrix
-      for (let i = 0; i <= b.length; i++) {
-        matrix[i] = [i];
-      }
-      
-      for (let j = 0; j <= a.length; j++) {
-        matrix[0][j] = j;
-      }
-      
-      // Fill matrix
-      for (let i = 1; i <= b.length; i++) {
-        for (let j = 1; j <= a.length; j++) {
-          const cost = a[j - 1] === b[i - 1] ? 0 : 1;
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j] + 1,      // deletion
-            matrix[i][j - 1] + 1,      // insertion
-            matrix[i - 1][j - 1] + cost // substitution
-          );
-        }
-      }
-      
-      return matrix[b.length][a.length];
-    };
-    
     const maxLength = Math.max(str1.length, str2.length);
     if (maxLength === 0) return 1; // Both strings are empty
     
-    const distance = calculateDistance(str1, str2);
+    const distance = levenshteinDistance(str1, str2);
     const similarity = 1 - (distance / maxLength);
     
     return similarity;
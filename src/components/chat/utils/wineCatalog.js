@@ -0,0 +1,93 @@
+import { extractYear } from "./wineUtils";
+import { getWineDictionary, canonicalizeWineTerms, mentionsTerm } from "./wineDictionary";
+
+/**
+ * URL slug for a product title ("2021 Farmhouse Red" -> "2021-farmhouse-red")
+ * @param {string} title - Product title
+ * @returns {string}
+ */
+export const slugify = (title) =>
+  String(title || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Grape varieties and product lines of a product, from Commerce7's
+ * wine.varietal when present and otherwise from the title. Aliases in the
+ * wine dictionary resolve to their canonical name, so "rosé", "rose" and
+ * "cab franc" index together with their main spelling.
+ * @param {Object} product - Commerce7 product
+ * @returns {Array<string>} - Folded canonical names
+ */
+export const getProductVarieties = (product) => {
+  const text = canonicalizeWineTerms(product.wine?.varietal || product.title || "");
+  const found = [];
+  // Keys are checked longest first so "cabernet franc" hides "cabernet" and "franc"
+  getWineDictionary().keys.forEach(variety => {
+    if (mentionsTerm(text, variety) && !found.some(name => mentionsTerm(name, variety))) {
+      found.push(variety);
+    }
+  });
+  return found;
+};
+
+/**
+ * Vintage of a product, from Commerce7's wine.vintage or the title
+ * @param {Object} product - Commerce7 product
+ * @returns {number|null}
+ */
+export const getProductVintage = (product) => {
+  const vintage = Number(product.wine?.vintage) || extractYear(product.title || "");
+  return vintage || null;
+};
+
+/**
+ * Whether a product can currently be bought
+ * @param {Object} product - Commerce7 product
+ * @returns {boolean}
+ */
+export const isProductAvailable = (product) =>
+  product.adminStatus === "Available" && product.webStatus === "Available";
+
+const addToIndex = (index, key, product) => {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(product);
+};
+
+/**
+ * Lookup tables over a product list
+ * @param {Array} products - Commerce7 products
+ * @returns {Object} - { products, byId, bySlug, byVariety, byVintage } (Maps)
+ */
+export const buildCatalogIndex = (products = []) => {
+  const byId = new Map();
+  const bySlug = new Map();
+  const byVariety = new Map();
+  const byVintage = new Map();
+
+  products.forEach(product => {
+    if (!product || !product.id) return;
+    byId.set(product.id, product);
+    bySlug.set(product.slug || slugify(product.title), product);
+    getProductVarieties(product).forEach(variety => addToIndex(byVariety, variety, product));
+    const vintage = getProductVintage(product);
+    if (vintage) addToIndex(byVintage, vintage, product);
+  });
+
+  return { products, byId, bySlug, byVariety, byVintage };
+};
+
+/**
+ * Products of a variety, optionally limited to one vintage
+ * @param {Object} index - From buildCatalogIndex
+ * @param {string} variety - Variety name ("Rosé", "cabernet franc")
+ * @param {number} [vintage] - Vintage year
+ * @returns {Array}
+ */
+export const listByVariety = (index, variety, vintage) => {
+  const matches = index.byVariety.get(canonicalizeWineTerms(variety)) || [];
+  return vintage ? matches.filter(product => getProductVintage(product) === Number(vintage)) : matches;
+};
@@ -0,0 +1,54 @@
+import { slugify, getProductVarieties, getProductVintage, isProductAvailable, buildCatalogIndex, listByVariety } from "./wineCatalog";
+
+const products = [
+  { id: "p1", title: "2021 Cabernet Franc", slug: "cabernet-franc-2021", type: "Wine" },
+  { id: "p2", title: "2022 Dry Riesling", type: "Wine" },
+  { id: "p3", title: "Rosé of Cabernet Franc", type: "Wine", wine: { varietal: "Rosé", vintage: 2023 } },
+  { id: "p4", title: "2019 Cabernet Franc Reserve", type: "Wine" },
+  { id: "p5", title: "Tasting Gift Card", type: "General Merchandise" },
+  { title: "Missing id" }
+];
+
+describe("slugify", () => {
+  test("builds URL slugs without accents", () => {
+    expect(slugify("2022 Dry Riesling")).toBe("2022-dry-riesling");
+    expect(slugify("Rosé of Cabernet Franc!")).toBe("rose-of-cabernet-franc");
+  });
+});
+
+describe("product attributes", () => {
+  test("reads varieties from the varietal or the title", () => {
+    expect(getProductVarieties(products[0])).toEqual(["cabernet franc"]);
+    expect(getProductVarieties(products[2])).toEqual(["rose"]);
+    expect(getProductVarieties(products[4])).toEqual([]);
+  });
+
+  test("is available only when both Commerce7 statuses are Available", () => {
+    expect(isProductAvailable({ adminStatus: "Available", webStatus: "Available" })).toBe(true);
+    expect(isProductAvailable({ adminStatus: "Available", webStatus: "Not Available" })).toBe(false);
+  });
+
+  test("reads the vintage from the wine data or the title", () => {
+    expect(getProductVintage(products[2])).toBe(2023);
+    expect(getProductVintage(products[1])).toBe(2022);
+    expect(getProductVintage(products[4])).toBeNull();
+  });
+});
+
+describe("buildCatalogIndex", () => {
+  const index = buildCatalogIndex(products);
+
+  test("looks products up by id and slug", () => {
+    expect(index.byId.get("p2").title).toBe("2022 Dry Riesling");
+    expect(index.bySlug.get("cabernet-franc-2021").id).toBe("p1");
+    expect(index.bySlug.get("2022-dry-riesling").id).toBe("p2");
+    expect(index.byId.size).toBe(5);
+  });
+
+  test("groups products by variety and vintage", () => {
+    expect(listByVariety(index, "Cabernet Franc").map(p => p.id)).toEqual(["p1", "p4"]);
+    expect(listByVariety(index, "Cabernet Franc", 2019).map(p => p.id)).toEqual(["p4"]);
+    expect(listByVariety(index, "rosé").map(p => p.id)).toEqual(["p3"]);
+    expect(index.byVintage.get(2021).map(p => p.id)).toEqual(["p1"]);
+  });
+});
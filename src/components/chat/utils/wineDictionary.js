@@ -0,0 +1,137 @@
+import bundledDictionary from "../data/wineDictionary.json";
+
+// Term types: grape varieties, and Milea product lines such as Proceedo that
+// narrow a search to their own wines
+export const TERM_TYPES = ["variety", "line"];
+export const WINE_COLORS = ["red", "white", "rose"];
+
+/**
+ * Lowercase text without accents or punctuation ("Grüner-Veltliner!" -> "gruner veltliner")
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+export const foldWineText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === "string" && item.trim()) : []);
+
+/**
+ * Lookup tables for a dictionary. Malformed terms are skipped rather than
+ * rejected so one bad entry saved from the dashboard can't break matching.
+ * @param {Object} raw - { version, terms: [{ name, type, aliases, typos, related, color, boost }] }
+ * @returns {Object} - { version, terms, keys, names, corrections, related, colors, boosts, lines }
+ *   keyed by folded canonical name
+ */
+export const compileWineDictionary = (raw) => {
+  const terms = (Array.isArray(raw?.terms) ? raw.terms : [])
+    .filter(term => term && typeof term.name === "string" && foldWineText(term.name))
+    .map(term => ({
+      name: term.name.trim().toLowerCase(),
+      key: foldWineText(term.name),
+      type: TERM_TYPES.includes(term.type) ? term.type : "variety",
+      aliases: toList(term.aliases).map(alias => alias.trim().toLowerCase()),
+      typos: toList(term.typos).map(typo => typo.trim().toLowerCase()),
+      related: toList(term.related),
+      color: WINE_COLORS.includes(term.color) ? term.color : null,
+      boost: Number.isFinite(term.boost) ? term.boost : 0
+    }));
+
+  // Every spelling of a term, including its own name, folds to the term's key.
+  // The first term to claim a spelling keeps it.
+  const corrections = {};
+  terms.forEach(term => {
+    [term.name, ...term.aliases, ...term.typos].forEach(spelling => {
+      const folded = foldWineText(spelling);
+      if (folded && corrections[folded] === undefined) corrections[folded] = term.key;
+    });
+  });
+  const spellings = Object.keys(corrections).sort((a, b) => b.length - a.length);
+
+  const related = {};
+  const colors = {};
+  const boosts = {};
+  terms.forEach(term => {
+    if (term.related.length > 0) {
+      related[term.key] = [...new Set(term.related.map(value => corrections[foldWineText(value)] || foldWineText(value)))];
+    }
+    if (term.color) colors[term.key] = term.color;
+    if (term.boost) boosts[term.key] = term.boost;
+  });
+
+  return {
+    version: Number(raw?.version) || 0,
+    terms,
+    // Canonical keys and the names guests write, longest first so
+    // "cabernet franc" is found before "cabernet"
+    keys: terms.map(term => term.key).sort((a, b) => b.length - a.length),
+    names: [...new Set(terms.flatMap(term => [term.name, ...term.aliases]))].sort((a, b) => b.length - a.length),
+    corrections,
+    correctionPattern: spellings.length > 0
+      ? new RegExp(`(^| )(${spellings.map(escapeRegExp).join("|")})(?= |$)`, "g")
+      : null,
+    related,
+    colors,
+    boosts,
+    lines: terms.filter(term => term.type === "line").map(term => term.key)
+  };
+};
+
+export const DEFAULT_WINE_DICTIONARY = bundledDictionary;
+
+let current = compileWineDictionary(bundledDictionary);
+const listeners = new Set();
+
+/**
+ * The dictionary in use: the bundled one until a saved one has been loaded
+ * @returns {Object} - From compileWineDictionary
+ */
+export const getWineDictionary = () => current;
+
+/**
+ * Replace the dictionary in use and notify subscribers
+ * @param {Object} raw - { version, terms }
+ * @returns {Object} - The compiled dictionary
+ */
+export const setWineDictionary = (raw) => {
+  current = compileWineDictionary(raw);
+  listeners.forEach(listener => listener(current));
+  return current;
+};
+
+/**
+ * Register a listener called with the compiled dictionary when it changes
+ * @param {Function} listener - Receives the compiled dictionary
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeWineDictionary = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Fold text and replace every alias and typo with its term's canonical name
+ * ("2021 Reisling" -> "2021 riesling", "cab franc rosé" -> "cabernet franc rose")
+ * @param {string} text - Any text
+ * @param {Object} [dictionary] - Compiled dictionary, the current one by default
+ * @returns {string}
+ */
+export const canonicalizeWineTerms = (text, dictionary = current) => {
+  const folded = foldWineText(text);
+  if (!dictionary.correctionPattern) return folded;
+  return folded.replace(dictionary.correctionPattern, (match, prefix, spelling) => `${prefix}${dictionary.corrections[spelling]}`);
+};
+
+/**
+ * Whether canonical text mentions a term as whole words
+ * @param {string} text - Output of canonicalizeWineTerms
+ * @param {string} key - Term key
+ * @returns {boolean}
+ */
+export const mentionsTerm = (text, key) => ` ${text} `.includes(` ${key} `);
@@ -0,0 +1,82 @@
+import {
+  DEFAULT_WINE_DICTIONARY,
+  compileWineDictionary,
+  canonicalizeWineTerms,
+  foldWineText,
+  getWineDictionary,
+  setWineDictionary,
+  subscribeWineDictionary
+} from "./wineDictionary";
+import { normalizeWineName } from "./wineUtils";
+import { fuzzyMatch } from "./stringMatching";
+import { getProductVarieties } from "./wineCatalog";
+
+afterEach(() => {
+  setWineDictionary(DEFAULT_WINE_DICTIONARY);
+});
+
+describe("compileWineDictionary", () => {
+  const dictionary = compileWineDictionary(DEFAULT_WINE_DICTIONARY);
+
+  test("maps every spelling to the folded canonical name", () => {
+    expect(dictionary.corrections["reisling"]).toBe("riesling");
+    expect(dictionary.corrections["rose"]).toBe("rose");
+    expect(dictionary.corrections["gruner"]).toBe("gruner veltliner");
+    expect(dictionary.corrections["cab franc"]).toBe("cabernet franc");
+  });
+
+  test("lists names longest first and resolves related varieties", () => {
+    expect(dictionary.names[0].length).toBeGreaterThanOrEqual(dictionary.names[dictionary.names.length - 1].length);
+    expect(dictionary.names).toContain("rosé");
+    expect(dictionary.related["proceedo"]).toEqual(["white", "rose"]);
+    expect(dictionary.lines).toEqual(["proceedo", "farmhouse"]);
+    expect(dictionary.colors["blaufrankisch"]).toBe("red");
+  });
+
+  test("skips malformed terms and keeps the first owner of a spelling", () => {
+    const compiled = compileWineDictionary({
+      version: 3,
+      terms: [{ name: "Riesling", typos: ["reisling"] }, { name: "" }, null, { name: "Other", typos: ["reisling"] }, { name: "Odd", type: "grape", color: "blue" }]
+    });
+    expect(compiled.version).toBe(3);
+    expect(compiled.terms.map(term => [term.key, term.type, term.color])).toEqual([
+      ["riesling", "variety", null],
+      ["other", "variety", null],
+      ["odd", "variety", null]
+    ]);
+    expect(compiled.corrections["reisling"]).toBe("riesling");
+  });
+});
+
+describe("canonicalizeWineTerms", () => {
+  test("folds text and replaces aliases and typos as whole words", () => {
+    expect(foldWineText("Grüner-Veltliner!")).toBe("gruner veltliner");
+    expect(canonicalizeWineTerms("2021 Reisling")).toBe("2021 riesling");
+    expect(canonicalizeWineTerms("Cab Franc Rosé")).toBe("cabernet franc rose");
+    expect(canonicalizeWineTerms("Gruner Veltliner and gruener")).toBe("gruner veltliner and gruner veltliner");
+    expect(canonicalizeWineTerms("roses and rosemary")).toBe("roses and rosemary");
+  });
+
+  test("drives normalizeWineName and fuzzyMatch", () => {
+    expect(normalizeWineName("2022 Reisling.")).toBe("riesling");
+    expect(normalizeWineName("Rosé of Cab Franc")).toBe(normalizeWineName("rose of cabernet franc"));
+    expect(fuzzyMatch("chardonay", "Chardonnay")).toBe(1);
+  });
+});
+
+describe("runtime dictionary", () => {
+  test("a saved dictionary replaces the bundled one and notifies subscribers", () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeWineDictionary(listener);
+
+    setWineDictionary({
+      version: 2,
+      terms: [...DEFAULT_WINE_DICTIONARY.terms, { name: "saperavi", aliases: ["saperavy"], color: "red" }]
+    });
+
+    expect(getWineDictionary().version).toBe(2);
+    expect(listener).toHaveBeenCalledWith(getWineDictionary());
+    expect(getProductVarieties({ title: "2021 Saperavy" })).toEqual(["saperavi"]);
+    unsubscribe();
+  });
+});
@@ -0,0 +1,240 @@
+import { slugify, getProductVarieties, getProductVintage, isProductAvailable } from "./wineCatalog";
+import { cleanText } from "./wineUtils";
+import { getWineDictionary, foldWineText } from "./wineDictionary";
+
+// Varieties made both dry and sweet; their sweetness is unknown unless the title says
+const VARIABLE_SWEETNESS = ["riesling"];
+
+const COLOR_NAMES = { red: "red", white: "white", rose: "rosé" };
+
+// Accent- and case-folded text, padded so words match on boundaries
+const foldText = (value) => ` ${slugify(value).replace(/-/g, " ")} `;
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Plurals as singulars ("rieslings" -> "riesling"). A word that is part of a
+// dictionary spelling is kept as written, so names ending in "s" ("pinot gris")
+// still match.
+const singularize = (text) => {
+  const spellingWords = new Set(Object.keys(getWineDictionary().corrections).flatMap(spelling => spelling.split(" ")));
+  return foldWineText(text)
+    .split(" ")
+    .map(word => (word.endsWith("s") && !spellingWords.has(word) ? word.slice(0, -1) : word))
+    .join(" ");
+};
+
+/**
+ * Color of a product: Commerce7's wine type when set, otherwise the title's
+ * color word or its variety's color in the wine dictionary
+ * @param {Object} product - Commerce7 product
+ * @returns {string|null} - "red", "white" or "rose"
+ */
+export const getProductColor = (product) => {
+  const text = foldText(`${product.wine?.type || ""} ${product.title || ""}`);
+  if (text.includes(" rose ")) return "rose";
+  if (text.includes(" red ")) return "red";
+  if (text.includes(" white ")) return "white";
+  const { colors } = getWineDictionary();
+  const variety = getProductVarieties(product).find(name => colors[name]);
+  return variety ? colors[variety] : null;
+};
+
+/**
+ * Sweetness of a product from its title. Wines say so when they are sweet
+ * or off-dry, so other wines count as dry, except varieties made both ways.
+ * @param {Object} product - Commerce7 product
+ * @returns {string|null} - "dry", "off-dry", "sweet", or null when unknown
+ */
+export const getProductSweetness = (product) => {
+  const text = foldText(product.title || "");
+  if (/ (off dry|semi dry|medium dry|semi sweet) /.test(text)) return "off-dry";
+  if (/ (sweet|late harvest|ice wine|dessert) /.test(text)) return "sweet";
+  if (text.includes(" dry ")) return "dry";
+  const varieties = getProductVarieties(product);
+  return varieties.some(variety => VARIABLE_SWEETNESS.includes(variety)) ? null : "dry";
+};
+
+/**
+ * Price of a product's first variant
+ * @param {Object} product - Commerce7 product
+ * @returns {number|null} - Cents
+ */
+export const getProductPrice = (product) => {
+  const price = product.variants?.[0]?.price;
+  return typeof price === "number" ? price : null;
+};
+
+// A bare vintage-like number ("what about 2019", "from 2018 to 2020") is a year, not a price
+const VINTAGE_NUMBER = /^(19[5-9]\d|20\d{2})$/;
+const isPriceMatch = (match) =>
+  /\$|dollars|bucks/.test(match[0]) || !match.slice(1).some(amount => VINTAGE_NUMBER.test(amount));
+
+const parsePrice = (text) => {
+  const amount = "\\$?\\s?(\\d+(?:\\.\\d{1,2})?)\\s?(?:dollars|bucks)?";
+  const find = (pattern) => {
+    const match = text.match(new RegExp(pattern));
+    return match && isPriceMatch(match) ? match : null;
+  };
+
+  const between = find(`\\b(?:between|from)\\s${amount}\\s(?:and|to|-)\\s${amount}`)
+    || find("\\$(\\d+(?:\\.\\d{1,2})?)\\s?(?:-|to)\\s?\\$?(\\d+(?:\\.\\d{1,2})?)");
+  if (between) {
+    const [low, high] = [toCents(between[1]), toCents(between[2])].sort((a, b) => a - b);
+    return { minPrice: low, maxPrice: high };
+  }
+  const under = find(`\\b(?:under|below|less than|cheaper than|no more than|up to|max(?:imum)?|at most)\\s${amount}`);
+  if (under) return { maxPrice: toCents(under[1]) };
+  const over = find(`\\b(?:over|above|more than|at least|min(?:imum)?)\\s${amount}`);
+  if (over) return { minPrice: toCents(over[1]) };
+  const around = find(`\\b(?:around|about|roughly)\\s${amount}`);
+  if (around) {
+    const cents = toCents(around[1]);
+    return { minPrice: Math.round(cents * 0.8), maxPrice: Math.round(cents * 1.2) };
+  }
+  return {};
+};
+
+/**
+ * Facets named in a guest's question ("dry reds under $30", "your 2020 whites")
+ * @param {string} text - Guest message
+ * @returns {Object} - Any of { color, varieties, minPrice, maxPrice (cents),
+ *   vintage, sweetness, inStock, sort } that the text mentions
+ */
+export const parseWineQuery = (text) => {
+  const lower = String(text || "").toLowerCase();
+  const folded = foldText(lower);
+  const facets = {};
+
+  if (/ roses? /.test(folded)) facets.color = "rose";
+  else if (/ reds? /.test(folded)) facets.color = "red";
+  else if (/ whites? /.test(folded)) facets.color = "white";
+
+  // Grape names, less the color words already handled and blends named by color
+  const varieties = getProductVarieties({ title: singularize(lower) })
+    .filter(variety => !["rose", "red blend", "white blend"].includes(variety));
+  if (varieties.length > 0) facets.varieties = varieties;
+
+  Object.assign(facets, parsePrice(lower));
+
+  const vintage = lower.match(/\b(19[5-9]\d|20\d{2})\b/);
+  if (vintage) facets.vintage = Number(vintage[1]);
+
+  if (/ (off dry|semi dry|medium dry|semi sweet) /.test(folded)) facets.sweetness = "off-dry";
+  else if (/ (sweet|dessert wines?) /.test(folded)) facets.sweetness = "sweet";
+  else if (folded.includes(" dry ")) facets.sweetness = "dry";
+
+  if (/ (in stock|available|can i (buy|order)|for sale) /.test(folded)) facets.inStock = true;
+
+  if (/ (cheapest|least expensive|lowest price|most affordable) /.test(folded)) facets.sort = "price-asc";
+  else if (/ (most expensive|priciest|highest price|best you have) /.test(folded)) facets.sort = "price-desc";
+  else if (/ (newest|latest|most recent) /.test(folded)) facets.sort = "vintage-desc";
+  else if (/ (oldest|most aged) /.test(folded)) facets.sort = "vintage-asc";
+
+  return facets;
+};
+
+/**
+ * Whether parseWineQuery found anything to filter on
+ * @param {Object} facets - From parseWineQuery
+ * @returns {boolean}
+ */
+export const hasFacets = (facets) =>
+  ["color", "varieties", "minPrice", "maxPrice", "vintage", "sweetness", "inStock"].some(key => facets[key] !== undefined);
+
+const isWine = (product) =>
+  /^wine$/i.test(product.type || "") || getProductColor(product) !== null;
+
+const matchesFacets = (product, facets) => {
+  if (!isWine(product)) return false;
+  if (facets.color && getProductColor(product) !== facets.color) return false;
+  if (facets.varieties) {
+    const varieties = getProductVarieties(product);
+    const title = foldText(product.title || "");
+    if (!facets.varieties.some(variety => varieties.includes(variety) || title.includes(` ${variety} `))) return false;
+  }
+  const price = getProductPrice(product);
+  if (facets.minPrice !== undefined && (price === null || price < facets.minPrice)) return false;
+  if (facets.maxPrice !== undefined && (price === null || price > facets.maxPrice)) return false;
+  if (facets.vintage && getProductVintage(product) !== facets.vintage) return false;
+  if (facets.sweetness && getProductSweetness(product) !== facets.sweetness) return false;
+  if (facets.inStock && !isProductAvailable(product)) return false;
+  return true;
+};
+
+const SORTS = {
+  "price-asc": (a, b) => (getProductPrice(a) ?? Infinity) - (getProductPrice(b) ?? Infinity),
+  "price-desc": (a, b) => (getProductPrice(b) ?? -Infinity) - (getProductPrice(a) ?? -Infinity),
+  "vintage-desc": (a, b) => (getProductVintage(b) || 0) - (getProductVintage(a) || 0),
+  "vintage-asc": (a, b) => (getProductVintage(a) || Infinity) - (getProductVintage(b) || Infinity)
+};
+
+/**
+ * Catalog wines matching every facet. Wines that can be bought come first,
+ * then the requested order (newest vintage by default), then title.
+ * @param {Array} products - Commerce7 catalog
+ * @param {Object} facets - From parseWineQuery
+ * @returns {Array}
+ */
+export const filterWines = (products, facets) => {
+  const order = SORTS[facets.sort] || SORTS["vintage-desc"];
+  return products
+    .filter(product => product && product.id && matchesFacets(product, facets))
+    .sort((a, b) =>
+      Number(isProductAvailable(b)) - Number(isProductAvailable(a))
+      || order(a, b)
+      || String(a.title).localeCompare(String(b.title))
+    );
+};
+
+const formatDollars = (cents) => `$${(cents / 100).toFixed(cents % 100 === 0 ? 0 : 2)}`;
+
+/**
+ * Plain-language echo of the applied filters ("dry red wines from 2020 under $30")
+ * @param {Object} facets - From parseWineQuery
+ * @returns {string}
+ */
+export const describeFacets = (facets) => {
+  const words = [];
+  if (facets.inStock) words.push("available");
+  if (facets.sweetness) words.push(facets.sweetness);
+  if (facets.color && !facets.varieties) words.push(COLOR_NAMES[facets.color]);
+  if (facets.varieties) {
+    words.push(facets.varieties.map(variety => variety.replace(/\b\w/g, letter => letter.toUpperCase())).join(" or "));
+  } else {
+    words.push("wines");
+  }
+  if (facets.vintage) words.push(`from ${facets.vintage}`);
+  if (facets.minPrice !== undefined && facets.maxPrice !== undefined) {
+    words.push(`between ${formatDollars(facets.minPrice)} and ${formatDollars(facets.maxPrice)}`);
+  } else if (facets.maxPrice !== undefined) {
+    words.push(`under ${formatDollars(facets.maxPrice)}`);
+  } else if (facets.minPrice !== undefined) {
+    words.push(`over ${formatDollars(facets.minPrice)}`);
+  }
+  return words.join(" ");
+};
+
+/**
+ * Chat reply listing faceted search results under the filters applied
+ * @param {Object} facets - From parseWineQuery
+ * @param {Array} wines - From filterWines
+ * @param {number} [limit=5] - Wines to list by name
+ * @returns {string}
+ */
+export const formatFacetedResults = (facets, wines, limit = 5) => {
+  const description = describeFacets(facets);
+  if (wines.length === 0) {
+    return `I couldn't find any ${description} right now. Try widening the price range or asking about a different style.`;
+  }
+
+  const lines = wines.slice(0, limit).map(wine => {
+    const price = getProductPrice(wine);
+    const details = [price !== null ? formatDollars(price) : null, isProductAvailable(wine) ? null : "not currently available"]
+      .filter(Boolean)
+      .join(", ");
+    return `🍷 ${cleanText(wine.title)}${details ? ` - ${details}` : ""}`;
+  });
+  const more = wines.length > limit ? `\n\n…and ${wines.length - limit} more.` : "";
+  const count = wines.length === 1 ? "1 match" : `${wines.length} matches`;
+  return `Here are our ${description} (${count}):\n\n${lines.join("\n")}${more}`;
+};
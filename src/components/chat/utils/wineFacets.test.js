@@ -0,0 +1,124 @@
+import {
+  getProductColor,
+  getProductSweetness,
+  parseWineQuery,
+  hasFacets,
+  filterWines,
+  describeFacets,
+  formatFacetedResults
+} from "./wineFacets";
+import { DEFAULT_WINE_DICTIONARY, setWineDictionary } from "./wineDictionary";
+
+const available = { adminStatus: "Available", webStatus: "Available" };
+const wine = (id, title, price, extra = {}) => ({ id, title, type: "Wine", variants: [{ price }], ...available, ...extra });
+const products = [
+  wine("p1", "2021 Cabernet Franc", 3800),
+  wine("p2", "2020 Farmhouse Red Blend", 2400),
+  wine("p3", "2022 Dry Riesling", 2600),
+  wine("p4", "2022 Semi-Dry Riesling", 2600),
+  wine("p5", "2020 Chardonnay", 2900),
+  wine("p6", "2022 Rosé of Cabernet Franc", 2200),
+  wine("p7", "2020 Blaufränkisch", 2800, { webStatus: "Not Available" }),
+  wine("p8", "2020 Late Harvest Riesling", 3400),
+  { id: "p9", title: "Wine Tote", type: "General Merchandise", variants: [{ price: 1500 }], ...available }
+];
+
+describe("product facets", () => {
+  test("reads color from the title or variety", () => {
+    expect(getProductColor(products[0])).toBe("red");
+    expect(getProductColor(products[1])).toBe("red");
+    expect(getProductColor(products[4])).toBe("white");
+    expect(getProductColor(products[5])).toBe("rose");
+    expect(getProductColor({ title: "Proceedo White" })).toBe("white");
+    expect(getProductColor(products[8])).toBeNull();
+  });
+
+  test("reads sweetness from the title and leaves Riesling unknown otherwise", () => {
+    expect(getProductSweetness(products[2])).toBe("dry");
+    expect(getProductSweetness(products[3])).toBe("off-dry");
+    expect(getProductSweetness(products[7])).toBe("sweet");
+    expect(getProductSweetness(products[0])).toBe("dry");
+    expect(getProductSweetness({ title: "2021 Riesling" })).toBeNull();
+  });
+});
+
+describe("parseWineQuery", () => {
+  // [message, expected facets]
+  test.each([
+    ["reds under $30", { color: "red", maxPrice: 3000 }],
+    ["your 2020 whites", { color: "white", vintage: 2020 }],
+    ["any dry Rieslings in stock?", { varieties: ["riesling"], sweetness: "dry", inStock: true }],
+    ["wines between $20 and $40", { minPrice: 2000, maxPrice: 4000 }],
+    ["something $25-$35", { minPrice: 2500, maxPrice: 3500 }],
+    ["rosé over 20 dollars", { color: "rose", minPrice: 2000 }],
+    ["a white around $30", { color: "white", minPrice: 2400, maxPrice: 3600 }],
+    ["what about 2019 whites?", { color: "white", vintage: 2019 }],
+    ["Do you have any reds from 2018 to 2020?", { color: "red", vintage: 2018 }],
+    ["reds from 2018 to 2020 under $30", { color: "red", maxPrice: 3000, vintage: 2018 }],
+    ["off-dry wines", { sweetness: "off-dry" }],
+    ["your cheapest Cabernet Franc", { varieties: ["cabernet franc"], sort: "price-asc" }],
+    ["hello", {}]
+  ])("%p", (message, expected) => {
+    expect(parseWineQuery(message)).toEqual(expected);
+  });
+
+  test("matches dictionary names ending in s as written", () => {
+    setWineDictionary({
+      version: 2,
+      terms: [...DEFAULT_WINE_DICTIONARY.terms, { name: "pinot gris", type: "variety", color: "white" }]
+    });
+    try {
+      expect(parseWineQuery("pinot gris under $25")).toEqual({ varieties: ["pinot gris"], maxPrice: 2500 });
+      expect(parseWineQuery("any Rieslings?")).toEqual({ varieties: ["riesling"] });
+    } finally {
+      setWineDictionary(DEFAULT_WINE_DICTIONARY);
+    }
+  });
+
+  test("ignores a sort order when deciding whether there is anything to filter", () => {
+    expect(hasFacets(parseWineQuery("newest wines"))).toBe(false);
+    expect(hasFacets(parseWineQuery("reds"))).toBe(true);
+  });
+});
+
+describe("filterWines", () => {
+  const ids = (text) => filterWines(products, parseWineQuery(text)).map(product => product.id);
+
+  test("applies every facet and skips merchandise", () => {
+    expect(ids("reds under $30")).toEqual(["p2", "p7"]);
+    expect(ids("2020 whites")).toEqual(["p5", "p8"]);
+    expect(ids("dry riesling")).toEqual(["p3"]);
+    expect(ids("wines under $20")).toEqual([]);
+  });
+
+  test("puts available wines first, then newest vintage", () => {
+    expect(ids("reds")).toEqual(["p1", "p2", "p7"]);
+    expect(ids("reds in stock")).toEqual(["p1", "p2"]);
+  });
+
+  test("honors a requested sort order", () => {
+    expect(ids("cheapest whites")).toEqual(["p3", "p4", "p5", "p8"]);
+    expect(ids("most expensive reds")).toEqual(["p1", "p2", "p7"]);
+  });
+});
+
+describe("describeFacets and formatFacetedResults", () => {
+  test("echo the filters that were applied", () => {
+    expect(describeFacets(parseWineQuery("dry reds from 2020 under $30 in stock")))
+      .toBe("available dry red wines from 2020 under $30");
+    expect(describeFacets(parseWineQuery("Rieslings between $20 and $40"))).toBe("Riesling between $20 and $40");
+  });
+
+  test("list matches with prices and availability", () => {
+    const facets = parseWineQuery("reds under $30");
+    expect(formatFacetedResults(facets, filterWines(products, facets))).toBe(
+      "Here are our red wines under $30 (2 matches):\n\n" +
+      "🍷 2020 Farmhouse Red Blend - $24\n" +
+      "🍷 2020 Blaufränkisch - $28, not currently available"
+    );
+  });
+
+  test("say so when nothing matches", () => {
+    expect(formatFacetedResults(parseWineQuery("whites under $10"), [])).toMatch(/^I couldn't find any white wines under \$10/);
+  });
+});
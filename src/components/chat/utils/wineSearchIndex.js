@@ -0,0 +1,178 @@
+import { canonicalizeWineTerms, getWineDictionary } from "./wineDictionary";
+import { levenshteinDistance } from "./stringMatching";
+import { getProductVarieties } from "./wineCatalog";
+import { cleanText } from "./textUtils";
+
+// Where a word appears in a product, and how much a match there counts
+export const SEARCH_FIELDS = { title: 3, variety: 2, notes: 1 };
+export const DEFAULT_SIMILARITY = 0.7;
+// Shorter words only match exactly; a single typo in them is another word
+const MIN_FUZZY_LENGTH = 4;
+const MIN_QUERY_WORD_LENGTH = 3;
+
+const wordsOf = (text) => text.split(" ").filter(Boolean);
+
+// Distinct bigrams of a word padded with spaces ("rose" -> " r", "ro", "os", "se", "e ")
+const bigramsOf = (word) => {
+  const padded = ` ${word} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 1; i++) {
+    grams.add(padded.substring(i, i + 2));
+  }
+  return grams;
+};
+
+// Largest edit distance that can still be more similar than the threshold
+const maxDistanceFor = (length, threshold) => Math.max(0, Math.ceil((1 - threshold) * length) - 1);
+
+const productText = (product) => ({
+  title: canonicalizeWineTerms(product.title || ""),
+  variety: getProductVarieties(product).join(" "),
+  notes: canonicalizeWineTerms([product.teaser, product.content].filter(Boolean).map(cleanText).join(" "))
+});
+
+/**
+ * Search index over a product list: the canonical words of every title,
+ * variety and tasting note, each posted to the products it appears in, and a
+ * bigram index over those words for typo-tolerant lookup. Built once per
+ * catalog so a query only compares against the few words sharing its bigrams.
+ * @param {Array} products - Commerce7 products
+ * @returns {Object} - { products, words, wordIds, postings, grams, dictionary }
+ */
+export const buildWineSearchIndex = (products = []) => {
+  const words = [];
+  const wordIds = new Map();
+  // Word id -> Map(product -> { field, weight }), keeping the heaviest field
+  const postings = [];
+  const grams = new Map();
+
+  const wordId = (word) => {
+    if (wordIds.has(word)) return wordIds.get(word);
+    const id = words.length;
+    words.push(word);
+    wordIds.set(word, id);
+    postings.push(new Map());
+    bigramsOf(word).forEach(gram => {
+      if (!grams.has(gram)) grams.set(gram, []);
+      grams.get(gram).push(id);
+    });
+    return id;
+  };
+
+  products.forEach(product => {
+    if (!product || !product.id) return;
+    const text = productText(product);
+    Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+      wordsOf(text[field]).forEach(word => {
+        const posting = postings[wordId(word)];
+        if ((posting.get(product)?.weight || 0) < weight) {
+          posting.set(product, { field, weight });
+        }
+      });
+    });
+  });
+
+  return { products, words, wordIds, postings, grams, dictionary: getWineDictionary() };
+};
+
+// Index for each product list, so lists that are searched repeatedly are indexed once
+const indexCache = new WeakMap();
+
+/**
+ * The search index of a product list, built on first use and rebuilt when the
+ * wine dictionary changes how words are spelled
+ * @param {Array} products - Commerce7 products
+ * @returns {Object} - From buildWineSearchIndex
+ */
+export const getWineSearchIndex = (products) => {
+  const cached = indexCache.get(products);
+  if (cached && cached.dictionary === getWineDictionary()) return cached;
+  const index = buildWineSearchIndex(products);
+  indexCache.set(products, index);
+  return index;
+};
+
+/**
+ * Indexed words similar to a query word, with the same similarity as
+ * fuzzyMatch (1 - edit distance / longer length). Each edit changes at most
+ * two bigrams, so words sharing too few bigrams are skipped without computing
+ * a distance.
+ * @param {Object} index - From buildWineSearchIndex
+ * @param {string} word - Canonical query word
+ * @param {number} [threshold] - Minimum similarity, exclusive
+ * @returns {Array<Object>} - [{ wordId, word, similarity }], most similar first
+ */
+export const matchIndexedWord = (index, word, threshold = DEFAULT_SIMILARITY) => {
+  if (word.length < MIN_FUZZY_LENGTH) {
+    return index.wordIds.has(word) ? [{ wordId: index.wordIds.get(word), word, similarity: 1 }] : [];
+  }
+
+  const queryGrams = bigramsOf(word);
+  const shared = new Map();
+  queryGrams.forEach(gram => {
+    (index.grams.get(gram) || []).forEach(id => shared.set(id, (shared.get(id) || 0) + 1));
+  });
+
+  const matches = [];
+  shared.forEach((count, id) => {
+    const candidate = index.words[id];
+    const longer = Math.max(word.length, candidate.length);
+    const maxDistance = maxDistanceFor(longer, threshold);
+    if (Math.abs(word.length - candidate.length) > maxDistance) return;
+    if (count < queryGrams.size - 2 * maxDistance) return;
+
+    const similarity = 1 - levenshteinDistance(word, candidate, maxDistance) / longer;
+    if (similarity > threshold) {
+      matches.push({ wordId: id, word: candidate, similarity });
+    }
+  });
+  return matches.sort((a, b) => b.similarity - a.similarity || a.word.localeCompare(b.word));
+};
+
+/**
+ * Ranked fuzzy search. Each query word scores its best match in a product
+ * (similarity times the field weight); a product's score is the sum over
+ * query words.
+ * @param {Object} index - From buildWineSearchIndex
+ * @param {string} query - Search text; aliases and typos the dictionary knows are resolved first
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum word similarity, exclusive
+ * @param {Array<string>} [options.fields] - Fields to search, all by default
+ * @param {number} [options.minWordLength] - Query words shorter than this are ignored
+ * @param {number} [options.limit] - Maximum number of results
+ * @returns {Array<Object>} - [{ product, score, matches: [{ query, word, field, similarity }] }]
+ */
+export const searchWineIndex = (index, query, {
+  threshold = DEFAULT_SIMILARITY,
+  fields = Object.keys(SEARCH_FIELDS),
+  minWordLength = MIN_QUERY_WORD_LENGTH,
+  limit = Infinity
+} = {}) => {
+  const queryWords = [...new Set(wordsOf(canonicalizeWineTerms(query)))].filter(word => word.length >= minWordLength);
+  const results = new Map();
+
+  queryWords.forEach(queryWord => {
+    // Best match of this query word in each product
+    const best = new Map();
+    matchIndexedWord(index, queryWord, threshold).forEach(({ wordId, word, similarity }) => {
+      index.postings[wordId].forEach(({ field, weight }, product) => {
+        if (!fields.includes(field)) return;
+        const score = similarity * weight;
+        if (score > (best.get(product)?.score || 0)) {
+          best.set(product, { score, match: { query: queryWord, word, field, similarity } });
+        }
+      });
+    });
+
+    best.forEach(({ score, match }, product) => {
+      if (!results.has(product)) results.set(product, { product, score: 0, matches: [] });
+      const result = results.get(product);
+      result.score += score;
+      result.matches.push(match);
+    });
+  });
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score || (a.product.title || "").localeCompare(b.product.title || ""))
+    .slice(0, limit);
+};
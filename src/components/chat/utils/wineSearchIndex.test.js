@@ -0,0 +1,137 @@
+import { buildWineSearchIndex, getWineSearchIndex, matchIndexedWord, searchWineIndex } from "./wineSearchIndex";
+import { fuzzyMatch } from "./stringMatching";
+import { canonicalizeWineTerms, setWineDictionary, DEFAULT_WINE_DICTIONARY } from "./wineDictionary";
+
+const products = [
+  { id: "p1", title: "2021 Cabernet Franc", type: "Wine", teaser: "<p>Dark cherry and graphite</p>" },
+  { id: "p2", title: "2022 Dry Riesling", type: "Wine", content: "Lime zest, slate and a crisp finish" },
+  { id: "p3", title: "2022 Proceedo White", type: "Wine", content: "Bright citrus with a touch of cherry" },
+  { id: "p4", title: "2021 Farmhouse Red", type: "Wine", wine: { varietal: "Cabernet Franc" } },
+  { title: "Missing id" }
+];
+
+// Synthetic catalog of Milea-like titles and notes
+const VARIETIES = ["Cabernet Franc", "Dry Riesling", "Chardonnay", "Pinot Noir", "Rosé", "Gruner Veltliner", "Syrah", "Sauvignon Blanc"];
+const STYLES = ["Reserve", "Estate", "Barrel Select", "Old Vine", "Hudson Valley", "Single Vineyard", "Late Harvest", "Unoaked"];
+const NOTES = ["cherry", "graphite", "lime", "slate", "peach", "tobacco", "violet", "honeysuckle", "pepper", "apricot", "cedar", "plum"];
+
+const buildCatalog = (size) => Array.from({ length: size }, (_, i) => ({
+  id: `w${i}`,
+  type: "Wine",
+  title: `${2000 + (i % 25)} ${STYLES[Math.floor(i / 8) % STYLES.length]} ${VARIETIES[i % VARIETIES.length]} Lot ${i}`,
+  content: `Notes of ${NOTES[i % NOTES.length]}, ${NOTES[(i * 7) % NOTES.length]} and ${NOTES[(i * 5 + 3) % NOTES.length]}.`
+}));
+
+const TYPO_QUERIES = ["cabernet frank", "chardonay", "pinot nior", "reserv", "hudsen valley", "sauvingon", "vinyard", "harvst", "graphit", "tobbaco"];
+
+// The scan the index replaces: fuzzyMatch of every query word against every title word
+const scanTitles = (catalog, query) => {
+  const words = canonicalizeWineTerms(query).split(" ").filter(word => word.length >= 4);
+  return catalog
+    .filter(product => words.some(word =>
+      canonicalizeWineTerms(product.title).split(" ").some(titleWord => fuzzyMatch(word, titleWord) > 0.7)))
+    .map(product => product.id)
+    .sort();
+};
+
+afterEach(() => {
+  setWineDictionary(DEFAULT_WINE_DICTIONARY);
+});
+
+describe("matchIndexedWord", () => {
+  const index = buildWineSearchIndex(products);
+
+  test("finds words within the similarity threshold, most similar first", () => {
+    expect(matchIndexedWord(index, "farmhose").map(m => m.word)).toEqual(["farmhouse"]);
+    expect(matchIndexedWord(index, "graphit")[0]).toMatchObject({ word: "graphite", similarity: 1 - 1 / 8 });
+    expect(matchIndexedWord(index, "cheery").map(m => m.word)).toEqual(["cherry"]);
+    expect(matchIndexedWord(index, "zinfandel")).toEqual([]);
+  });
+
+  test("matches short words only exactly", () => {
+    expect(matchIndexedWord(index, "red").map(m => m.word)).toEqual(["red"]);
+    expect(matchIndexedWord(index, "rad")).toEqual([]);
+  });
+});
+
+describe("searchWineIndex", () => {
+  const index = buildWineSearchIndex(products);
+
+  test("ranks title matches over variety and tasting note matches", () => {
+    const results = searchWineIndex(index, "cabernet franc");
+    expect(results.map(r => r.product.id)).toEqual(["p1", "p4"]);
+    expect(results[1].matches[0].field).toBe("variety");
+    expect(searchWineIndex(index, "cherry").map(r => r.product.id)).toEqual(["p1", "p3"]);
+  });
+
+  test("resolves dictionary typos before matching and sums query words", () => {
+    expect(searchWineIndex(index, "reisling")[0].product.id).toBe("p2");
+    const [top] = searchWineIndex(index, "proceedo whte");
+    expect(top.product.id).toBe("p3");
+    expect(top.matches.map(m => m.word)).toEqual(["proceedo", "white"]);
+  });
+
+  test("limits fields and results", () => {
+    expect(searchWineIndex(index, "cherry", { fields: ["title"] })).toEqual([]);
+    expect(searchWineIndex(index, "2021 2022", { limit: 1 })).toHaveLength(1);
+  });
+
+  test("finds what a fuzzyMatch scan of every title finds", () => {
+    const catalog = buildCatalog(300);
+    const catalogIndex = buildWineSearchIndex(catalog);
+    TYPO_QUERIES.forEach(query => {
+      const indexed = searchWineIndex(catalogIndex, query, { fields: ["title"], minWordLength: 4 })
+        .map(result => result.product.id)
+        .sort();
+      expect(indexed).toEqual(scanTitles(catalog, query));
+    });
+  });
+});
+
+describe("getWineSearchIndex", () => {
+  test("indexes a product list once and again after a dictionary change", () => {
+    const list = [...products];
+    const index = getWineSearchIndex(list);
+    expect(getWineSearchIndex(list)).toBe(index);
+
+    setWineDictionary({ version: 2, terms: [{ name: "proceedo", type: "line", aliases: ["procedo"] }] });
+    const rebuilt = getWineSearchIndex(list);
+    expect(rebuilt).not.toBe(index);
+    expect(searchWineIndex(rebuilt, "procedo")[0].product.id).toBe("p3");
+  });
+});
+
+// Per-query cost on large catalogs, indexed lookup against the scan it replaces:
+//   WINE_SEARCH_BENCHMARK=1 CI=1 npx react-scripts test --watchAll=false wineSearchIndex
+const benchmark = process.env.WINE_SEARCH_BENCHMARK ? describe : describe.skip;
+
+benchmark("benchmark", () => {
+  const timePerQuery = (run, rounds) => {
+    const start = performance.now();
+    for (let round = 0; round < rounds; round++) {
+      TYPO_QUERIES.forEach(run);
+    }
+    return (performance.now() - start) / (rounds * TYPO_QUERIES.length);
+  };
+
+  test("per-query cost", () => {
+    const rows = [1000, 5000, 10000].map(size => {
+      const catalog = buildCatalog(size);
+      const buildStart = performance.now();
+      const index = buildWineSearchIndex(catalog);
+      const buildMs = performance.now() - buildStart;
+
+      const indexedMs = timePerQuery(query => searchWineIndex(index, query), 5);
+      const scanMs = timePerQuery(query => scanTitles(catalog, query), 1);
+      return {
+        products: size,
+        words: index.words.length,
+        "build (ms)": buildMs.toFixed(1),
+        "indexed, all fields (ms/query)": indexedMs.toFixed(2),
+        "title scan (ms/query)": scanMs.toFixed(2)
+      };
+    });
+    console.table(rows);
+    expect(rows).toHaveLength(3);
+  }, 300000);
+});
@@ -1,4 +1,5 @@
 import { cleanText } from "./textUtils";
+import { canonicalizeWineTerms } from "./wineDictionary";
 
 // Extract year from a wine title
 export const extractYear = (title) => {
@@ -11,13 +12,10 @@ export const removeYear = (title) => {
   return title.replace(/\b(19|20)\d{2}\b/, "").trim();
 };
 
-// Normalized wine name comparison (remove year, case, special chars)
+// Normalized wine name comparison (remove year, case, accents, special chars),
+// with aliases and typos from the wine dictionary replaced by the canonical name
 export const normalizeWineName = (name) => {
-  return removeYear(name)
-    .toLowerCase()
-    .replace(/[^\w\s]/gi, '') // Remove special characters
-    .replace(/\s+/g, ' ')     // Normalize spaces
-    .trim();
+  return canonicalizeWineTerms(removeYear(name));
 };
 
 // Clean up wine title by removing periods that sometimes appear at the end
@@ -28,39 +26,3 @@ export const cleanWineTitle = (title) => {
 
 // Export the cleanText function from textUtils to maintain API compatibility
 export { cleanText };
-
-// Define common wine varieties for reference
-export const wineVarieties = [
-  "chardonnay", "cabernet", "cabernet sauvignon", "franc", "pinot", 
-  "noir", "pinot noir", "blaufränkisch", "blaufrankisch", "merlot", 
-  "riesling", "syrah", "sauvignon", "blanc", "sauvignon blanc",
-  "grüner veltliner", "gruner veltliner", "rosé", "rose",
-  "red blend", "white blend", "cabernet franc", "proceedo"
-];
-
-// Define common typo corrections
-export const typoCorrections = {
-  "chardonay": "chardonnay", 
-  "cabenet": "cabernet",
-  "savignon": "sauvignon",
-  "savingon": "sauvignon",
-  "reisling": "riesling",
-  "resling": "riesling",
-  "blafrankisch": "blaufrankisch",
-  "rose": "rosé",
-  "gruner": "grüner veltliner",
-  "gruener": "grüner veltliner"
-  // Removed the proceedo/prosecco correction to avoid changing the wine name
-};
-
-// Define related wine varieties for recommendations
-export const relatedVarieties = {
-  "riesling": ["grüner veltliner", "chardonnay", "white"],
-  "chardonnay": ["grüner veltliner", "white"],
-  "cabernet": ["red blend", "merlot", "red"],
-  "merlot": ["red blend", "cabernet", "red"],
-  "rosé": ["rose", "white blend"],
-  "pinot noir": ["red blend", "red"],
-  "syrah": ["red blend", "red"],
-  "proceedo": ["white", "rosé", "rose"] // Add proceedo relationships
-};
\ No newline at end of file
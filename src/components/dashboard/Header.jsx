@@ -1,6 +1,9 @@
 import React from 'react';
+import { useAuth } from '../../contexts/AuthContext';
 
 const Header = () => {
+    const { logout, user } = useAuth();
+
     return (
         <header className="bg-white shadow">
             <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -22,13 +25,20 @@ const Header = () => {
                             </svg>
                         </button>
 
+                        <button
+                            onClick={logout}
+                            className="ml-3 px-3 py-1 text-sm font-medium text-gray-700 rounded-md hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#5A3E00]"
+                        >
+                            Logout
+                        </button>
+
                         {/* Profile dropdown */}
                         <div className="ml-3 relative">
                             <div>
                                 <button className="flex text-sm rounded-full focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-[#5A3E00]">
                                     <span className="sr-only">Open user menu</span>
                                     <div className="h-8 w-8 rounded-full bg-[#5A3E00] flex items-center justify-center text-white">
-                                        <span className="text-sm font-medium">M</span>
+                                        <span className="text-sm font-medium">{user?.username?.charAt(0).toUpperCase() || 'M'}</span>
                                     </div>
                                 </button>
                             </div>
@@ -1,15 +1,18 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
 
 const Sidebar = () => {
     const location = useLocation();
+    const { hasRole } = useAuth();
 
     const navigation = [
-        { name: 'Overview', href: '/dashboard', icon: '📊' },
-        { name: 'Feedback', href: '/dashboard/feedback', icon: '💬' },
-        { name: 'Analytics', href: '/dashboard/analytics', icon: '📈' },
-        { name: 'Settings', href: '/dashboard/settings', icon: '⚙️' },
-    ];
+        { name: 'Overview', href: '/dashboard', icon: '📊', minRole: 'viewer' },
+        { name: 'Feedback', href: '/dashboard/feedback', icon: '💬', minRole: 'viewer' },
+        { name: 'Analytics', href: '/dashboard/analytics', icon: '📈', minRole: 'viewer' },
+        { name: 'Live', href: '/dashboard/live', icon: '🟢', minRole: 'viewer' },
+        { name: 'Settings', href: '/dashboard/settings', icon: '⚙️', minRole: 'manager' },
+    ].filter((item) => hasRole(item.minRole));
 
     return (
         <div className="hidden md:flex md:flex-shrink-0">
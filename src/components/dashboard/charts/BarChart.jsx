@@ -0,0 +1,47 @@
+import React from 'react';
+
+/**
+ * Simple vertical bar chart built from divs
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Data points
+ * @param {string} props.labelKey - Key holding each bar's label
+ * @param {string} props.valueKey - Key holding each bar's value
+ * @param {Function} props.formatValue - Formats values for tooltips and labels
+ * @param {number} props.height - Plot height in pixels
+ */
+const BarChart = ({ data = [], labelKey, valueKey, formatValue = (v) => v, height = 200 }) => {
+    if (data.length === 0) {
+        return <div className="py-12 text-center text-gray-500">No data for this period.</div>;
+    }
+
+    const maxValue = Math.max(...data.map((d) => d[valueKey] || 0), 1);
+
+    return (
+        <div>
+            <div className="flex items-end space-x-1" style={{ height }}>
+                {data.map((d) => {
+                    const value = d[valueKey] || 0;
+                    return (
+                        <div key={d[labelKey]} className="flex-1 flex flex-col items-center justify-end h-full">
+                            <span className="text-xs text-gray-500 mb-1">{formatValue(value)}</span>
+                            <div
+                                className="w-full bg-[#5A3E00] rounded-t hover:bg-[#715100]"
+                                style={{ height: `${(value / maxValue) * 100}%`, minHeight: value > 0 ? 2 : 0 }}
+                                title={`${d[labelKey]}: ${formatValue(value)}`}
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="flex space-x-1 mt-1">
+                {data.map((d) => (
+                    <div key={d[labelKey]} className="flex-1 text-center text-xs text-gray-500 truncate">
+                        {d[labelKey]}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default BarChart;
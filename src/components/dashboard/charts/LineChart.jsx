@@ -0,0 +1,67 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = 24;
+
+/**
+ * Simple SVG line chart
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Data points, in x order
+ * @param {string} props.labelKey - Key holding each point's label
+ * @param {string} props.valueKey - Key holding each point's value
+ * @param {number} props.minValue - Lower bound of the y axis (defaults to 0)
+ * @param {number} props.maxValue - Upper bound of the y axis (defaults to the data maximum)
+ * @param {Function} props.formatValue - Formats values for tooltips and axis labels
+ * @param {number} props.height - Plot height in pixels
+ */
+const LineChart = ({
+    data = [],
+    labelKey,
+    valueKey,
+    minValue = 0,
+    maxValue,
+    formatValue = (v) => v,
+    height = 200
+}) => {
+    if (data.length === 0) {
+        return <div className="py-12 text-center text-gray-500">No data for this period.</div>;
+    }
+
+    const top = maxValue !== undefined ? maxValue : Math.max(...data.map((d) => d[valueKey] || 0), minValue + 1);
+    const span = top - minValue || 1;
+    const step = data.length > 1 ? (WIDTH - PADDING * 2) / (data.length - 1) : 0;
+
+    const points = data.map((d, i) => ({
+        x: data.length > 1 ? PADDING + i * step : WIDTH / 2,
+        y: PADDING + (1 - ((d[valueKey] || 0) - minValue) / span) * (height - PADDING * 2),
+        label: d[labelKey],
+        value: d[valueKey] || 0
+    }));
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" style={{ height }}>
+                <line x1={PADDING} y1={height - PADDING} x2={WIDTH - PADDING} y2={height - PADDING} stroke="#E5E7EB" />
+                <text x={2} y={PADDING} fontSize="10" fill="#6B7280">{formatValue(top)}</text>
+                <text x={2} y={height - PADDING} fontSize="10" fill="#6B7280">{formatValue(minValue)}</text>
+                <polyline
+                    fill="none"
+                    stroke="#5A3E00"
+                    strokeWidth="2"
+                    points={points.map((p) => `${p.x},${p.y}`).join(' ')}
+                />
+                {points.map((p) => (
+                    <circle key={p.label} cx={p.x} cy={p.y} r="3" fill="#715100">
+                        <title>{`${p.label}: ${formatValue(p.value)}`}</title>
+                    </circle>
+                ))}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500">
+                <span>{data[0][labelKey]}</span>
+                {data.length > 1 && <span>{data[data.length - 1][labelKey]}</span>}
+            </div>
+        </div>
+    );
+};
+
+export default LineChart;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { apiService } from '../../../services/apiService';
+
+/**
+ * Find the rated message. Stored transcripts carry message IDs; older
+ * transcripts fall back to the last bot message sent at or before the
+ * feedback was submitted
+ * @param {Array} messages - Transcript messages
+ * @param {Object} feedback - Feedback record
+ * @returns {number} - Index of the rated message, or -1
+ */
+const findRatedMessageIndex = (messages, feedback) => {
+    const exactIndex = messages.findIndex((msg) => msg.messageId && msg.messageId === feedback.messageId);
+    if (exactIndex !== -1) {
+        return exactIndex;
+    }
+
+    const cutoff = new Date(feedback.timestamp).getTime();
+    let ratedIndex = -1;
+    messages.forEach((msg, index) => {
+        if (msg.role === 'bot' && new Date(msg.timestamp).getTime() <= cutoff) {
+            ratedIndex = index;
+        }
+    });
+    return ratedIndex;
+};
+
+/**
+ * Modal showing the full conversation around a rated message
+ * @param {Object} props - Component props
+ * @param {Object} props.feedback - Feedback record being inspected
+ * @param {Function} props.onClose - Closes the modal
+ */
+const ConversationModal = ({ feedback, onClose }) => {
+    const [messages, setMessages] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadConversation = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const data = await apiService.getFeedbackConversation(feedback.messageId);
+                if (!cancelled) {
+                    setMessages(data.messages || []);
+                }
+            } catch (err) {
+                if (!cancelled) {
+                    setError(err.message || 'Failed to load conversation');
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadConversation();
+        return () => {
+            cancelled = true;
+        };
+    }, [feedback.messageId]);
+
+    const ratedIndex = findRatedMessageIndex(messages, feedback);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[80vh] flex flex-col">
+                <div className="flex items-start justify-between px-6 py-4 border-b">
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-900">Conversation</h3>
+                        <p className="text-sm text-gray-500">
+                            Rated {feedback.rating}/5 on {new Date(feedback.timestamp).toLocaleString()}
+                        </p>
+                        {feedback.comment && (
+                            <p className="mt-1 text-sm text-gray-700 italic">“{feedback.comment}”</p>
+                        )}
+                        {feedback.sources?.length > 0 && (
+                            <div className="mt-2">
+                                <p className="text-xs font-medium text-gray-500 uppercase">Sources cited</p>
+                                <ul className="mt-1 space-y-1">
+                                    {feedback.sources.map((source, index) => (
+                                        <li key={index} className="text-sm">
+                                            {source.url ? (
+                                                <a
+                                                    href={source.url}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="text-[#5A3E00] underline"
+                                                >
+                                                    {source.title || source.url}
+                                                </a>
+                                            ) : (
+                                                <span className="text-gray-700">{source.title}</span>
+                                            )}
+                                            {source.snippet && (
+                                                <span className="block text-xs text-gray-500 truncate">{source.snippet}</span>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+                    {loading && <div className="text-gray-500">Loading conversation...</div>}
+                    {error && <div className="text-red-600">{error}</div>}
+                    {!loading && !error && messages.length === 0 && (
+                        <div className="text-gray-500">No transcript was recorded for this conversation.</div>
+                    )}
+                    {messages.map((msg, index) => (
+                        <div
+                            key={index}
+                            className={`p-3 rounded-lg ${
+                                msg.role === 'user'
+                                    ? 'bg-[#715100] text-white ml-12 text-right'
+                                    : 'bg-[#F9F4E9] text-[#5A3E00] mr-12'
+                            } ${index === ratedIndex ? 'ring-2 ring-amber-500' : ''}`}
+                        >
+                            {msg.role === 'staff' && (
+                                <div className="text-xs font-semibold mb-1">{msg.staffName} (staff)</div>
+                            )}
+                            <div className="whitespace-pre-wrap text-sm">{msg.content}</div>
+                            <div className="mt-1 text-xs opacity-70">
+                                {new Date(msg.timestamp).toLocaleTimeString()}
+                                {index === ratedIndex && ' · rated message'}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConversationModal;
@@ -0,0 +1,82 @@
+import React from 'react';
+
+/**
+ * Filter controls for the feedback table
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filter values ({ rating, tag, startDate, endDate })
+ * @param {Function} props.onChange - Called with the updated filters
+ * @param {Function} props.onReset - Clears all filters
+ */
+const FeedbackFilters = ({ filters, onChange, onReset }) => {
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        onChange({ ...filters, [name]: value });
+    };
+
+    return (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-5 items-end">
+            <div>
+                <label htmlFor="rating" className="block text-sm font-medium text-gray-700">Rating</label>
+                <select
+                    id="rating"
+                    name="rating"
+                    value={filters.rating}
+                    onChange={handleChange}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm"
+                >
+                    <option value="">All ratings</option>
+                    <option value="1,2">Negative (1–2)</option>
+                    <option value="3">Neutral (3)</option>
+                    <option value="4,5">Positive (4–5)</option>
+                    {[1, 2, 3, 4, 5].map((r) => (
+                        <option key={r} value={String(r)}>{r} star{r > 1 ? 's' : ''}</option>
+                    ))}
+                </select>
+            </div>
+            <div>
+                <label htmlFor="tag" className="block text-sm font-medium text-gray-700">Tag</label>
+                <input
+                    id="tag"
+                    name="tag"
+                    type="text"
+                    value={filters.tag}
+                    onChange={handleChange}
+                    placeholder="e.g. inaccurate"
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm"
+                />
+            </div>
+            <div>
+                <label htmlFor="startDate" className="block text-sm font-medium text-gray-700">From</label>
+                <input
+                    id="startDate"
+                    name="startDate"
+                    type="date"
+                    value={filters.startDate}
+                    onChange={handleChange}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm"
+                />
+            </div>
+            <div>
+                <label htmlFor="endDate" className="block text-sm font-medium text-gray-700">To</label>
+                <input
+                    id="endDate"
+                    name="endDate"
+                    type="date"
+                    value={filters.endDate}
+                    onChange={handleChange}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm"
+                />
+            </div>
+            <div>
+                <button
+                    onClick={onReset}
+                    className="w-full px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                    Clear filters
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default FeedbackFilters;
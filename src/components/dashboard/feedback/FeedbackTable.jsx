@@ -0,0 +1,94 @@
+import React from 'react';
+
+const columns = [
+    { key: 'timestamp', label: 'Date', sortable: true },
+    { key: 'rating', label: 'Rating', sortable: true },
+    { key: 'comment', label: 'Comment', sortable: false },
+    { key: 'tags', label: 'Tags', sortable: false }
+];
+
+/**
+ * Sortable table of submitted feedback
+ * @param {Object} props - Component props
+ * @param {Array} props.feedback - Feedback records
+ * @param {string} props.sortBy - Column currently sorted on
+ * @param {string} props.sortOrder - 'asc' or 'desc'
+ * @param {Function} props.onSort - Called with the column key to sort by
+ * @param {Function} props.onSelect - Called with a feedback record when a row is opened
+ */
+const FeedbackTable = ({ feedback, sortBy, sortOrder, onSort, onSelect }) => {
+    if (feedback.length === 0) {
+        return (
+            <div className="py-12 text-center text-gray-500">
+                No feedback matches these filters.
+            </div>
+        );
+    }
+
+    return (
+        <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+                <tr>
+                    {columns.map((column) => (
+                        <th
+                            key={column.key}
+                            scope="col"
+                            className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                        >
+                            {column.sortable ? (
+                                <button
+                                    onClick={() => onSort(column.key)}
+                                    className="inline-flex items-center uppercase hover:text-gray-700"
+                                >
+                                    {column.label}
+                                    {sortBy === column.key && (
+                                        <span className="ml-1">{sortOrder === 'asc' ? '▲' : '▼'}</span>
+                                    )}
+                                </button>
+                            ) : (
+                                column.label
+                            )}
+                        </th>
+                    ))}
+                    <th scope="col" className="px-4 py-3" />
+                </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+                {feedback.map((item) => (
+                    <tr key={item.messageId} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                            {new Date(item.timestamp).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm">
+                            <span className={item.rating <= 2 ? 'text-red-600' : item.rating >= 4 ? 'text-green-700' : 'text-gray-700'}>
+                                {'★'.repeat(item.rating)}{'☆'.repeat(5 - item.rating)}
+                            </span>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900 max-w-md truncate" title={item.comment}>
+                            {item.comment || <span className="text-gray-400">—</span>}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                            <div className="flex flex-wrap gap-1">
+                                {(item.tags || []).map((tag) => (
+                                    <span key={tag} className="px-2 py-0.5 rounded-full bg-[#F9F4E9] text-[#5A3E00] text-xs">
+                                        {tag}
+                                    </span>
+                                ))}
+                            </div>
+                        </td>
+                        <td className="px-4 py-3 text-right text-sm">
+                            <button
+                                onClick={() => onSelect(item)}
+                                className="text-[#5A3E00] hover:underline"
+                            >
+                                View conversation
+                            </button>
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+export default FeedbackTable;
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef } from 'react';
+import TakeoverControls from './TakeoverControls';
+
+const TROUBLE_MESSAGE = "I'm having trouble processing your request";
+
+const BUBBLE_CLASSES = {
+    user: 'bg-[#715100] text-white ml-12 text-right',
+    staff: 'bg-white border border-[#715100] text-[#5A3E00] mr-12',
+    bot: 'bg-[#F9F4E9] text-[#5A3E00] mr-12',
+};
+
+/**
+ * Real-time transcript of one chat session
+ * @param {Object} props - Component props
+ * @param {Object} props.session - Session summary
+ * @param {Array} props.messages - Transcript messages
+ * @param {boolean} props.loading - Whether the transcript is loading
+ * @param {string|null} props.error - Load error
+ * @param {string} props.currentUserId - Logged-in staff user ID
+ * @param {boolean} props.canTakeOver - Whether the staff user may take over chats
+ */
+const LiveTranscript = ({ session, messages, loading, error, currentUserId, canTakeOver }) => {
+    const bottomRef = useRef(null);
+
+    useEffect(() => {
+        bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [messages.length]);
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="px-6 py-4 border-b">
+                <h3 className="text-lg font-semibold text-gray-900 truncate">{session.sessionId}</h3>
+                <p className="text-sm text-gray-500">
+                    Started {new Date(session.startedAt).toLocaleTimeString()}
+                    {' · '}
+                    {session.connected ? 'Guest is online' : 'Guest disconnected'}
+                </p>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+                {loading && <div className="text-gray-500">Loading transcript...</div>}
+                {error && <div className="text-red-600">{error}</div>}
+                {messages.map((msg, index) => {
+                    const isTrouble = msg.role === 'bot' && msg.content.includes(TROUBLE_MESSAGE);
+                    return (
+                        <div
+                            key={index}
+                            className={`p-3 rounded-lg ${BUBBLE_CLASSES[msg.role] || BUBBLE_CLASSES.bot} ${
+                                isTrouble ? 'ring-2 ring-red-500' : ''
+                            }`}
+                        >
+                            {msg.role === 'staff' && (
+                                <div className="text-xs font-semibold text-[#715100] mb-1">{msg.staffName}</div>
+                            )}
+                            <div className="whitespace-pre-wrap text-sm">{msg.content}</div>
+                            <div className="mt-1 text-xs opacity-70">
+                                {new Date(msg.timestamp).toLocaleTimeString()}
+                            </div>
+                        </div>
+                    );
+                })}
+                <div ref={bottomRef} />
+            </div>
+
+            <TakeoverControls session={session} currentUserId={currentUserId} canTakeOver={canTakeOver} />
+        </div>
+    );
+};
+
+export default LiveTranscript;
@@ -0,0 +1,62 @@
+import React from 'react';
+
+/**
+ * List of active chat sessions, most recently active first.
+ * Sessions where the bot reported trouble are highlighted.
+ * @param {Object} props - Component props
+ * @param {Array} props.sessions - Session summaries
+ * @param {string|null} props.selectedId - Selected session ID
+ * @param {Function} props.onSelect - Called with a session ID
+ */
+const SessionList = ({ sessions, selectedId, onSelect }) => {
+    if (sessions.length === 0) {
+        return <div className="p-4 text-sm text-gray-500">No active conversations.</div>;
+    }
+
+    return (
+        <ul className="divide-y divide-gray-200">
+            {sessions.map((session) => (
+                <li key={session.sessionId}>
+                    <button
+                        onClick={() => onSelect(session.sessionId)}
+                        className={`w-full text-left px-4 py-3 hover:bg-[#F9F4E9] ${
+                            session.sessionId === selectedId ? 'bg-[#F9F4E9]' : ''
+                        } ${session.flagged ? 'border-l-4 border-red-500' : 'border-l-4 border-transparent'}`}
+                    >
+                        <div className="flex items-center justify-between">
+                            <span className="text-sm font-medium text-gray-900 truncate">
+                                {session.sessionId}
+                            </span>
+                            <span
+                                className={`ml-2 h-2 w-2 rounded-full flex-shrink-0 ${
+                                    session.connected ? 'bg-green-500' : 'bg-gray-300'
+                                }`}
+                                title={session.connected ? 'Connected' : 'Disconnected'}
+                            />
+                        </div>
+                        <div className="mt-1 text-xs text-gray-500">
+                            {session.messageCount} messages · last active{' '}
+                            {new Date(session.lastActivityAt).toLocaleTimeString()}
+                        </div>
+                        {session.lastMessage && (
+                            <div className="mt-1 text-xs text-gray-600 truncate">
+                                {session.lastMessage.role === 'user' ? 'Guest: ' : 'Bot: '}
+                                {session.lastMessage.content}
+                            </div>
+                        )}
+                        {session.takenOverBy && (
+                            <div className="mt-1 text-xs font-medium text-[#715100]">
+                                Handled by {session.takenOverBy.username}
+                            </div>
+                        )}
+                        {session.flagged && (
+                            <div className="mt-1 text-xs font-medium text-red-600">Bot had trouble answering</div>
+                        )}
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default SessionList;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import liveMonitorService from '../../../services/liveMonitorService';
+
+/**
+ * Controls for taking over a live chat, replying as staff and handing it back to the bot
+ * @param {Object} props - Component props
+ * @param {Object} props.session - Session summary
+ * @param {string} props.currentUserId - Logged-in staff user ID
+ * @param {boolean} props.canTakeOver - Whether the staff user's role allows takeovers
+ */
+const TakeoverControls = ({ session, currentUserId, canTakeOver }) => {
+    const [draft, setDraft] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const { takenOverBy } = session;
+    const isMine = takenOverBy?.id === currentUserId;
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message || 'Request failed');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSend = (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        run(async () => {
+            await liveMonitorService.sendStaffMessage(session.sessionId, draft);
+            setDraft('');
+        });
+    };
+
+    if (takenOverBy && !isMine) {
+        return (
+            <div className="px-6 py-3 border-t text-sm text-gray-600">
+                {takenOverBy.username} is handling this chat.
+            </div>
+        );
+    }
+
+    if (!isMine) {
+        if (!canTakeOver) return null;
+        return (
+            <div className="px-6 py-3 border-t flex items-center justify-between">
+                <span className="text-sm text-gray-600">The bot is answering this guest.</span>
+                <div className="flex items-center space-x-3">
+                    {error && <span className="text-sm text-red-600">{error}</span>}
+                    <button
+                        onClick={() => run(() => liveMonitorService.startTakeover(session.sessionId))}
+                        disabled={busy || !session.connected}
+                        className="px-4 py-2 text-sm font-medium text-white bg-[#5A3E00] rounded-md hover:bg-[#3D2900] disabled:opacity-50"
+                    >
+                        Take over
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleSend} className="px-6 py-3 border-t space-y-2">
+            <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-[#5A3E00]">You are replying to this guest. The bot is paused.</span>
+                <button
+                    type="button"
+                    onClick={() => run(() => liveMonitorService.endTakeover(session.sessionId))}
+                    disabled={busy}
+                    className="px-3 py-1 text-sm text-[#5A3E00] border border-[#5A3E00] rounded-md hover:bg-[#F9F4E9] disabled:opacity-50"
+                >
+                    Hand back to bot
+                </button>
+            </div>
+            <div className="flex space-x-2">
+                <input
+                    type="text"
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Type a reply..."
+                    className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm"
+                />
+                <button
+                    type="submit"
+                    disabled={busy || !draft.trim()}
+                    className="px-4 py-2 text-sm font-medium text-white bg-[#5A3E00] rounded-md hover:bg-[#3D2900] disabled:opacity-50"
+                >
+                    Send
+                </button>
+            </div>
+            {error && <div className="text-sm text-red-600">{error}</div>}
+        </form>
+    );
+};
+
+export default TakeoverControls;
@@ -0,0 +1,142 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiService } from '../../../services/apiService';
+import { DEFAULT_WINE_DICTIONARY, compileWineDictionary } from '../../chat/utils/wineDictionary';
+
+const toJson = (terms) => JSON.stringify(terms, null, 2);
+
+/**
+ * Edit the wine dictionary behind the chat widget's wine matching: names,
+ * aliases, typo corrections, related varieties, colors and search boosts.
+ * Terms are edited as JSON; saves carry the version they started from so a
+ * concurrent edit is reported instead of overwritten.
+ */
+const WineDictionaryEditor = () => {
+    const [text, setText] = useState('');
+    const [baseVersion, setBaseVersion] = useState(null);
+    const [lastUpdated, setLastUpdated] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const showDictionary = useCallback((dictionary) => {
+        const source = dictionary || DEFAULT_WINE_DICTIONARY;
+        setText(toJson(source.terms));
+        setBaseVersion(source.version);
+        setLastUpdated(dictionary ? { at: dictionary.updatedAt, by: dictionary.updatedBy } : null);
+    }, []);
+
+    const loadDictionary = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        setMessage(null);
+        try {
+            showDictionary(await apiService.getWineDictionary());
+        } catch (err) {
+            console.error('Error loading wine dictionary:', err);
+            setError(err.message || 'Failed to load wine dictionary');
+        } finally {
+            setLoading(false);
+        }
+    }, [showDictionary]);
+
+    useEffect(() => {
+        loadDictionary();
+    }, [loadDictionary]);
+
+    const handleSave = async () => {
+        setError(null);
+        setMessage(null);
+
+        let terms;
+        try {
+            terms = JSON.parse(text);
+        } catch (err) {
+            setError(`The dictionary is not valid JSON: ${err.message}`);
+            return;
+        }
+        if (!Array.isArray(terms)) {
+            setError('The dictionary must be a JSON list of terms.');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const saved = await apiService.updateWineDictionary(baseVersion, terms);
+            showDictionary(saved);
+            const { names } = compileWineDictionary(saved);
+            setMessage(`Saved version ${saved.version} with ${names.length} names. The chat widget will use it on its next page load.`);
+        } catch (err) {
+            console.error('Error saving wine dictionary:', err);
+            setError(err.message || 'Failed to save wine dictionary');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const resetToBundled = () => {
+        setText(toJson(DEFAULT_WINE_DICTIONARY.terms));
+        setMessage('Loaded the dictionary that ships with the widget. Save to use it.');
+        setError(null);
+    };
+
+    return (
+        <div className="bg-white shadow rounded-lg p-6 space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-lg font-medium text-gray-900">Wine dictionary</h2>
+                    <p className="text-sm text-gray-500">
+                        {lastUpdated
+                            ? `Version ${baseVersion}, updated ${new Date(lastUpdated.at).toLocaleString()}${lastUpdated.by ? ` by ${lastUpdated.by}` : ''}`
+                            : 'Using the dictionary bundled with the widget'}
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        type="button"
+                        onClick={resetToBundled}
+                        disabled={loading || saving}
+                        className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Reset to bundled
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={loading || saving}
+                        className="px-3 py-1 text-sm font-medium text-white bg-[#5A3E00] rounded-md hover:bg-[#3D2900] disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save dictionary'}
+                    </button>
+                </div>
+            </div>
+            <p className="text-sm text-gray-500">
+                Each term has a <code>name</code>, a <code>type</code> (<code>variety</code> or <code>line</code> for
+                product lines such as Proceedo), and optional <code>aliases</code>, <code>typos</code>,{' '}
+                <code>related</code> varieties, a <code>color</code> (red, white or rose) and a search <code>boost</code>.
+                New wine names only need a term here.
+            </p>
+
+            {error && <div className="bg-red-50 text-red-700 rounded-md p-4 text-sm">{error}</div>}
+            {message && <div className="bg-green-50 text-green-700 rounded-md p-4 text-sm">{message}</div>}
+
+            {loading ? (
+                <div className="py-6 text-center text-gray-500">Loading wine dictionary...</div>
+            ) : (
+                <textarea
+                    aria-label="Wine dictionary terms"
+                    rows="20"
+                    spellCheck="false"
+                    value={text}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        setMessage(null);
+                    }}
+                    className="block w-full rounded-md border-gray-300 shadow-sm font-mono text-xs focus:border-[#5A3E00] focus:ring-[#5A3E00]"
+                />
+            )}
+        </div>
+    );
+};
+
+export default WineDictionaryEditor;
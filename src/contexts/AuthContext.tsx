@@ -1,46 +1,60 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { apiService } from '../services/apiService';
+
+export type StaffRole = 'viewer' | 'manager' | 'admin';
+
+export interface StaffUser {
+  id: string;
+  username: string;
+  role: StaffRole;
+}
+
+// Roles in increasing order of privilege (mirrors the backend)
+const ROLES: StaffRole[] = ['viewer', 'manager', 'admin'];
 
 interface AuthContextType {
   isAuthenticated: boolean;
+  user: StaffUser | null;
   login: (username: string, password: string) => Promise<boolean>;
   logout: () => void;
+  hasRole: (minimumRole: StaffRole) => boolean;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
-  const [isAuthenticated, setIsAuthenticated] = useState<boolean>(false);
+  const [user, setUser] = useState<StaffUser | null>(() =>
+    apiService.hasStaffSession() ? apiService.getStaffUser() : null
+  );
+
+  const logout = useCallback(() => {
+    apiService.staffLogout();
+    setUser(null);
+  }, []);
 
   useEffect(() => {
-    // Check if user is already authenticated (e.g., check local storage for token)
-    const token = localStorage.getItem('auth_token');
-    if (token) {
-      setIsAuthenticated(true);
-    }
+    // The API service clears the session when a token refresh fails
+    const handleExpired = () => setUser(null);
+    window.addEventListener('staff-session-expired', handleExpired);
+    return () => window.removeEventListener('staff-session-expired', handleExpired);
   }, []);
 
   const login = async (username: string, password: string): Promise<boolean> => {
     try {
-      // TODO: Replace with actual API call
-      if (username === 'admin' && password === 'password') {
-        localStorage.setItem('auth_token', 'dummy_token');
-        setIsAuthenticated(true);
-        return true;
-      }
-      return false;
+      const staffUser = await apiService.staffLogin(username, password);
+      setUser(staffUser as StaffUser);
+      return true;
     } catch (error) {
       console.error('Login error:', error);
       return false;
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('auth_token');
-    setIsAuthenticated(false);
-  };
+  const hasRole = (minimumRole: StaffRole): boolean =>
+    user !== null && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
 
   return (
-    <AuthContext.Provider value={{ isAuthenticated, login, logout }}>
+    <AuthContext.Provider value={{ isAuthenticated: user !== null, user, login, logout, hasRole }}>
       {children}
     </AuthContext.Provider>
   );
@@ -54,4 +68,4 @@ export const useAuth = () => {
   return context;
 };
 
-export default AuthContext; 
\ No newline at end of file
+export default AuthContext;
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import BarChart from '../components/dashboard/charts/BarChart';
+import LineChart from '../components/dashboard/charts/LineChart';
+import { apiService } from '../services/apiService';
+
+const RANGE_OPTIONS = [
+    { days: 7, label: 'Last 7 days' },
+    { days: 30, label: 'Last 30 days' },
+    { days: 90, label: 'Last 90 days' }
+];
+
+const INTENT_LABELS = {
+    sms: 'SMS',
+    reservation: 'Reservation',
+    referral: 'Referral',
+    club: 'Wine club',
+    rag: 'General (RAG)',
+    account: 'Account',
+    mailing_list: 'Mailing list',
+    logout: 'Logout'
+};
+
+/**
+ * Format a session duration reported in milliseconds
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "3m 12s"
+ */
+const formatDuration = (ms) => {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+};
+
+const StatCard = ({ label, value }) => (
+    <div className="bg-white shadow rounded-lg p-5">
+        <dt className="text-sm font-medium text-gray-500">{label}</dt>
+        <dd className="mt-1 text-2xl font-semibold text-gray-900">{value}</dd>
+    </div>
+);
+
+const ChartCard = ({ title, children }) => (
+    <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-4">{title}</h2>
+        {children}
+    </div>
+);
+
+const Analytics = () => {
+    const [rangeDays, setRangeDays] = useState(30);
+    const [summary, setSummary] = useState(null);
+    const [dailySessions, setDailySessions] = useState([]);
+    const [messagesHistogram, setMessagesHistogram] = useState([]);
+    const [intents, setIntents] = useState([]);
+    const [feedbackTrends, setFeedbackTrends] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadAnalytics = async () => {
+            setLoading(true);
+            setError(null);
+
+            const startDate = new Date();
+            startDate.setDate(startDate.getDate() - rangeDays);
+            const params = { startDate: startDate.toISOString() };
+
+            try {
+                const [summaryData, days, histogram, intentData, trends] = await Promise.all([
+                    apiService.getAnalyticsSummary(params),
+                    apiService.getDailySessions(params),
+                    apiService.getMessagesPerSession(params),
+                    apiService.getIntentDistribution(params),
+                    apiService.getFeedbackTrends(params)
+                ]);
+
+                if (!cancelled) {
+                    setSummary(summaryData);
+                    setDailySessions(days);
+                    setMessagesHistogram(histogram);
+                    setIntents(intentData);
+                    setFeedbackTrends(trends);
+                }
+            } catch (err) {
+                console.error('Error loading analytics:', err);
+                if (!cancelled) {
+                    setError(err.message || 'Failed to load analytics');
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadAnalytics();
+        return () => {
+            cancelled = true;
+        };
+    }, [rangeDays]);
+
+    const totalIntents = intents.reduce((sum, item) => sum + item.count, 0);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <h1 className="text-2xl font-semibold text-gray-900">Analytics</h1>
+                <select
+                    value={rangeDays}
+                    onChange={(e) => setRangeDays(Number(e.target.value))}
+                    className="rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm"
+                >
+                    {RANGE_OPTIONS.map((option) => (
+                        <option key={option.days} value={option.days}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+
+            {loading && !summary ? (
+                <div className="py-12 text-center text-gray-500">Loading analytics...</div>
+            ) : summary && (
+                <>
+                    <dl className="grid grid-cols-1 gap-5 sm:grid-cols-4">
+                        <StatCard label="Sessions" value={summary.totalSessions} />
+                        <StatCard label="Average duration" value={formatDuration(summary.averageDuration)} />
+                        <StatCard label="Messages per session" value={summary.averageMessagesPerSession.toFixed(1)} />
+                        <StatCard label="Total messages" value={summary.totalMessages} />
+                    </dl>
+
+                    <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+                        <ChartCard title="Sessions per day">
+                            <BarChart data={dailySessions} labelKey="date" valueKey="sessions" />
+                        </ChartCard>
+
+                        <ChartCard title="Median session duration">
+                            <LineChart
+                                data={dailySessions}
+                                labelKey="date"
+                                valueKey="medianDuration"
+                                formatValue={formatDuration}
+                            />
+                        </ChartCard>
+
+                        <ChartCard title="Messages per session">
+                            <BarChart data={messagesHistogram} labelKey="label" valueKey="sessions" />
+                        </ChartCard>
+
+                        <ChartCard title="Intent distribution">
+                            {intents.length === 0 ? (
+                                <div className="py-12 text-center text-gray-500">No data for this period.</div>
+                            ) : (
+                                <ul className="space-y-3">
+                                    {intents.map((item) => {
+                                        const share = totalIntents > 0 ? (item.count / totalIntents) * 100 : 0;
+                                        return (
+                                            <li key={item.intent}>
+                                                <div className="flex justify-between text-sm text-gray-700">
+                                                    <span>{INTENT_LABELS[item.intent] || item.intent}</span>
+                                                    <span>{item.count} ({share.toFixed(0)}%)</span>
+                                                </div>
+                                                <div className="mt-1 h-2 bg-gray-100 rounded">
+                                                    <div className="h-2 bg-[#5A3E00] rounded" style={{ width: `${share}%` }} />
+                                                </div>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            )}
+                        </ChartCard>
+
+                        <ChartCard title="Average feedback rating">
+                            <LineChart
+                                data={feedbackTrends}
+                                labelKey="date"
+                                valueKey="averageRating"
+                                minValue={1}
+                                maxValue={5}
+                                formatValue={(v) => v.toFixed(1)}
+                            />
+                        </ChartCard>
+
+                        <ChartCard title="Feedback submitted per day">
+                            <BarChart data={feedbackTrends} labelKey="date" valueKey="count" />
+                        </ChartCard>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default Analytics;
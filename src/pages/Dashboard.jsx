@@ -1,17 +1,41 @@
 import React from 'react';
+import { Routes, Route, Navigate } from 'react-router-dom';
 import DashboardLayout from '../components/dashboard/DashboardLayout';
+import { useAuth } from '../contexts/AuthContext';
+import Feedback from './Feedback';
+import Analytics from './Analytics';
+import Live from './Live';
+import Settings from './Settings';
+
+const Overview = () => {
+    return (
+        <div className="bg-white shadow rounded-lg p-6">
+            <h1 className="text-2xl font-semibold text-gray-900">Welcome to Milea Dashboard</h1>
+            <p className="mt-2 text-gray-600">
+                This is your central hub for managing feedback, analytics, and settings.
+            </p>
+        </div>
+    );
+};
 
 const Dashboard = () => {
+    const { hasRole } = useAuth();
+
     return (
         <DashboardLayout>
-            <div className="bg-white shadow rounded-lg p-6">
-                <h1 className="text-2xl font-semibold text-gray-900">Welcome to Milea Dashboard</h1>
-                <p className="mt-2 text-gray-600">
-                    This is your central hub for managing feedback, analytics, and settings.
-                </p>
-            </div>
+            <Routes>
+                <Route index element={<Overview />} />
+                <Route path="feedback" element={<Feedback />} />
+                <Route path="analytics" element={<Analytics />} />
+                <Route path="live" element={<Live />} />
+                <Route
+                    path="settings"
+                    element={hasRole('manager') ? <Settings /> : <Navigate to="/dashboard" replace />}
+                />
+                <Route path="*" element={<Navigate to="/dashboard" replace />} />
+            </Routes>
         </DashboardLayout>
     );
 };
 
-export default Dashboard; 
\ No newline at end of file
+export default Dashboard;
@@ -0,0 +1,172 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import FeedbackFilters from '../components/dashboard/feedback/FeedbackFilters';
+import FeedbackTable from '../components/dashboard/feedback/FeedbackTable';
+import ConversationModal from '../components/dashboard/feedback/ConversationModal';
+import { apiService } from '../services/apiService';
+import { useAuth } from '../contexts/AuthContext';
+
+const PAGE_SIZE = 20;
+
+const emptyFilters = { rating: '', tag: '', startDate: '', endDate: '' };
+
+/**
+ * Convert the filter form values into API query parameters.
+ * Date inputs are whole days, so the end date covers the full day.
+ * @param {Object} filters - Filter form values
+ * @returns {Object} - Query parameters
+ */
+const toQueryParams = (filters) => {
+    const params = {};
+    if (filters.rating) params.rating = filters.rating;
+    if (filters.tag.trim()) params.tag = filters.tag.trim();
+    if (filters.startDate) params.startDate = new Date(`${filters.startDate}T00:00:00`).toISOString();
+    if (filters.endDate) params.endDate = new Date(`${filters.endDate}T23:59:59.999`).toISOString();
+    return params;
+};
+
+const Feedback = () => {
+    const { hasRole } = useAuth();
+    const [filters, setFilters] = useState(emptyFilters);
+    const [sortBy, setSortBy] = useState('timestamp');
+    const [sortOrder, setSortOrder] = useState('desc');
+    const [page, setPage] = useState(1);
+    const [feedback, setFeedback] = useState([]);
+    const [pagination, setPagination] = useState({ total: 0, pages: 0 });
+    const [loading, setLoading] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(null);
+
+    const loadFeedback = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await apiService.getFeedback({
+                ...toQueryParams(filters),
+                page,
+                limit: PAGE_SIZE,
+                sortBy,
+                sortOrder
+            });
+            setFeedback(data.feedback || []);
+            setPagination(data.pagination || { total: 0, pages: 0 });
+        } catch (err) {
+            console.error('Error loading feedback:', err);
+            setError(err.message || 'Failed to load feedback');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, page, sortBy, sortOrder]);
+
+    useEffect(() => {
+        loadFeedback();
+    }, [loadFeedback]);
+
+    const handleFiltersChange = (nextFilters) => {
+        setFilters(nextFilters);
+        setPage(1);
+    };
+
+    const handleSort = (column) => {
+        if (column === sortBy) {
+            setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+        } else {
+            setSortBy(column);
+            setSortOrder('desc');
+        }
+        setPage(1);
+    };
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const blob = await apiService.exportFeedbackCsv(toQueryParams(filters));
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `feedback-${new Date().toISOString().slice(0, 10)}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error exporting feedback:', err);
+            setError(err.message || 'Failed to export feedback');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <h1 className="text-2xl font-semibold text-gray-900">Feedback</h1>
+                {hasRole('manager') && (
+                    <button
+                        onClick={handleExport}
+                        disabled={exporting || pagination.total === 0}
+                        className="px-4 py-2 text-sm font-medium text-white bg-[#5A3E00] rounded-md hover:bg-[#3D2900] disabled:opacity-50"
+                    >
+                        {exporting ? 'Exporting...' : 'Export CSV'}
+                    </button>
+                )}
+            </div>
+
+            <div className="bg-white shadow rounded-lg p-6">
+                <FeedbackFilters
+                    filters={filters}
+                    onChange={handleFiltersChange}
+                    onReset={() => handleFiltersChange(emptyFilters)}
+                />
+            </div>
+
+            {error && (
+                <div className="bg-red-50 text-red-700 rounded-md p-4 text-sm">{error}</div>
+            )}
+
+            <div className="bg-white shadow rounded-lg overflow-x-auto">
+                {loading ? (
+                    <div className="py-12 text-center text-gray-500">Loading feedback...</div>
+                ) : (
+                    <FeedbackTable
+                        feedback={feedback}
+                        sortBy={sortBy}
+                        sortOrder={sortOrder}
+                        onSort={handleSort}
+                        onSelect={setSelected}
+                    />
+                )}
+            </div>
+
+            {pagination.pages > 1 && (
+                <div className="flex items-center justify-between text-sm text-gray-600">
+                    <span>
+                        Page {page} of {pagination.pages} · {pagination.total} results
+                    </span>
+                    <div className="space-x-2">
+                        <button
+                            onClick={() => setPage(page - 1)}
+                            disabled={page <= 1 || loading}
+                            className="px-3 py-1 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <button
+                            onClick={() => setPage(page + 1)}
+                            disabled={page >= pagination.pages || loading}
+                            className="px-3 py-1 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {selected && (
+                <ConversationModal feedback={selected} onClose={() => setSelected(null)} />
+            )}
+        </div>
+    );
+};
+
+export default Feedback;
@@ -0,0 +1,125 @@
+import React, { useEffect, useRef, useState } from 'react';
+import SessionList from '../components/dashboard/live/SessionList';
+import LiveTranscript from '../components/dashboard/live/LiveTranscript';
+import liveMonitorService from '../services/liveMonitorService';
+import { useAuth } from '../contexts/AuthContext';
+
+const STATUS_LABELS = {
+    connecting: 'Connecting...',
+    connected: 'Live',
+    disconnected: 'Reconnecting...',
+    unauthorized: 'Not authorized',
+};
+
+const Live = () => {
+    const { user, hasRole } = useAuth();
+    const [sessions, setSessions] = useState({});
+    const [status, setStatus] = useState('connecting');
+    const [selectedId, setSelectedId] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const selectedRef = useRef(null);
+
+    useEffect(() => {
+        liveMonitorService.connect({
+            onStatusChange: setStatus,
+            onSessions: (list) => {
+                setSessions(Object.fromEntries(list.map((session) => [session.sessionId, session])));
+            },
+            onSessionUpdate: (session) => {
+                setSessions((prev) => ({ ...prev, [session.sessionId]: session }));
+            },
+            onMessage: ({ sessionId, message }) => {
+                if (sessionId === selectedRef.current) {
+                    setMessages((prev) => [...prev, message]);
+                }
+            },
+            onSessionEnded: ({ sessionId }) => {
+                setSessions((prev) => {
+                    const { [sessionId]: ended, ...rest } = prev;
+                    return rest;
+                });
+            },
+        });
+
+        return () => {
+            liveMonitorService.disconnect();
+        };
+    }, []);
+
+    const handleSelect = async (sessionId) => {
+        selectedRef.current = sessionId;
+        setSelectedId(sessionId);
+        setMessages([]);
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await liveMonitorService.getTranscript(sessionId);
+            if (selectedRef.current === sessionId) {
+                setMessages(result.messages);
+            }
+        } catch (err) {
+            if (selectedRef.current === sessionId) {
+                setError(err.message || 'Failed to load transcript');
+            }
+        } finally {
+            if (selectedRef.current === sessionId) {
+                setLoading(false);
+            }
+        }
+    };
+
+    const sortedSessions = Object.values(sessions).sort(
+        (a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt)
+    );
+    const selectedSession = selectedId ? sessions[selectedId] : null;
+    const flaggedCount = sortedSessions.filter((session) => session.flagged).length;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h1 className="text-2xl font-semibold text-gray-900">Live Conversations</h1>
+                    <p className="text-sm text-gray-500">
+                        {sortedSessions.length} active
+                        {flaggedCount > 0 && (
+                            <span className="text-red-600"> · {flaggedCount} need attention</span>
+                        )}
+                    </p>
+                </div>
+                <span
+                    className={`px-3 py-1 text-xs font-medium rounded-full ${
+                        status === 'connected' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                    }`}
+                >
+                    {STATUS_LABELS[status]}
+                </span>
+            </div>
+
+            <div className="bg-white shadow rounded-lg flex h-[70vh] overflow-hidden">
+                <div className="w-80 border-r overflow-y-auto">
+                    <SessionList sessions={sortedSessions} selectedId={selectedId} onSelect={handleSelect} />
+                </div>
+                <div className="flex-1">
+                    {selectedSession ? (
+                        <LiveTranscript
+                            session={selectedSession}
+                            messages={messages}
+                            loading={loading}
+                            error={error}
+                            currentUserId={user?.id}
+                            canTakeOver={hasRole('manager')}
+                        />
+                    ) : (
+                        <div className="h-full flex items-center justify-center text-gray-500">
+                            {selectedId ? 'This conversation has ended.' : 'Select a conversation to follow it live.'}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Live;
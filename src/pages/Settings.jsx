@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from 'react';
+import { apiService } from '../services/apiService';
+import { mergeChatSettings } from '../components/chat/utils/defaultSettings';
+import WineDictionaryEditor from '../components/dashboard/settings/WineDictionaryEditor';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-[#5A3E00] focus:ring-[#5A3E00] sm:text-sm';
+
+const Settings = () => {
+    const [form, setForm] = useState(null);
+    const [lastUpdated, setLastUpdated] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        const loadSettings = async () => {
+            try {
+                const stored = await apiService.getChatSettings();
+                setForm(mergeChatSettings(stored));
+                setLastUpdated(stored.updatedAt ? { at: stored.updatedAt, by: stored.updatedBy } : null);
+            } catch (err) {
+                console.error('Error loading settings:', err);
+                setError(err.message || 'Failed to load settings');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadSettings();
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm({ ...form, [name]: value });
+        setMessage(null);
+    };
+
+    const handleClubChange = (index, field, value) => {
+        const clubs = form.clubs.map((club, i) => (i === index ? { ...club, [field]: value } : club));
+        setForm({ ...form, clubs });
+        setMessage(null);
+    };
+
+    const addClub = () => {
+        setForm({ ...form, clubs: [...form.clubs, { id: '', name: '', description: '' }] });
+    };
+
+    const removeClub = (index) => {
+        setForm({ ...form, clubs: form.clubs.filter((_, i) => i !== index) });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        setMessage(null);
+
+        try {
+            const saved = await apiService.updateChatSettings({
+                greeting: form.greeting,
+                reservationUrl: form.reservationUrl,
+                milesPortalUrl: form.milesPortalUrl,
+                clubs: form.clubs,
+                contextTurns: Number(form.contextTurns),
+                contextTokenBudget: Number(form.contextTokenBudget)
+            });
+            setForm(mergeChatSettings(saved));
+            setLastUpdated(saved.updatedAt ? { at: saved.updatedAt, by: saved.updatedBy } : null);
+            setMessage('Settings saved. The chat widget will use them on its next page load.');
+        } catch (err) {
+            console.error('Error saving settings:', err);
+            setError(err.message || 'Failed to save settings');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return <div className="py-12 text-center text-gray-500">Loading settings...</div>;
+    }
+
+    if (!form) {
+        return <div className="bg-red-50 text-red-700 rounded-md p-4 text-sm">{error}</div>;
+    }
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleSubmit} className="space-y-6">
+                <div className="flex items-center justify-between">
+                    <div>
+                        <h1 className="text-2xl font-semibold text-gray-900">Settings</h1>
+                        {lastUpdated && (
+                            <p className="text-sm text-gray-500">
+                                Last updated {new Date(lastUpdated.at).toLocaleString()}
+                                {lastUpdated.by && ` by ${lastUpdated.by}`}
+                            </p>
+                        )}
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={saving}
+                        className="px-4 py-2 text-sm font-medium text-white bg-[#5A3E00] rounded-md hover:bg-[#3D2900] disabled:opacity-50"
+                    >
+                        {saving ? 'Saving...' : 'Save changes'}
+                    </button>
+                </div>
+
+                {error && <div className="bg-red-50 text-red-700 rounded-md p-4 text-sm">{error}</div>}
+                {message && <div className="bg-green-50 text-green-700 rounded-md p-4 text-sm">{message}</div>}
+
+                <div className="bg-white shadow rounded-lg p-6 space-y-4">
+                    <h2 className="text-lg font-medium text-gray-900">Chat widget</h2>
+                    <div>
+                        <label htmlFor="greeting" className="block text-sm font-medium text-gray-700">Greeting message</label>
+                        <textarea
+                            id="greeting"
+                            name="greeting"
+                            rows="3"
+                            required
+                            value={form.greeting}
+                            onChange={handleChange}
+                            className={inputClassName}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="reservationUrl" className="block text-sm font-medium text-gray-700">Reservation URL</label>
+                        <input
+                            id="reservationUrl"
+                            name="reservationUrl"
+                            type="url"
+                            required
+                            value={form.reservationUrl}
+                            onChange={handleChange}
+                            className={inputClassName}
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="milesPortalUrl" className="block text-sm font-medium text-gray-700">Milea Miles portal URL</label>
+                        <input
+                            id="milesPortalUrl"
+                            name="milesPortalUrl"
+                            type="url"
+                            required
+                            value={form.milesPortalUrl}
+                            onChange={handleChange}
+                            className={inputClassName}
+                        />
+                    </div>
+                </div>
+
+                <div className="bg-white shadow rounded-lg p-6 space-y-4">
+                    <h2 className="text-lg font-medium text-gray-900">Conversation context</h2>
+                    <p className="text-sm text-gray-500">
+                        Recent messages sent with each question so answers can follow the conversation.
+                        Email addresses, phone numbers and card numbers are removed first.
+                    </p>
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        <div>
+                            <label htmlFor="contextTurns" className="block text-sm font-medium text-gray-700">Previous turns</label>
+                            <input
+                                id="contextTurns"
+                                name="contextTurns"
+                                type="number"
+                                min="0"
+                                max="20"
+                                required
+                                value={form.contextTurns}
+                                onChange={handleChange}
+                                className={inputClassName}
+                            />
+                            <p className="mt-1 text-xs text-gray-500">0 sends only the latest message.</p>
+                        </div>
+                        <div>
+                            <label htmlFor="contextTokenBudget" className="block text-sm font-medium text-gray-700">Token budget</label>
+                            <input
+                                id="contextTokenBudget"
+                                name="contextTokenBudget"
+                                type="number"
+                                min="100"
+                                max="8000"
+                                step="100"
+                                required
+                                value={form.contextTokenBudget}
+                                onChange={handleChange}
+                                className={inputClassName}
+                            />
+                            <p className="mt-1 text-xs text-gray-500">Older messages are dropped to stay under this size.</p>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="bg-white shadow rounded-lg p-6 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <h2 className="text-lg font-medium text-gray-900">Wine clubs</h2>
+                        <button
+                            type="button"
+                            onClick={addClub}
+                            className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+                        >
+                            Add club
+                        </button>
+                    </div>
+                    <p className="text-sm text-gray-500">
+                        Clubs offered in the chat sign-up form. The ID must match the Commerce7 club ID.
+                    </p>
+                    {form.clubs.map((club, index) => (
+                        <div key={index} className="grid grid-cols-1 gap-3 sm:grid-cols-12 items-start border-t pt-4">
+                            <div className="sm:col-span-3">
+                                <label className="block text-xs font-medium text-gray-500">Name</label>
+                                <input
+                                    type="text"
+                                    required
+                                    value={club.name}
+                                    onChange={(e) => handleClubChange(index, 'name', e.target.value)}
+                                    className={inputClassName}
+                                />
+                            </div>
+                            <div className="sm:col-span-4">
+                                <label className="block text-xs font-medium text-gray-500">Commerce7 club ID</label>
+                                <input
+                                    type="text"
+                                    required
+                                    value={club.id}
+                                    onChange={(e) => handleClubChange(index, 'id', e.target.value)}
+                                    className={inputClassName}
+                                />
+                            </div>
+                            <div className="sm:col-span-4">
+                                <label className="block text-xs font-medium text-gray-500">Description</label>
+                                <input
+                                    type="text"
+                                    value={club.description}
+                                    onChange={(e) => handleClubChange(index, 'description', e.target.value)}
+                                    className={inputClassName}
+                                />
+                            </div>
+                            <div className="sm:col-span-1 pt-6">
+                                <button
+                                    type="button"
+                                    onClick={() => removeClub(index)}
+                                    disabled={form.clubs.length <= 1}
+                                    className="text-sm text-red-600 hover:underline disabled:opacity-50"
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </form>
+
+            {/* Saved separately from the settings form, with its own version */}
+            <WineDictionaryEditor />
+        </div>
+    );
+};
+
+export default Settings;
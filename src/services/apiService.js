@@ -1,10 +1,16 @@
 import axios from 'axios';
 
+// localStorage keys for the dashboard staff session
+const STAFF_TOKEN_KEY = 'auth_token';
+const STAFF_REFRESH_TOKEN_KEY = 'auth_refresh_token';
+const STAFF_USER_KEY = 'auth_user';
+
 class ApiService {
   constructor() {
     // Use REACT_APP_API_BASE_URL if available, otherwise fallback to REACT_APP_API_URL
     this.baseURL = process.env.REACT_APP_API_BASE_URL || process.env.REACT_APP_API_URL || 'http://localhost:8080';
     this.isBackendAvailable = false;
+    this.refreshPromise = null;
     
     console.log('Initializing ApiService with base URL:', this.baseURL);
     
@@ -26,11 +32,21 @@ class ApiService {
         // Check if the endpoint is public (no auth required)
         const isPublicEndpoint = config.url.startsWith('/api/health') ||
                                config.url.startsWith('/api/analytics') ||
-                               config.url.startsWith('/api/feedback');
+                               config.url.startsWith('/api/feedback') ||
+                               config.url.startsWith('/api/settings') ||
+                               config.url.startsWith('/api/staff/auth');
+
+        // Dashboard and admin endpoints use the staff token, not the customer token
+        const isDashboardEndpoint = this.isDashboardUrl(config.url);
 
         // For public endpoints, ensure no auth headers are present
         if (isPublicEndpoint) {
           delete config.headers.Authorization;
+        } else if (isDashboardEndpoint) {
+          const token = localStorage.getItem(STAFF_TOKEN_KEY);
+          if (token) {
+            config.headers.Authorization = `Bearer ${token}`;
+          }
         } else {
           // For protected endpoints, add auth token if available
           const token = localStorage.getItem('commerce7Token');
@@ -53,7 +69,19 @@ class ApiService {
         console.log('Response received:', response.data);
         return response;
       },
-      (error) => {
+      async (error) => {
+        // Staff access tokens are short-lived: refresh once and retry
+        const originalRequest = error.config;
+        if (error.response?.status === 401 &&
+            originalRequest &&
+            !originalRequest._retried &&
+            this.isDashboardUrl(originalRequest.url)) {
+          originalRequest._retried = true;
+          if (await this.refreshStaffSession()) {
+            return this.api(originalRequest);
+          }
+        }
+
         console.error('Response error:', {
           status: error.response?.status,
           data: error.response?.data,
@@ -64,7 +92,7 @@ class ApiService {
         if (error.response) {
           // The request was made and the server responded with a status code
           // that falls out of the range of 2xx
-          throw new Error(error.response.data.message || 'Server error occurred');
+          throw new Error(error.response.data.message || error.response.data.error || 'Server error occurred');
         } else if (error.request) {
           // The request was made but no response was received
           throw new Error('No response from server. Please check your connection.');
@@ -79,6 +107,97 @@ class ApiService {
     this.checkBackendHealth();
   }
 
+  isDashboardUrl(url = '') {
+    return url.startsWith('/api/dashboard') || url.startsWith('/api/admin');
+  }
+
+  saveStaffSession({ accessToken, refreshToken, user }) {
+    localStorage.setItem(STAFF_TOKEN_KEY, accessToken);
+    localStorage.setItem(STAFF_REFRESH_TOKEN_KEY, refreshToken);
+    localStorage.setItem(STAFF_USER_KEY, JSON.stringify(user));
+  }
+
+  clearStaffSession() {
+    localStorage.removeItem(STAFF_TOKEN_KEY);
+    localStorage.removeItem(STAFF_REFRESH_TOKEN_KEY);
+    localStorage.removeItem(STAFF_USER_KEY);
+  }
+
+  hasStaffSession() {
+    return Boolean(localStorage.getItem(STAFF_TOKEN_KEY));
+  }
+
+  getStaffToken() {
+    return localStorage.getItem(STAFF_TOKEN_KEY);
+  }
+
+  getStaffUser() {
+    try {
+      return JSON.parse(localStorage.getItem(STAFF_USER_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Log a staff member in to the dashboard
+   * @param {string} username - Staff username
+   * @param {string} password - Staff password
+   * @returns {Promise<Object>} - The logged-in staff user ({ id, username, role })
+   */
+  async staffLogin(username, password) {
+    const response = await this.api.post('/api/staff/auth/login', { username, password });
+    this.saveStaffSession(response.data);
+    return response.data.user;
+  }
+
+  /**
+   * Revoke the staff refresh token and clear the local session
+   */
+  async staffLogout() {
+    const refreshToken = localStorage.getItem(STAFF_REFRESH_TOKEN_KEY);
+    this.clearStaffSession();
+    if (refreshToken) {
+      try {
+        await this.api.post('/api/staff/auth/logout', { refreshToken });
+      } catch (error) {
+        console.warn('Error revoking staff session:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Exchange the stored refresh token for new tokens. Concurrent callers share
+   * one request. When the refresh fails the session is cleared and a
+   * 'staff-session-expired' event is dispatched so the UI can log out.
+   * @returns {Promise<boolean>} - Whether a new access token was stored
+   */
+  refreshStaffSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestStaffRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestStaffRefresh() {
+    const refreshToken = localStorage.getItem(STAFF_REFRESH_TOKEN_KEY);
+    try {
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      const response = await this.api.post('/api/staff/auth/refresh', { refreshToken });
+      this.saveStaffSession(response.data);
+      return true;
+    } catch (error) {
+      console.warn('Staff session refresh failed:', error.message);
+      this.clearStaffSession();
+      window.dispatchEvent(new Event('staff-session-expired'));
+      return false;
+    }
+  }
+
   async checkBackendHealth() {
     try {
       const response = await this.api.get('/api/health');
@@ -129,7 +248,8 @@ class ApiService {
         conversationId: String(feedbackData.conversationId),
         rating: rating,
         comment: feedbackData.comment ? String(feedbackData.comment).trim() : "",
-        tags: Array.isArray(feedbackData.tags) ? feedbackData.tags : []
+        tags: Array.isArray(feedbackData.tags) ? feedbackData.tags : [],
+        sources: Array.isArray(feedbackData.sources) ? feedbackData.sources : []
       };
 
       console.log('Prepared request data:', requestData);
@@ -179,6 +299,137 @@ class ApiService {
     }
   }
 
+  /**
+   * Fetch a page of feedback for the dashboard
+   * @param {Object} params - Query parameters
+   * @param {number} params.page - Page number (1-based)
+   * @param {number} params.limit - Page size
+   * @param {string} params.sortBy - 'timestamp' or 'rating'
+   * @param {string} params.sortOrder - 'asc' or 'desc'
+   * @param {string} params.rating - Rating or comma-separated ratings
+   * @param {string} params.tag - Tag or comma-separated tags
+   * @param {string} params.startDate - ISO start date
+   * @param {string} params.endDate - ISO end date
+   * @returns {Promise<Object>} - { feedback, pagination }
+   */
+  async getFeedback(params = {}) {
+    const response = await this.api.get('/api/dashboard/feedback', { params });
+    return response.data;
+  }
+
+  /**
+   * Fetch the conversation transcript around a rated message
+   * @param {string} messageId - ID of the rated message
+   * @returns {Promise<Object>} - { feedback, messages }
+   */
+  async getFeedbackConversation(messageId) {
+    const response = await this.api.get(`/api/dashboard/feedback/message/${encodeURIComponent(messageId)}/conversation`);
+    return response.data;
+  }
+
+  /**
+   * Download the filtered feedback as a CSV blob
+   * @param {Object} params - Same filters as getFeedback
+   * @returns {Promise<Blob>} - CSV file contents
+   */
+  async exportFeedbackCsv(params = {}) {
+    const response = await this.api.get('/api/dashboard/feedback/export', {
+      params,
+      responseType: 'blob'
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch daily feedback counts and average rating
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Array>} - [{ date, count, averageRating }]
+   */
+  async getFeedbackTrends(params = {}) {
+    const response = await this.api.get('/api/dashboard/feedback/trends', { params });
+    return response.data.trends || [];
+  }
+
+  /**
+   * Fetch overall analytics totals
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} - Session and event totals
+   */
+  async getAnalyticsSummary(params = {}) {
+    const response = await this.api.get('/api/dashboard/analytics/summary', { params });
+    return response.data.summary;
+  }
+
+  /**
+   * Fetch sessions per day with average and median duration
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Array>} - [{ date, sessions, averageDuration, medianDuration, averageMessagesPerSession }]
+   */
+  async getDailySessions(params = {}) {
+    const response = await this.api.get('/api/dashboard/analytics/sessions/daily', { params });
+    return response.data.days || [];
+  }
+
+  /**
+   * Fetch the messages-per-session histogram
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Array>} - [{ label, sessions }]
+   */
+  async getMessagesPerSession(params = {}) {
+    const response = await this.api.get('/api/dashboard/analytics/sessions/messages', { params });
+    return response.data.histogram || [];
+  }
+
+  /**
+   * Fetch how user messages were routed by intent
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Array>} - [{ intent, count }]
+   */
+  async getIntentDistribution(params = {}) {
+    const response = await this.api.get('/api/dashboard/analytics/intents', { params });
+    return response.data.intents || [];
+  }
+
+  /**
+   * Fetch the stored chatbot settings
+   * @returns {Promise<Object>} - Stored settings (fields that were never set are omitted)
+   */
+  async getChatSettings() {
+    const response = await this.api.get('/api/admin/settings');
+    return response.data.settings || {};
+  }
+
+  /**
+   * Save chatbot settings
+   * @param {Object} settings - Fields to update (greeting, reservationUrl, milesPortalUrl, clubs, contextTurns, contextTokenBudget)
+   * @returns {Promise<Object>} - Settings after the update
+   */
+  async updateChatSettings(settings) {
+    const response = await this.api.put('/api/admin/settings', settings);
+    return response.data.settings;
+  }
+
+  /**
+   * Fetch the saved wine dictionary
+   * @returns {Promise<Object|null>} - { version, terms, updatedAt, updatedBy }, or null
+   *   when the chat widget is still using its bundled dictionary
+   */
+  async getWineDictionary() {
+    const response = await this.api.get('/api/admin/wine-dictionary');
+    return response.data.dictionary || null;
+  }
+
+  /**
+   * Save the wine dictionary
+   * @param {number} baseVersion - Version the edit started from
+   * @param {Array} terms - Dictionary terms
+   * @returns {Promise<Object>} - Saved dictionary with its new version
+   */
+  async updateWineDictionary(baseVersion, terms) {
+    const response = await this.api.put('/api/admin/wine-dictionary', { baseVersion, terms });
+    return response.data.dictionary;
+  }
+
   // Add other API methods here as needed
 }
 
@@ -0,0 +1,129 @@
+import { io } from 'socket.io-client';
+import { apiService } from './apiService';
+
+/**
+ * Dashboard connection to the live conversation monitor on the websocket server.
+ * Authenticates with the staff access token and refreshes it once when the
+ * server rejects an expired token.
+ */
+class LiveMonitorService {
+    constructor() {
+        this.socket = null;
+    }
+
+    /**
+     * Connect and subscribe to live session events
+     * @param {Object} handlers - Event callbacks
+     * @param {Function} handlers.onSessions - Receives the list of active sessions
+     * @param {Function} handlers.onSessionUpdate - Receives one updated session summary
+     * @param {Function} handlers.onMessage - Receives { sessionId, message }
+     * @param {Function} handlers.onSessionEnded - Receives { sessionId }
+     * @param {Function} handlers.onStatusChange - Receives 'connected' | 'disconnected' | 'unauthorized'
+     */
+    connect({ onSessions, onSessionUpdate, onMessage, onSessionEnded, onStatusChange }) {
+        if (this.socket) {
+            return;
+        }
+
+        let refreshed = false;
+        this.socket = io(`${process.env.REACT_APP_SOCKET_URL || 'http://localhost:3001'}/monitor`, {
+            transports: ['websocket'],
+            auth: (cb) => cb({ token: apiService.getStaffToken() }),
+            reconnectionAttempts: 5,
+            reconnectionDelay: 1000,
+        });
+
+        this.socket.on('connect', () => onStatusChange('connected'));
+        this.socket.on('disconnect', () => onStatusChange('disconnected'));
+
+        this.socket.on('connect_error', async (error) => {
+            if (error.message !== 'unauthorized') {
+                onStatusChange('disconnected');
+                return;
+            }
+            if (!refreshed && await apiService.refreshStaffSession()) {
+                refreshed = true;
+                this.socket?.connect();
+                return;
+            }
+            onStatusChange('unauthorized');
+        });
+
+        this.socket.on('live_sessions', onSessions);
+        this.socket.on('live_session_update', onSessionUpdate);
+        this.socket.on('live_message', onMessage);
+        this.socket.on('live_session_ended', onSessionEnded);
+    }
+
+    disconnect() {
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+    }
+
+    /**
+     * Emit an event and wait for the server's acknowledgement
+     * @param {string} event - Event name
+     * @param {...*} args - Event arguments
+     * @returns {Promise<Object>} - Acknowledgement payload
+     */
+    request(event, ...args) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket) {
+                reject(new Error('Not connected to the live monitor'));
+                return;
+            }
+            this.socket.timeout(5000).emit(event, ...args, (err, result) => {
+                if (err) {
+                    reject(new Error('Live monitor did not respond'));
+                } else if (!result.success) {
+                    reject(new Error(result.error));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    /**
+     * Fetch the transcript of an active session
+     * @param {string} sessionId - Widget session ID
+     * @returns {Promise<Object>} - { session, messages }
+     */
+    getTranscript(sessionId) {
+        return this.request('get_transcript', sessionId);
+    }
+
+    /**
+     * Take over a session; the bot stops replying until control is handed back
+     * @param {string} sessionId - Widget session ID
+     * @returns {Promise<Object>} - { session }
+     */
+    startTakeover(sessionId) {
+        return this.request('takeover_start', sessionId);
+    }
+
+    /**
+     * Send a staff reply to a session you have taken over
+     * @param {string} sessionId - Widget session ID
+     * @param {string} content - Reply text
+     * @returns {Promise<Object>} - { message }
+     */
+    sendStaffMessage(sessionId, content) {
+        return this.request('staff_message', sessionId, content);
+    }
+
+    /**
+     * Hand a session back to the bot
+     * @param {string} sessionId - Widget session ID
+     * @returns {Promise<Object>}
+     */
+    endTakeover(sessionId) {
+        return this.request('takeover_end', sessionId);
+    }
+}
+
+const liveMonitorService = new LiveMonitorService();
+
+export default liveMonitorService;
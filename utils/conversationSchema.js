@@ -0,0 +1,133 @@
+const { sanitizeSources } = require('./sources');
+
+// Staff replies come from the websocket server (parseStaffMessageBody), never from the widget
+const MESSAGE_ROLES = ['user', 'bot'];
+const MAX_CONTENT_LENGTH = 10000;
+const MAX_MESSAGES_PER_REQUEST = 50;
+const MAX_PRODUCT_IDS = 10;
+// Oldest messages are dropped once a conversation grows past this
+const MAX_MESSAGES_PER_CONVERSATION = 500;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate one transcript message posted by the chat widget
+ * @param {Object} raw - { messageId, role, content, timestamp, sources, productIds }
+ * @returns {{ error: string|null, message: Object|null }}
+ */
+const normalizeTranscriptMessage = (raw) => {
+  if (!isPlainObject(raw)) {
+    return { error: 'Message must be an object', message: null };
+  }
+
+  const { messageId, role, content, timestamp, sources, productIds } = raw;
+
+  if (!MESSAGE_ROLES.includes(role)) {
+    return { error: `role must be one of: ${MESSAGE_ROLES.join(', ')}`, message: null };
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'content is required and must be a non-empty string', message: null };
+  }
+
+  if (messageId !== undefined && (typeof messageId !== 'string' || messageId.length > 100)) {
+    return { error: 'messageId must be a string of at most 100 characters', message: null };
+  }
+
+  const date = timestamp === undefined ? new Date() : new Date(timestamp);
+  if (isNaN(date.getTime())) {
+    return { error: 'timestamp must be a valid date', message: null };
+  }
+
+  const message = {
+    messageId,
+    role,
+    content: content.slice(0, MAX_CONTENT_LENGTH),
+    timestamp: date
+  };
+  if (role === 'bot' && sources !== undefined) {
+    message.sources = sanitizeSources(sources);
+  }
+  if (role === 'bot' && Array.isArray(productIds)) {
+    message.productIds = productIds
+      .filter(id => typeof id === 'string' && id.length <= 100)
+      .slice(0, MAX_PRODUCT_IDS);
+  }
+
+  return { error: null, message };
+};
+
+/**
+ * Validate a POST /api/conversations/:conversationId/messages body
+ * @param {Object} body - { messages: [...], userId }
+ * @returns {{ error: string|null, messages: Array }}
+ */
+const parseTranscriptBody = (body) => {
+  if (!isPlainObject(body) || !Array.isArray(body.messages)) {
+    return { error: 'messages must be an array', messages: [] };
+  }
+  if (body.messages.length === 0) {
+    return { error: 'At least one message is required', messages: [] };
+  }
+  if (body.messages.length > MAX_MESSAGES_PER_REQUEST) {
+    return { error: `At most ${MAX_MESSAGES_PER_REQUEST} messages may be sent at once`, messages: [] };
+  }
+
+  const messages = [];
+  for (let i = 0; i < body.messages.length; i++) {
+    const { error, message } = normalizeTranscriptMessage(body.messages[i]);
+    if (error) {
+      return { error: `Message ${i}: ${error}`, messages: [] };
+    }
+    messages.push(message);
+  }
+
+  return { error: null, messages };
+};
+
+/**
+ * Validate a POST /api/conversations/:conversationId/staff-messages body,
+ * a takeover reply forwarded by the websocket server
+ * @param {Object} body - { messageId, content, staffName, timestamp }
+ * @returns {{ error: string|null, message: Object|null }}
+ */
+const parseStaffMessageBody = (body) => {
+  if (!isPlainObject(body)) {
+    return { error: 'Message must be an object', message: null };
+  }
+
+  const { messageId, content, staffName, timestamp } = body;
+
+  if (typeof messageId !== 'string' || !messageId || messageId.length > 100) {
+    return { error: 'messageId is required and must be a string of at most 100 characters', message: null };
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: 'content is required and must be a non-empty string', message: null };
+  }
+  if (typeof staffName !== 'string' || !staffName.trim()) {
+    return { error: 'staffName is required', message: null };
+  }
+
+  const date = timestamp === undefined ? new Date() : new Date(timestamp);
+  if (isNaN(date.getTime())) {
+    return { error: 'timestamp must be a valid date', message: null };
+  }
+
+  return {
+    error: null,
+    message: {
+      messageId,
+      role: 'staff',
+      content: content.slice(0, MAX_CONTENT_LENGTH),
+      staffName: staffName.slice(0, 100),
+      timestamp: date
+    }
+  };
+};
+
+module.exports = {
+  normalizeTranscriptMessage,
+  parseTranscriptBody,
+  parseStaffMessageBody,
+  MAX_MESSAGES_PER_CONVERSATION
+};
@@ -0,0 +1,30 @@
+/**
+ * Parse startDate/endDate query parameters shared by the dashboard endpoints
+ * @param {Object} query - Express query object
+ * @param {string} [query.startDate] - ISO date, inclusive lower bound
+ * @param {string} [query.endDate] - ISO date, inclusive upper bound
+ * @returns {{ error: string|null, range: Object|null }} - A Mongo range condition, or null when no bounds were given
+ */
+const parseDateRange = ({ startDate, endDate } = {}) => {
+  const range = {};
+
+  if (startDate) {
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+      return { error: 'startDate must be a valid date', range: null };
+    }
+    range.$gte = start;
+  }
+
+  if (endDate) {
+    const end = new Date(endDate);
+    if (isNaN(end.getTime())) {
+      return { error: 'endDate must be a valid date', range: null };
+    }
+    range.$lte = end;
+  }
+
+  return { error: null, range: Object.keys(range).length > 0 ? range : null };
+};
+
+module.exports = { parseDateRange };
@@ -0,0 +1,103 @@
+const MAX_TYPE_LENGTH = 100;
+const MAX_BATCH_SIZE = 100;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate and normalize one interaction as posted by the chat widget's trackInteraction.
+ * The widget spreads interaction details into the top level of the payload
+ * ({ type, message, role, ..., sessionId, userId, timestamp }); an explicit
+ * `details` object is also accepted.
+ * @param {Object} raw - Interaction payload
+ * @param {Object} [defaults] - Fallback sessionId/userId taken from a batch envelope
+ * @returns {{ error: string|null, interaction: Object|null }}
+ */
+const normalizeInteraction = (raw, defaults = {}) => {
+  if (!isPlainObject(raw)) {
+    return { error: 'Interaction must be an object', interaction: null };
+  }
+
+  const { type, details, sessionId, userId, timestamp, ...rest } = raw;
+
+  if (typeof type !== 'string' || !type.trim()) {
+    return { error: 'type is required and must be a non-empty string', interaction: null };
+  }
+  if (type.length > MAX_TYPE_LENGTH) {
+    return { error: `type must be at most ${MAX_TYPE_LENGTH} characters`, interaction: null };
+  }
+
+  const resolvedSessionId = sessionId || defaults.sessionId;
+  if (typeof resolvedSessionId !== 'string' || !resolvedSessionId.trim()) {
+    return { error: 'sessionId is required and must be a string', interaction: null };
+  }
+
+  const resolvedUserId = userId !== undefined ? userId : defaults.userId;
+  if (resolvedUserId !== undefined && resolvedUserId !== null && typeof resolvedUserId !== 'string') {
+    return { error: 'userId must be a string or null', interaction: null };
+  }
+
+  const date = new Date(timestamp);
+  if (timestamp === undefined || timestamp === null || isNaN(date.getTime())) {
+    return { error: 'timestamp is required and must be a valid date', interaction: null };
+  }
+
+  if (details !== undefined && !isPlainObject(details)) {
+    return { error: 'details must be an object', interaction: null };
+  }
+
+  return {
+    error: null,
+    interaction: {
+      type: type.trim(),
+      details: details !== undefined ? details : rest,
+      sessionId: resolvedSessionId,
+      userId: resolvedUserId || null,
+      timestamp: date
+    }
+  };
+};
+
+/**
+ * Validate an /api/analytics/interaction request body.
+ * Accepts a single interaction, an array of interactions, or a batch
+ * envelope { sessionId, userId, interactions: [...] }.
+ * @param {Object|Array} body - Request body
+ * @returns {{ error: string|null, interactions: Array }}
+ */
+const parseInteractionBody = (body) => {
+  let items;
+  let defaults = {};
+
+  if (Array.isArray(body)) {
+    items = body;
+  } else if (isPlainObject(body) && Array.isArray(body.interactions)) {
+    items = body.interactions;
+    defaults = { sessionId: body.sessionId, userId: body.userId };
+  } else {
+    items = [body];
+  }
+
+  if (items.length === 0) {
+    return { error: 'At least one interaction is required', interactions: [] };
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    return { error: `A batch may contain at most ${MAX_BATCH_SIZE} interactions`, interactions: [] };
+  }
+
+  const interactions = [];
+  for (let i = 0; i < items.length; i++) {
+    const { error, interaction } = normalizeInteraction(items[i], defaults);
+    if (error) {
+      return {
+        error: items.length > 1 ? `Interaction ${i}: ${error}` : error,
+        interactions: []
+      };
+    }
+    interactions.push(interaction);
+  }
+
+  return { error: null, interactions };
+};
+
+module.exports = { normalizeInteraction, parseInteractionBody, MAX_BATCH_SIZE };
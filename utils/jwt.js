@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+
+const DEV_FALLBACK_SECRET = 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+// Service tokens are signed per request, so they only need to outlive one call
+const SERVICE_TOKEN_TTL = '1m';
+
+/**
+ * Refuse to start in production without a real signing secret
+ */
+const assertJwtSecret = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+    console.error('❌ JWT_SECRET must be set in production. Refusing to start.');
+    process.exit(1);
+  }
+  if (!process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET is not set; using an insecure development secret');
+  }
+};
+
+const getJwtSecret = () => process.env.JWT_SECRET || DEV_FALLBACK_SECRET;
+
+/**
+ * Sign a short-lived access token for a staff user
+ * @param {Object} user - StaffUser document
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user) => jwt.sign(
+  { sub: user._id.toString(), username: user.username, role: user.role, type: 'access' },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Sign a refresh token. tokenVersion is bumped on logout so that every
+ * refresh token issued before then stops working.
+ * @param {Object} user - StaffUser document
+ * @returns {string} - Signed JWT
+ */
+const signRefreshToken = (user) => jwt.sign(
+  { sub: user._id.toString(), tokenVersion: user.tokenVersion, type: 'refresh' },
+  getJwtSecret(),
+  { expiresIn: REFRESH_TOKEN_TTL }
+);
+
+/**
+ * Sign a token for a call from another server in this repository, such as the
+ * websocket server storing staff replies through the API
+ * @param {string} service - Name of the calling server
+ * @returns {string} - Signed JWT
+ */
+const signServiceToken = (service) => jwt.sign(
+  { sub: service, type: 'service' },
+  getJwtSecret(),
+  { expiresIn: SERVICE_TOKEN_TTL }
+);
+
+/**
+ * Verify a token and check its type
+ * @param {string} token - Signed JWT
+ * @param {string} type - Expected token type ('access', 'refresh' or 'service')
+ * @returns {Object} - Decoded payload
+ */
+const verifyToken = (token, type) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.type !== type) {
+    throw new Error(`Expected ${type} token`);
+  }
+  return decoded;
+};
+
+module.exports = {
+  assertJwtSecret,
+  signAccessToken,
+  signRefreshToken,
+  signServiceToken,
+  verifyToken
+};
@@ -0,0 +1,86 @@
+const { findExperience, SEATING_TIMES } = require('../services/reservationService');
+
+// How far ahead guests can book from the chat
+const MAX_DAYS_AHEAD = 90;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate the date, party size and experience shared by availability
+ * checks and bookings
+ * @param {Object} raw - { date, partySize, experience }
+ * @param {Date} [now] - Reference time
+ * @returns {{ error: string|null, request: Object|null }}
+ */
+const normalizeReservationRequest = ({ date, partySize, experience } = {}, now = new Date()) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+    return { error: 'date must be formatted YYYY-MM-DD', request: null };
+  }
+  const [year, month, dayOfMonth] = date.split('-').map(Number);
+  const day = new Date(year, month - 1, dayOfMonth);
+  if (day.getMonth() !== month - 1 || day.getDate() !== dayOfMonth) {
+    return { error: 'date must be a valid date', request: null };
+  }
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const lastDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + MAX_DAYS_AHEAD);
+  if (day < today || day > lastDay) {
+    return { error: `date must be between today and ${MAX_DAYS_AHEAD} days from now`, request: null };
+  }
+
+  const matched = findExperience(experience);
+  if (!matched) {
+    return { error: 'experience is not offered', request: null };
+  }
+
+  const size = Number(partySize);
+  if (!Number.isInteger(size) || size < 1) {
+    return { error: 'partySize must be a whole number of at least 1', request: null };
+  }
+  if (size > matched.maxPartySize) {
+    return { error: `${matched.name} is limited to ${matched.maxPartySize} guests; larger groups are booked with our team`, request: null };
+  }
+
+  return { error: null, request: { date, partySize: size, experience: matched } };
+};
+
+/**
+ * Validate a POST /api/reservations body
+ * @param {Object} body - { date, time, partySize, experience, name, email }
+ * @param {Date} [now] - Reference time
+ * @returns {{ error: string|null, request: Object|null }}
+ */
+const parseReservationBody = (body, now = new Date()) => {
+  if (!isPlainObject(body)) {
+    return { error: 'Reservation must be an object', request: null };
+  }
+
+  const { error, request } = normalizeReservationRequest(body, now);
+  if (error) {
+    return { error, request: null };
+  }
+
+  if (!SEATING_TIMES.includes(body.time)) {
+    return { error: 'time must be one of the offered seatings', request: null };
+  }
+  if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+    return { error: 'name is required and must be at most 100 characters', request: null };
+  }
+  if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+    return { error: 'email must be a valid email address', request: null };
+  }
+
+  return {
+    error: null,
+    request: {
+      ...request,
+      time: body.time,
+      name: body.name.trim(),
+      email: body.email.trim().toLowerCase()
+    }
+  };
+};
+
+module.exports = { normalizeReservationRequest, parseReservationBody, MAX_DAYS_AHEAD };
@@ -0,0 +1,13 @@
+// Staff roles in increasing order of privilege
+const ROLES = ['viewer', 'manager', 'admin'];
+
+/**
+ * Check whether a role is at least as privileged as another
+ * @param {string} role - Role being checked
+ * @param {string} minimumRole - Required role
+ * @returns {boolean}
+ */
+const hasRole = (role, minimumRole) =>
+  ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+
+module.exports = { ROLES, hasRole };
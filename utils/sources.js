@@ -0,0 +1,31 @@
+const MAX_SOURCES = 10;
+const MAX_TITLE_LENGTH = 300;
+const MAX_URL_LENGTH = 2000;
+const MAX_SNIPPET_LENGTH = 1000;
+
+const trimTo = (value, maxLength) =>
+  typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+
+/**
+ * Sanitize RAG source citations sent by the chat widget
+ * @param {Array} sources - Raw citations ({ title, url, snippet })
+ * @returns {Array} - Citations with a title or an http(s) URL; anything else is dropped
+ */
+const sanitizeSources = (sources) => {
+  if (!Array.isArray(sources)) return [];
+
+  return sources
+    .filter(source => source !== null && typeof source === 'object')
+    .map(source => {
+      const url = trimTo(source.url, MAX_URL_LENGTH);
+      return {
+        title: trimTo(source.title, MAX_TITLE_LENGTH),
+        url: /^https?:\/\//i.test(url) ? url : '',
+        snippet: trimTo(source.snippet, MAX_SNIPPET_LENGTH)
+      };
+    })
+    .filter(source => source.title || source.url)
+    .slice(0, MAX_SOURCES);
+};
+
+module.exports = { sanitizeSources };
@@ -0,0 +1,104 @@
+const MAX_TERMS = 500;
+const MAX_SPELLINGS = 20;
+const MAX_TERM_LENGTH = 60;
+const MAX_BOOST = 500;
+const TERM_TYPES = ['variety', 'line'];
+const WINE_COLORS = ['red', 'white', 'rose'];
+
+// Same folding as the widget, so "Rosé" and "rose" count as one spelling
+const foldSpelling = (value) =>
+  value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a list of spellings (aliases, typos or related varieties)
+ * @param {*} value - Candidate list
+ * @param {string} field - Field name for error messages
+ * @param {string} name - Term name for error messages
+ * @returns {{ error: string|null, list: Array<string> }}
+ */
+const parseSpellings = (value, field, name) => {
+  if (value === undefined) return { error: null, list: [] };
+  if (!Array.isArray(value) || value.length > MAX_SPELLINGS) {
+    return { error: `${name}: ${field} must be a list of at most ${MAX_SPELLINGS} entries`, list: [] };
+  }
+  const list = [];
+  for (const entry of value) {
+    if (typeof entry !== 'string' || !foldSpelling(entry) || entry.length > MAX_TERM_LENGTH) {
+      return { error: `${name}: each of ${field} must be text of 1 to ${MAX_TERM_LENGTH} characters`, list: [] };
+    }
+    list.push(entry.trim().toLowerCase());
+  }
+  return { error: null, list };
+};
+
+/**
+ * Validate a PUT /api/admin/wine-dictionary body. Every spelling (name, alias
+ * or typo) may belong to one term only, otherwise the widget couldn't tell
+ * which name a guest meant.
+ * @param {Object} body - { baseVersion, terms }
+ * @returns {{ error: string|null, baseVersion: number|null, terms: Array }}
+ */
+const parseWineDictionaryBody = (body) => {
+  if (!isPlainObject(body)) {
+    return { error: 'Dictionary must be an object', baseVersion: null, terms: [] };
+  }
+  const { baseVersion, terms } = body;
+  if (!Number.isInteger(baseVersion) || baseVersion < 0) {
+    return { error: 'baseVersion must be the version being edited', baseVersion: null, terms: [] };
+  }
+  if (!Array.isArray(terms) || terms.length === 0 || terms.length > MAX_TERMS) {
+    return { error: `terms must be a list of 1 to ${MAX_TERMS} terms`, baseVersion: null, terms: [] };
+  }
+
+  const owners = new Map();
+  const parsed = [];
+  for (const term of terms) {
+    if (!isPlainObject(term) || typeof term.name !== 'string' || !foldSpelling(term.name) ||
+        term.name.length > MAX_TERM_LENGTH) {
+      return { error: `Each term needs a name of 1 to ${MAX_TERM_LENGTH} characters`, baseVersion: null, terms: [] };
+    }
+    const name = term.name.trim().toLowerCase();
+    const type = term.type === undefined ? 'variety' : term.type;
+    if (!TERM_TYPES.includes(type)) {
+      return { error: `${name}: type must be one of ${TERM_TYPES.join(', ')}`, baseVersion: null, terms: [] };
+    }
+    const color = term.color === undefined || term.color === null ? null : term.color;
+    if (color !== null && !WINE_COLORS.includes(color)) {
+      return { error: `${name}: color must be one of ${WINE_COLORS.join(', ')}`, baseVersion: null, terms: [] };
+    }
+    const boost = term.boost === undefined ? 0 : term.boost;
+    if (!Number.isInteger(boost) || boost < 0 || boost > MAX_BOOST) {
+      return { error: `${name}: boost must be a whole number from 0 to ${MAX_BOOST}`, baseVersion: null, terms: [] };
+    }
+
+    const lists = {};
+    for (const field of ['aliases', 'typos', 'related']) {
+      const { error, list } = parseSpellings(term[field], field, name);
+      if (error) return { error, baseVersion: null, terms: [] };
+      lists[field] = list;
+    }
+
+    for (const spelling of [name, ...lists.aliases, ...lists.typos]) {
+      const folded = foldSpelling(spelling);
+      const owner = owners.get(folded);
+      if (owner && owner !== name) {
+        return { error: `"${spelling}" is listed under both ${owner} and ${name}`, baseVersion: null, terms: [] };
+      }
+      owners.set(folded, name);
+    }
+
+    parsed.push({ name, type, ...lists, color, boost });
+  }
+
+  return { error: null, baseVersion, terms: parsed };
+};
+
+module.exports = { MAX_TERMS, parseWineDictionaryBody };